@@ -0,0 +1,20 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const authConfig = {
+  // Lifetime of the JWT sent in the Authorization header
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Lifetime of each refresh token; rotating it starts a new window
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  refreshCookieName: 'refreshToken',
+  // The cookie is only ever sent to the auth endpoints
+  refreshCookiePath: '/api/users',
+  passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  emailVerificationTtlHours: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+  // When true, users must verify their email before placing an order
+  requireVerifiedEmailForCheckout:
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true',
+};
+
+module.exports = authConfig;
@@ -0,0 +1,20 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// The seller, as printed on invoices and packing slips
+const companyConfig = {
+  name: process.env.COMPANY_NAME || 'ecom-uv',
+  // Postal address lines, separated by '|', e.g. '1 Main St|Colombo 00100'
+  address: (process.env.COMPANY_ADDRESS || '')
+    .split('|')
+    .map((line) => line.trim())
+    .filter(Boolean),
+  email: process.env.COMPANY_EMAIL || '',
+  phone: process.env.COMPANY_PHONE || '',
+  taxId: process.env.COMPANY_TAX_ID || '', // VAT / tax registration number
+  // Invoice numbers are this prefix and a zero padded sequence number
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV-',
+};
+
+module.exports = companyConfig;
@@ -3,12 +3,26 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+// Orders, stock, refunds, product revisions and invoice numbers are written
+// in transactions, which MongoDB only supports on a replica set or sharded
+// cluster. A single node replica set is enough for development (see README).
+const requireTransactions = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB is running standalone: start it as a replica set, e.g. mongod --replSet rs0, then rs.initiate()'
+    );
+  }
+};
+
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI, {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
+    await requireTransactions();
     console.log('MongoDB Connected...');
   } catch (err) {
     console.error(err.message);
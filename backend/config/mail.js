@@ -0,0 +1,23 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mailConfig = {
+  // 'smtp', 'file' or 'console' (see utils/mailer)
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'ecom-uv <no-reply@localhost>',
+  // Base URL of the storefront, used to build links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  // Where the file transport writes messages
+  fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  },
+};
+
+module.exports = mailConfig;
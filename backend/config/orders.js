@@ -0,0 +1,21 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number)
+    ? number
+    : fallback;
+};
+
+const ordersConfig = {
+  // Unpaid orders are cancelled and their stock released after this long
+  paymentTimeoutMinutes: toNumber(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES, 30),
+  // How often the expiry job looks for unpaid orders
+  expiryCheckIntervalMinutes: toNumber(process.env.ORDER_EXPIRY_CHECK_MINUTES, 1),
+  // Delivered lines can be returned for this many days; 0 for no limit
+  returnWindowDays: toNumber(process.env.ORDER_RETURN_WINDOW_DAYS, 30),
+};
+
+module.exports = ordersConfig;
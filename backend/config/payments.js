@@ -0,0 +1,25 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// The mock provider and its well-known webhook secret are for local
+// development and tests only. Anywhere else both must be configured, or
+// getPaymentProvider() in utils/payments refuses to take payments.
+const isDevelopment = ['development', 'test'].includes(
+  process.env.NODE_ENV || 'development'
+);
+
+const paymentsConfig = {
+  // Name of the provider in utils/payments (only 'mock' ships for now)
+  provider: process.env.PAYMENT_PROVIDER || (isDevelopment ? 'mock' : ''),
+  currency: process.env.PAYMENT_CURRENCY || 'usd',
+  // Shared secret used to sign and verify webhook payloads
+  webhookSecret:
+    process.env.PAYMENT_WEBHOOK_SECRET ||
+    (isDevelopment ? 'mock_webhook_secret' : ''),
+  // Reject webhooks whose signature timestamp is older than this (seconds)
+  webhookTolerance: Number(process.env.PAYMENT_WEBHOOK_TOLERANCE) || 300,
+  allowMock: isDevelopment,
+};
+
+module.exports = paymentsConfig;
@@ -0,0 +1,57 @@
+const ROLES = ['customer', 'support', 'catalog_manager', 'admin'];
+
+const ALL_ROLES = ROLES;
+const STAFF = ['support', 'admin'];
+const CATALOG = ['catalog_manager', 'admin'];
+
+// Permission -> who holds it. `roles` are granted the permission on any
+// resource; `owner: true` also grants it to the user who owns the resource
+// (see `authorize` in middleware/authMiddleware.js).
+const POLICIES = {
+  'profile:read': { roles: ALL_ROLES },
+  'profile:update': { roles: ALL_ROLES },
+
+  'user:list': { roles: STAFF },
+  'user:read': { roles: STAFF },
+  'user:update': { roles: ['admin'] },
+  'user:delete': { roles: ['admin'] },
+
+  'product:create': { roles: CATALOG },
+  'product:update': { roles: CATALOG },
+  'product:delete': { roles: CATALOG },
+  'product:history': { roles: CATALOG },
+  'product:purge': { roles: ['admin'] },
+  'upload:create': { roles: CATALOG },
+  'catalog:import': { roles: CATALOG },
+  'catalog:export': { roles: CATALOG },
+  'category:manage': { roles: CATALOG },
+  'brand:manage': { roles: CATALOG },
+
+  'review:write': { roles: ALL_ROLES },
+  'review:moderate': { roles: CATALOG },
+
+  'order:create': { roles: ALL_ROLES },
+  'order:list': { roles: STAFF },
+  'order:read': { roles: STAFF, owner: true },
+  'order:pay': { roles: ['admin'], owner: true },
+  'order:fulfil': { roles: ['admin'] },
+  // Customers can cancel their orders until they ship, and return them
+  // once delivered. Cancelling a paid order also needs order:refund, unless
+  // it is the customer's own.
+  'order:cancel': { roles: STAFF, owner: true },
+  'order:return': { roles: STAFF, owner: true },
+  'order:refund': { roles: ['admin'] },
+  'return:manage': { roles: ['admin'] },
+
+  'promotion:manage': { roles: ['admin'] },
+  'shipping:manage': { roles: ['admin'] },
+  'tax:manage': { roles: ['admin'] },
+};
+
+// Whether the user's role grants a permission regardless of ownership
+const can = (user, permission) => {
+  const policy = POLICIES[permission];
+  return Boolean(user && policy && policy.roles.includes(user.role));
+};
+
+module.exports = { ROLES, POLICIES, can };
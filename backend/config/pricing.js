@@ -0,0 +1,30 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number)
+    ? number
+    : fallback;
+};
+
+// Pricing rules used by utils/pricing.js. Override through environment
+// variables, e.g. TAX_RATE=0.08 SHIPPING_FLAT_RATE=5.
+const pricingConfig = {
+  // Tax rates for addresses no TaxRate covers (see utils/tax.js), and for
+  // quotes before the address is known. TAX_RATE=0 leaves them untaxed.
+  taxRate: toNumber(process.env.TAX_RATE, 0.15),
+  reducedTaxRate: toNumber(process.env.REDUCED_TAX_RATE, 0.05),
+  // Whether catalog prices already include tax (the tax is then worked out
+  // of them) or have it added on top
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true',
+  // Round tax on every 'line', or once for the whole 'order'
+  taxRounding: process.env.TAX_ROUNDING === 'order' ? 'order' : 'line',
+  // Shipping until shipping zones are set up (see utils/shipping.js), and
+  // for estimates before the address is known
+  shippingFlatRate: toNumber(process.env.SHIPPING_FLAT_RATE, 10),
+  freeShippingThreshold: toNumber(process.env.FREE_SHIPPING_THRESHOLD, 100),
+};
+
+module.exports = pricingConfig;
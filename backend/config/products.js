@@ -0,0 +1,27 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number)
+    ? number
+    : fallback;
+};
+
+const productsConfig = {
+  // Archived products are purged for good after this many days; 0 keeps them
+  archiveRetentionDays: toNumber(process.env.PRODUCT_ARCHIVE_RETENTION_DAYS, 90),
+  // How often the purge job looks for expired archived products
+  purgeCheckIntervalMinutes: toNumber(process.env.PRODUCT_PURGE_CHECK_MINUTES, 60),
+  // Imports stop after this many rows
+  importMaxRows: toNumber(process.env.PRODUCT_IMPORT_MAX_ROWS, 10000),
+  // Where image file names in an import are looked up
+  importImageDir: process.env.PRODUCT_IMPORT_IMAGE_DIR || 'uploads/import',
+  // Given to new products created without a category or brand (created on
+  // first use)
+  defaultCategory: process.env.PRODUCT_DEFAULT_CATEGORY || 'Uncategorized',
+  defaultBrand: process.env.PRODUCT_DEFAULT_BRAND || 'Unbranded',
+};
+
+module.exports = productsConfig;
@@ -0,0 +1,22 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const minutes = (value) => value * 60 * 1000;
+
+const rateLimitConfig = {
+  // 'memory' (single process) or 'redis' (shared, needs ioredis and REDIS_URL)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  redisUrl: process.env.REDIS_URL,
+
+  loginByIp: { windowMs: minutes(15), max: 20 },
+  loginByAccount: { windowMs: minutes(15), max: 10 },
+  register: { windowMs: minutes(60), max: 10 },
+  passwordReset: { windowMs: minutes(60), max: 5 },
+
+  // Consecutive failed logins before an account is locked, and for how long
+  maxFailedLogins: Number(process.env.MAX_FAILED_LOGINS) || 5,
+  lockoutMinutes: Number(process.env.LOCKOUT_MINUTES) || 15,
+};
+
+module.exports = rateLimitConfig;
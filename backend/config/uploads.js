@@ -0,0 +1,28 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number)
+    ? number
+    : fallback;
+};
+
+const uploadsConfig = {
+  // 'local' (see utils/storage)
+  storage: process.env.UPLOAD_STORAGE || 'local',
+  // Where the local storage writes files, and the URL path they are served from
+  localDir: process.env.UPLOAD_DIR || 'uploads',
+  publicPath: process.env.UPLOAD_PUBLIC_PATH || '/uploads',
+  maxFileSizeMb: toNumber(process.env.UPLOAD_MAX_FILE_SIZE_MB, 5),
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  // Resized copies generated for every image, by maximum width in pixels
+  renditions: {
+    thumbnail: 150,
+    medium: 600,
+    large: 1200,
+  },
+};
+
+module.exports = uploadsConfig;
@@ -1,6 +1,32 @@
 const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
 const User = require('../models/User');
+const Order = require('../models/Order');
 const generateToken = require('../utils/generateToken');
+const authConfig = require('../config/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+} = require('../utils/sessions');
+const { ROLES } = require('../config/policies');
+const { escapeRegex, getPagination } = require('../utils/queryParams');
+const { sendMail } = require('../utils/mailer');
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+} = require('../utils/emailTemplates');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} = require('../utils/errors');
 
 // @desc    Auth user & get token
 // @route   POST /api/users/login
@@ -8,19 +34,41 @@ const generateToken = require('../utils/generateToken');
 const authUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  const user = await User.findOne({ email });
+  const user = await User.findOne({ email, deletedAt: null });
+
+  if (user && user.isLocked()) {
+    const secondsLeft = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set('Retry-After', String(secondsLeft));
+    throw new TooManyRequestsError(
+      'Account temporarily locked after too many failed logins',
+      { code: 'ACCOUNT_LOCKED' }
+    );
+  }
 
   if (user && (await user.matchPassword(password))) {
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await User.clearFailedLogins(user._id);
+    }
+
+    const session = await createSession(user, req);
+    setRefreshCookie(res, session.refreshToken);
+
     res.json({
       _id: user._id,
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
-      token: generateToken(user._id),
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      token: session.accessToken,
     });
   } else {
-    res.status(401);
-    throw new Error('Invalid email or password');
+    if (user) {
+      await User.registerFailedLogin(user._id);
+    }
+    throw new UnauthorizedError('Invalid email or password', {
+      code: 'INVALID_CREDENTIALS',
+    });
   }
 });
 
@@ -33,28 +81,182 @@ const registerUser = asyncHandler(async (req, res) => {
   const userExists = await User.findOne({ email });
 
   if (userExists) {
-    res.status(400);
-    throw new Error('User already exists');
+    throw new ConflictError('User already exists', { code: 'EMAIL_TAKEN' });
   }
 
-  const user = await User.create({
+  const user = new User({
     name,
     email,
     password,
   });
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
 
   if (user) {
+    // The account is usable even if the mail fails; the user can ask again
+    await sendMail(emailVerificationEmail(user, verificationToken)).catch((err) =>
+      console.error(`Verification email to ${user.email} failed: ${err.message}`)
+    );
+
+    const session = await createSession(user, req);
+    setRefreshCookie(res, session.refreshToken);
+
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
-      token: generateToken(user._id),
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      token: session.accessToken,
     });
   } else {
-    res.status(400);
-    throw new Error('Invalid user data');
+    throw new BadRequestError('Invalid user data');
+  }
+});
+
+// @desc    Rotate the refresh token cookie and issue a new access token
+// @route   POST /api/users/refresh
+// @access  Public (refresh token cookie)
+const refreshSession = asyncHandler(async (req, res) => {
+  let session;
+
+  try {
+    session = await rotateRefreshToken(req.cookies[authConfig.refreshCookieName]);
+  } catch (err) {
+    clearRefreshCookie(res);
+    throw err;
+  }
+
+  const user = await User.findOne({ _id: session.userId, deletedAt: null });
+
+  if (!user) {
+    await revokeSession(session.sessionId, 'admin');
+    clearRefreshCookie(res);
+    throw new UnauthorizedError('Not authorized, user no longer exists');
+  }
+
+  setRefreshCookie(res, session.refreshToken);
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    isAdmin: user.isAdmin,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    token: session.accessToken,
+  });
+});
+
+// @desc    Log out the current session
+// @route   POST /api/users/logout
+// @access  Public (refresh token cookie)
+const logoutUser = asyncHandler(async (req, res) => {
+  const sessionId = await findSessionByRefreshToken(
+    req.cookies[authConfig.refreshCookieName]
+  );
+
+  if (sessionId) {
+    await revokeSession(sessionId, 'logout');
+  }
+
+  clearRefreshCookie(res);
+  res.json({ message: 'Logged out' });
+});
+
+// @desc    Log out every session of the current user
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  await revokeUserSessions(req.user._id, 'logout_all');
+
+  clearRefreshCookie(res);
+  res.json({ message: 'Logged out of all sessions' });
+});
+
+// @desc    Send a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, deletedAt: null });
+
+  if (user) {
+    const token = user.createPasswordResetToken();
+    await user.save();
+    // A failure is logged, not reported: the answer has to stay the same
+    await sendMail(passwordResetEmail(user, token)).catch((err) =>
+      console.error(`Password reset email to ${user.email} failed: ${err.message}`)
+    );
   }
+
+  // Same answer whether or not the account exists, to avoid leaking emails
+  res.json({
+    message: 'If an account exists for that email, a reset link has been sent',
+  });
+});
+
+// @desc    Choose a new password with a reset token
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.consumeToken('passwordReset', token);
+
+  if (!user) {
+    throw new BadRequestError('Reset link is invalid or has expired', {
+      code: 'INVALID_TOKEN',
+    });
+  }
+
+  user.password = password;
+  await user.save();
+  await revokeUserSessions(user._id, 'password_change');
+
+  res.json({ message: 'Password has been reset, please log in' });
+});
+
+// @desc    Confirm an email address
+// @route   POST /api/users/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const user = await User.consumeToken('emailVerification', token);
+
+  if (!user) {
+    throw new BadRequestError('Verification link is invalid or has expired', {
+      code: 'INVALID_TOKEN',
+    });
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = Date.now();
+  await user.save();
+
+  res.json({ message: 'Email verified' });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified) {
+    throw new BadRequestError('Email is already verified', {
+      code: 'EMAIL_ALREADY_VERIFIED',
+    });
+  }
+
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  await sendMail(emailVerificationEmail(user, token));
+
+  res.json({ message: 'Verification email sent' });
 });
 
 // @desc    Get user profile
@@ -69,10 +271,11 @@ const getUserProfile = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
     });
   } else {
-    res.status(404);
-    throw new Error('User not found');
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
   }
 });
 
@@ -84,24 +287,200 @@ const updateUserProfile = asyncHandler(async (req, res) => {
 
   if (user) {
     user.name = req.body.name || user.name;
-    user.email = req.body.email || user.email;
     if (req.body.password) {
       user.password = req.body.password;
     }
 
+    // A new address has to be verified again
+    let verificationToken;
+    if (req.body.email && req.body.email !== user.email) {
+      user.email = req.body.email;
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = undefined;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
     const updatedUser = await user.save();
 
+    // The change is saved either way; the client is told when the mail did
+    // not go out, so the user can ask for it again
+    let verificationEmailSent;
+    if (verificationToken) {
+      verificationEmailSent = await sendMail(
+        emailVerificationEmail(updatedUser, verificationToken)
+      ).then(
+        () => true,
+        (err) => {
+          console.error(
+            `Verification email to ${updatedUser.email} failed: ${err.message}`
+          );
+          return false;
+        }
+      );
+    }
+
+    // A new password signs out every other device
+    if (req.body.password) {
+      await revokeUserSessions(user._id, 'password_change', {
+        except: req.sessionId,
+      });
+    }
+
     res.json({
       _id: updatedUser._id,
       name: updatedUser.name,
       email: updatedUser.email,
       isAdmin: updatedUser.isAdmin,
-      token: generateToken(updatedUser._id),
+      role: updatedUser.role,
+      isEmailVerified: updatedUser.isEmailVerified,
+      verificationEmailSent,
+      token: generateToken(updatedUser._id, req.sessionId),
     });
   } else {
-    res.status(404);
-    throw new Error('User not found');
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
   }
 });
 
-module.exports = { authUser, registerUser, getUserProfile, updateUserProfile };
+// @desc    Get all users
+// @route   GET /api/users?keyword=&role=&page=&pageSize=
+// @access  Private/Admin
+const getUsers = asyncHandler(async (req, res) => {
+  const { page, pageSize } = getPagination(req.query, 20);
+  const filter = { deletedAt: null };
+
+  if (req.query.keyword) {
+    const pattern = { $regex: escapeRegex(String(req.query.keyword)), $options: 'i' };
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (req.query.role) {
+    filter.role = String(req.query.role);
+  }
+
+  const [total, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(pageSize * (page - 1))
+      .limit(pageSize),
+  ]);
+
+  res.json({
+    users: users.map((user) => user.toJSON({ virtuals: true })),
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+  });
+});
+
+// @desc    Get user by ID
+// @route   GET /api/users/:id
+// @access  Private/Admin
+const getUserById = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select(
+    '-password'
+  );
+
+  if (user) {
+    res.json(user.toJSON({ virtuals: true }));
+  } else {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  }
+});
+
+// @desc    Update user
+// @route   PUT /api/users/:id
+// @access  Private/Admin
+const updateUser = asyncHandler(async (req, res) => {
+  const { name, email, role } = req.body;
+
+  const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+
+  if (!user) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new BadRequestError(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (user._id.equals(req.user._id) && role !== undefined && role !== user.role) {
+    throw new BadRequestError('You cannot change your own role', {
+      code: 'SELF_DEMOTION',
+    });
+  }
+
+  if (email && email !== user.email) {
+    const emailTaken = await User.exists({ email, _id: { $ne: user._id } });
+    if (emailTaken) {
+      throw new ConflictError('Email already in use', { code: 'EMAIL_TAKEN' });
+    }
+  }
+
+  user.name = name || user.name;
+  user.email = email || user.email;
+  user.role = role || user.role;
+
+  const updatedUser = await user.save();
+
+  res.json({
+    _id: updatedUser._id,
+    name: updatedUser.name,
+    email: updatedUser.email,
+    isAdmin: updatedUser.isAdmin,
+    role: updatedUser.role,
+  });
+});
+
+// @desc    Delete user
+// @route   DELETE /api/users/:id
+// @access  Private/Admin
+const deleteUser = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+
+  if (!user) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  }
+
+  if (user._id.equals(req.user._id)) {
+    throw new BadRequestError('You cannot delete your own account', {
+      code: 'SELF_DELETION',
+    });
+  }
+
+  const hasOrders = await Order.exists({ user: user._id });
+
+  if (hasOrders) {
+    // Keep the document so order history still resolves, but scrub it and
+    // free the email address
+    user.name = 'Deleted user';
+    user.email = `deleted-${user._id}@users.invalid`;
+    user.password = crypto.randomBytes(32).toString('hex');
+    user.role = 'customer';
+    user.deletedAt = Date.now();
+    await user.save();
+  } else {
+    await user.deleteOne();
+  }
+
+  res.json({ message: 'User removed' });
+});
+
+module.exports = {
+  authUser,
+  registerUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getUserProfile,
+  updateUserProfile,
+  getUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const { sendMail } = require('../utils/mailer');
+const TokenFamily = require('../models/TokenFamily');
+const {
+  forgotPassword,
+  updateUserProfile,
+  updateUser,
+  deleteUser,
+} = require('./authController');
+
+jest.mock('../utils/mailer');
+
+process.env.JWT_SECRET = 'test_secret';
+
+// Run a handler; resolves with the response, rejects with the error
+const run = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler(req, res, reject);
+  });
+
+const admin = new User({
+  name: 'Admin',
+  email: 'admin@example.com',
+  role: 'admin',
+});
+
+const jane = () =>
+  new User({ name: 'Jane', email: 'jane@example.com', password: 'secret' });
+
+let save;
+
+beforeEach(() => {
+  save = jest
+    .spyOn(User.prototype, 'save')
+    .mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  sendMail.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendMail.mockReset();
+});
+
+describe('updateUser', () => {
+  test('changes the name, email and role of a user', async () => {
+    const user = jane();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+    const { body } = await run(updateUser, {
+      user: admin,
+      params: { id: String(user._id) },
+      body: { email: 'jane@example.org', role: 'support' },
+    });
+
+    expect(body).toMatchObject({
+      name: 'Jane',
+      email: 'jane@example.org',
+      role: 'support',
+    });
+  });
+
+  test('refuses an email another user has', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(jane());
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'other' });
+
+    await expect(
+      run(updateUser, { user: admin, params: {}, body: { email: 'x@y.z' } })
+    ).rejects.toMatchObject({ statusCode: 409, code: 'EMAIL_TAKEN' });
+  });
+
+  test('does not let admins change their own role', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+
+    await expect(
+      run(updateUser, { user: admin, params: {}, body: { role: 'customer' } })
+    ).rejects.toMatchObject({ code: 'SELF_DEMOTION' });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteUser', () => {
+  test('removes a user without orders', async () => {
+    const user = jane();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    const deleteOne = jest.spyOn(user, 'deleteOne').mockResolvedValue({});
+
+    await run(deleteUser, { user: admin, params: {} });
+
+    expect(deleteOne).toHaveBeenCalled();
+  });
+
+  test('scrubs a user with orders, keeping the document', async () => {
+    const user = jane();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(Order, 'exists').mockResolvedValue({ _id: 'order' });
+
+    await run(deleteUser, { user: admin, params: {} });
+
+    expect(user).toMatchObject({
+      name: 'Deleted user',
+      email: `deleted-${user._id}@users.invalid`,
+      role: 'customer',
+    });
+    expect(user.deletedAt).toBeInstanceOf(Date);
+    expect(save).toHaveBeenCalled();
+  });
+
+  test('does not let admins delete themselves', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+
+    await expect(
+      run(deleteUser, { user: admin, params: {} })
+    ).rejects.toMatchObject({ code: 'SELF_DELETION' });
+  });
+});
+
+describe('forgotPassword', () => {
+  const request = { body: { email: 'jane@example.com' } };
+
+  test('answers the same whether or not the account exists', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const unknown = await run(forgotPassword, request);
+
+    User.findOne.mockResolvedValue(jane());
+    const known = await run(forgotPassword, request);
+
+    expect(known).toEqual(unknown);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not give the account away when the mail fails', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(jane());
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+
+    await expect(run(forgotPassword, request)).resolves.toMatchObject({
+      status: 200,
+    });
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('updateUserProfile', () => {
+  test('saves a new email even when the verification mail fails', async () => {
+    const user = jane();
+    user.isEmailVerified = true;
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+
+    const { body } = await run(updateUserProfile, {
+      user,
+      sessionId: new mongoose.Types.ObjectId(),
+      body: { email: 'jane@example.org' },
+    });
+
+    expect(save).toHaveBeenCalled();
+    expect(body).toMatchObject({
+      email: 'jane@example.org',
+      isEmailVerified: false,
+      verificationEmailSent: false,
+    });
+  });
+
+  test('signs other devices out after a password change', async () => {
+    const user = jane();
+    const sessionId = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const revoke = jest.spyOn(TokenFamily, 'updateMany').mockResolvedValue({});
+
+    const { body } = await run(updateUserProfile, {
+      user,
+      sessionId,
+      body: { password: 'new-secret' },
+    });
+
+    expect(revoke).toHaveBeenCalledWith(
+      { user: user._id, revokedAt: null, _id: { $ne: sessionId } },
+      expect.anything()
+    );
+    expect(body.verificationEmailSent).toBeUndefined();
+  });
+});
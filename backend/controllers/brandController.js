@@ -0,0 +1,100 @@
+const asyncHandler = require('express-async-handler');
+const Brand = require('../models/Brand');
+const Product = require('../models/Product');
+const { STATUS_FILTERS } = require('../utils/productQuery');
+const { nameKey, uniqueSlug } = require('../utils/taxonomy');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Brands may not share a name, in any spelling
+const assertUniqueName = async (name, excludeId) => {
+  const brands = await Brand.find({}, 'name');
+  const clash = brands.find(
+    (brand) => !brand._id.equals(excludeId) && nameKey(brand.name) === nameKey(name)
+  );
+
+  if (clash) {
+    throw new ConflictError(`Brand "${clash.name}" already exists`, {
+      code: 'BRAND_EXISTS',
+      details: { id: clash._id },
+    });
+  }
+};
+
+// @desc    List brands with the number of (active) products of each
+// @route   GET /api/brands
+// @access  Public
+const getBrands = asyncHandler(async (req, res) => {
+  const [brands, counts] = await Promise.all([
+    Brand.find({}).sort({ name: 1 }),
+    Product.aggregate([
+      { $match: STATUS_FILTERS.active },
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+  res.json(
+    brands.map((brand) => ({
+      ...brand.toJSON(),
+      productCount: countById.get(String(brand._id)) || 0,
+    }))
+  );
+});
+
+// @desc    Create a brand
+// @route   POST /api/brands
+// @access  Private/Admin
+const createBrand = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  await assertUniqueName(name);
+
+  const brand = await Brand.create({
+    name,
+    slug: await uniqueSlug(Brand, name),
+  });
+
+  res.status(201).json(brand);
+});
+
+// @desc    Rename a brand; its slug is kept so links keep working
+// @route   PATCH /api/brands/:id
+// @access  Private/Admin
+const updateBrand = asyncHandler(async (req, res) => {
+  const brand = await Brand.findById(req.params.id);
+
+  if (!brand) {
+    throw new NotFoundError('Brand not found', { code: 'BRAND_NOT_FOUND' });
+  }
+
+  await assertUniqueName(req.body.name, brand._id);
+
+  brand.name = req.body.name;
+  await brand.save();
+
+  res.json(brand);
+});
+
+// @desc    Delete a brand no product (archived ones included) uses
+// @route   DELETE /api/brands/:id
+// @access  Private/Admin
+const deleteBrand = asyncHandler(async (req, res) => {
+  const brand = await Brand.findById(req.params.id);
+
+  if (!brand) {
+    throw new NotFoundError('Brand not found', { code: 'BRAND_NOT_FOUND' });
+  }
+
+  const products = await Product.countDocuments({ brand: brand._id });
+  if (products > 0) {
+    throw new ConflictError('Brand is still used by products', {
+      code: 'BRAND_IN_USE',
+      details: { products },
+    });
+  }
+
+  await brand.deleteOne();
+  res.json({ message: 'Brand removed' });
+});
+
+module.exports = { getBrands, createBrand, updateBrand, deleteBrand };
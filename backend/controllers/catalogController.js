@@ -0,0 +1,58 @@
+const asyncHandler = require('express-async-handler');
+const { importCatalog } = require('../utils/catalogImport');
+const { exportCatalog } = require('../utils/catalogExport');
+const { STATUS_FILTERS } = require('../utils/productQuery');
+const { BadRequestError } = require('../utils/errors');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+// @desc    Import products from a CSV or JSON file sent as the request body,
+//          upserting by id or SKU. With dryRun=true nothing is written.
+// @route   POST /api/products/import?format=csv|json&dryRun=
+// @access  Private/Admin
+const importProducts = asyncHandler(async (req, res) => {
+  const format =
+    req.query.format ||
+    (req.is('text/csv') && 'csv') ||
+    (req.is('application/json') && 'json');
+
+  if (!format) {
+    throw new BadRequestError(
+      'Send the file as text/csv or application/json, or set ?format=',
+      { code: 'UNSUPPORTED_FILE_TYPE' }
+    );
+  }
+
+  const report = await importCatalog(req, {
+    format,
+    dryRun: req.query.dryRun,
+    user: req.user._id,
+  });
+
+  res.json(report);
+});
+
+// @desc    Download the catalog, stock included, in the import format
+// @route   GET /api/products/export?format=csv|json&status=active|archived|all
+// @access  Private/Admin
+const exportProducts = asyncHandler(async (req, res) => {
+  const { format, status } = req.query;
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.attachment(`catalog-${date}.${format}`);
+
+  try {
+    await exportCatalog(res, { format, filter: STATUS_FILTERS[status] });
+  } catch (err) {
+    // Once streaming has started the status line is gone; just cut it short
+    if (!res.headersSent) throw err;
+    console.error(`Catalog export failed: ${err.message}`);
+    res.destroy(err);
+  }
+});
+
+module.exports = { importProducts, exportProducts };
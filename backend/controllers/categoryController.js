@@ -0,0 +1,209 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { buildProductQuery, STATUS_FILTERS } = require('../utils/productQuery');
+const {
+  categoryKey,
+  uniqueSlug,
+  resolveTaxonomyFilters,
+  buildCategoryTree,
+} = require('../utils/taxonomy');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../utils/errors');
+
+// Sibling categories may not share a name, in any spelling
+const assertUniqueName = async (name, parent, excludeId) => {
+  const siblings = await Category.find({ parent: parent || null }, 'name');
+  const clash = siblings.find(
+    (sibling) =>
+      !sibling._id.equals(excludeId) &&
+      categoryKey(sibling.name) === categoryKey(name)
+  );
+
+  if (clash) {
+    throw new ConflictError(`Category "${clash.name}" already exists here`, {
+      code: 'CATEGORY_EXISTS',
+      details: { id: clash._id },
+    });
+  }
+};
+
+const findParent = async (id) => {
+  if (!id) return null;
+
+  const parent = await Category.findById(id);
+  if (!parent) {
+    throw new BadRequestError('Parent category not found', {
+      code: 'CATEGORY_NOT_FOUND',
+    });
+  }
+  return parent;
+};
+
+// @desc    Get the category tree with the number of (active) products in
+//          each category and its subcategories
+// @route   GET /api/categories
+// @access  Public
+const getCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find({}).sort({ name: 1 }),
+    Product.aggregate([
+      { $match: STATUS_FILTERS.active },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  res.json(
+    buildCategoryTree(
+      categories,
+      new Map(counts.map(({ _id, count }) => [String(_id), count]))
+    )
+  );
+});
+
+// @desc    Fetch the products in a category and all its subcategories, with
+//          the same filters, sorting and pagination as GET /api/products
+// @route   GET /api/categories/:slug/products?keyword=&brand=&...&page=&pageSize=
+// @access  Public
+const getCategoryProducts = asyncHandler(async (req, res) => {
+  const category = await Category.findOne({ slug: req.params.slug }).populate(
+    'ancestors',
+    'name slug'
+  );
+
+  if (!category) {
+    throw new NotFoundError('Category not found', { code: 'CATEGORY_NOT_FOUND' });
+  }
+
+  const { brandIds } = await resolveTaxonomyFilters(req.query);
+  const { filter, sort, page, pageSize } = buildProductQuery(req.query, {
+    categoryIds: await Category.subtreeIds(category),
+    brandIds,
+  });
+
+  const [total, products] = await Promise.all([
+    Product.countDocuments(filter),
+    Product.find(filter)
+      .populate('category', 'name slug')
+      .populate('brand', 'name slug')
+      .sort(sort)
+      .skip(pageSize * (page - 1))
+      .limit(pageSize),
+  ]);
+
+  res.json({
+    category, // ancestors are populated for breadcrumbs
+    products,
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+  });
+});
+
+// @desc    Create a category, at the top level or under a parent
+// @route   POST /api/categories
+// @access  Private/Admin
+const createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, parent: parentId } = req.body;
+  const parent = await findParent(parentId);
+
+  await assertUniqueName(name, parentId);
+
+  const category = await Category.create({
+    name,
+    slug: slug || (await uniqueSlug(Category, name)),
+    description,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+  });
+
+  res.status(201).json(category);
+});
+
+// @desc    Rename, describe or move a category. Its slug only changes when
+//          one is sent, so links to it keep working.
+// @route   PATCH /api/categories/:id
+// @access  Private/Admin
+const updateCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError('Category not found', { code: 'CATEGORY_NOT_FOUND' });
+  }
+
+  const { name, slug, description, parent: parentId } = req.body;
+  const moving =
+    parentId !== undefined && String(parentId) !== String(category.parent);
+  const parent = moving ? await findParent(parentId) : null;
+
+  if (
+    parent &&
+    (parent._id.equals(category._id) ||
+      parent.ancestors.some((id) => id.equals(category._id)))
+  ) {
+    throw new BadRequestError('A category cannot be moved under itself', {
+      code: 'CATEGORY_CYCLE',
+    });
+  }
+
+  if (name !== undefined || moving) {
+    await assertUniqueName(
+      name !== undefined ? name : category.name,
+      moving ? parentId : category.parent,
+      category._id
+    );
+  }
+
+  if (name !== undefined) category.name = name;
+  if (slug !== undefined) category.slug = slug;
+  if (description !== undefined) category.description = description;
+
+  if (moving) {
+    await mongoose.connection.transaction((session) =>
+      category.moveTo(parent, { session })
+    );
+  } else {
+    await category.save();
+  }
+
+  res.json(category);
+});
+
+// @desc    Delete a category that has no subcategories and no products
+//          (archived ones included)
+// @route   DELETE /api/categories/:id
+// @access  Private/Admin
+const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError('Category not found', { code: 'CATEGORY_NOT_FOUND' });
+  }
+
+  const [children, products] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ category: category._id }),
+  ]);
+
+  if (children > 0 || products > 0) {
+    throw new ConflictError(
+      'Move its subcategories and products elsewhere before deleting a category',
+      { code: 'CATEGORY_NOT_EMPTY', details: { children, products } }
+    );
+  }
+
+  await category.deleteOne();
+  res.json({ message: 'Category removed' });
+});
+
+module.exports = {
+  getCategories,
+  getCategoryProducts,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -1,5 +1,21 @@
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
+const { priceOrder } = require('../utils/pricing');
+const { reserveStock, releaseStock } = require('../utils/inventory');
+const { claimPromotions, releasePromotions } = require('../utils/promotions');
+const {
+  getPaymentProvider,
+  markOrderPaid,
+  refundOrder,
+} = require('../utils/payments');
+const { can } = require('../config/policies');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../utils/errors');
+const { getPagination } = require('../utils/queryParams');
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -8,32 +24,52 @@ const addOrderItems = asyncHandler(async (req, res) => {
   const {
     orderItems,
     shippingAddress,
+    shippingMethod,
     paymentMethod,
-    itemsPrice,
-    taxPrice,
-    shippingPrice,
-    totalPrice,
+    couponCode,
   } = req.body;
 
-  if (orderItems && orderItems.length === 0) {
-    res.status(400);
-    throw new Error('No order items');
-    return;
-  } else {
+  // Prices sent by the client are ignored and recomputed from the catalog
+  const pricing = await priceOrder(orderItems, {
+    couponCode,
+    user: req.user._id,
+    shippingAddress,
+    shippingMethod,
+  });
+
+  let createdOrder;
+
+  // Stock is decremented, the coupon use counted and the order saved
+  // together, or not at all
+  await mongoose.connection.transaction(async (session) => {
     const order = new Order({
-      orderItems,
+      ...pricing,
       user: req.user._id,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
     });
 
-    const createdOrder = await order.save();
-    res.status(201).json(createdOrder);
-  }
+    await reserveStock(order, session);
+    await claimPromotions(order, session);
+    createdOrder = await order.save({ session });
+  });
+
+  res.status(201).json(createdOrder);
+});
+
+// @desc    Price a cart, with an optional coupon and shipping address,
+//          without creating an order
+// @route   POST /api/orders/quote
+// @access  Private
+const getOrderQuote = asyncHandler(async (req, res) => {
+  const { orderItems, couponCode, shippingAddress, shippingMethod } = req.body;
+  const quote = await priceOrder(orderItems, {
+    couponCode,
+    user: req.user._id,
+    shippingAddress,
+    shippingMethod,
+  });
+  res.json(quote);
 });
 
 // @desc    Get order by ID
@@ -48,33 +84,63 @@ const getOrderById = asyncHandler(async (req, res) => {
   if (order) {
     res.json(order);
   } else {
-    res.status(404);
-    throw new Error('Order not found');
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
   }
 });
 
-// @desc    Update order to paid
+// @desc    Capture the order's payment and mark it paid
 // @route   PUT /api/orders/:id/pay
-// @access  Private
+// @access  Private (order owner)
 const updateOrderToPaid = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
 
-  if (order) {
-    order.isPaid = true;
-    order.paidAt = Date.now();
-    order.paymentResult = { // This can be populated with actual payment gateway response
-      id: req.body.id,
-      status: req.body.status,
-      update_time: req.body.update_time,
-      email_address: req.body.email_address,
-    };
+  if (!order) {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
 
-    const updatedOrder = await order.save();
-    res.json(updatedOrder);
-  } else {
-    res.status(404);
-    throw new Error('Order not found');
+  if (!order.paymentResult || !order.paymentResult.id) {
+    throw new BadRequestError('No payment has been started for this order', {
+      code: 'PAYMENT_NOT_STARTED',
+    });
   }
+
+  // Anything in the request body is ignored: only the provider can confirm
+  // that the payment went through
+  const intent = await getPaymentProvider().capturePayment(order.paymentResult.id);
+  const updatedOrder = await markOrderPaid(order, intent, { actor: req.user._id });
+
+  res.json(updatedOrder);
+});
+
+// @desc    Get all orders, newest first
+// @route   GET /api/orders?status=&user=&page=&pageSize=
+// @access  Private/Staff
+const getOrders = asyncHandler(async (req, res) => {
+  const { page, pageSize } = getPagination(req.query, 20);
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.user) {
+    filter.user = req.query.user;
+  }
+
+  const [total, orders] = await Promise.all([
+    Order.countDocuments(filter),
+    Order.find(filter)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(pageSize * (page - 1))
+      .limit(pageSize),
+  ]);
+
+  res.json({
+    orders,
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+  });
 });
 
 // @desc    Get logged in user orders
@@ -85,9 +151,118 @@ const getMyOrders = asyncHandler(async (req, res) => {
   res.json(orders);
 });
 
+// @desc    Update order to processing
+// @route   PUT /api/orders/:id/process
+// @access  Private/Admin
+const updateOrderToProcessing = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (order) {
+    order.transitionTo('processing', { actor: req.user._id, note: req.body.note });
+
+    const updatedOrder = await order.save();
+    res.json(updatedOrder);
+  } else {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+});
+
+// @desc    Update order to shipped
+// @route   PUT /api/orders/:id/ship
+// @access  Private/Admin
+const updateOrderToShipped = asyncHandler(async (req, res) => {
+  const { trackingNumber, carrier, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (order) {
+    order.transitionTo('shipped', { actor: req.user._id, note });
+    order.trackingNumber = trackingNumber;
+    order.carrier = carrier;
+
+    const updatedOrder = await order.save();
+    res.json(updatedOrder);
+  } else {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+});
+
+// @desc    Update order to delivered
+// @route   PUT /api/orders/:id/deliver
+// @access  Private/Admin
+const updateOrderToDelivered = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (order) {
+    order.transitionTo('delivered', { actor: req.user._id, note: req.body.note });
+
+    const updatedOrder = await order.save();
+    res.json(updatedOrder);
+  } else {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+});
+
+// @desc    Cancel an order that has not shipped and return its stock and
+//          coupon use. A paid order is refunded in full, so staff without
+//          the refund permission can only cancel unpaid orders.
+// @route   PUT /api/orders/:id/cancel
+// @access  Private (order owner) / Staff
+const cancelOrder = asyncHandler(async (req, res) => {
+  let updatedOrder;
+
+  await mongoose.connection.transaction(async (session) => {
+    const order = await Order.findById(req.params.id).session(session);
+
+    if (!order) {
+      throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+    }
+
+    // Cancelling a paid order refunds it, so staff also need the refund
+    // permission; customers may always cancel (and get back) their own
+    if (
+      order.isPaid &&
+      !order.user.equals(req.user._id) &&
+      !can(req.user, 'order:refund')
+    ) {
+      throw new ForbiddenError('Paid orders can only be cancelled by an admin', {
+        code: 'REFUND_NOT_ALLOWED',
+      });
+    }
+
+    order.transitionTo('cancelled', { actor: req.user._id, note: req.body.reason });
+    await releaseStock(order, {
+      reason: 'cancellation',
+      user: req.user._id,
+      session,
+    });
+    await releasePromotions(order, session);
+    updatedOrder = await order.save({ session });
+  });
+
+  // After the cancellation is committed: should the refund fail, the order
+  // stays cancelled, and POST /api/orders/:id/refunds refunds it or finishes
+  // the refund left pending, without paying out twice
+  if (updatedOrder.isPaid) {
+    await refundOrder(updatedOrder, {
+      reason: 'Order cancelled',
+      actor: req.user._id,
+    });
+    updatedOrder = await updatedOrder.save();
+  }
+
+  res.json(updatedOrder);
+});
+
 module.exports = {
   addOrderItems,
+  getOrderQuote,
   getOrderById,
   updateOrderToPaid,
+  updateOrderToProcessing,
+  updateOrderToShipped,
+  updateOrderToDelivered,
+  cancelOrder,
+  getOrders,
   getMyOrders,
 };
@@ -0,0 +1,94 @@
+const asyncHandler = require('express-async-handler');
+const archiver = require('archiver');
+const Order = require('../models/Order');
+const { assignInvoiceNumber } = require('../utils/invoices');
+const {
+  createInvoicePdf,
+  createPackingSlipPdf,
+} = require('../utils/orderDocuments');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+const findOrder = async (id) => {
+  const order = await Order.findById(id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+  return order;
+};
+
+// Stream a PDF document as a download
+const sendPdf = (res, doc, filename) => {
+  res.set('Content-Type', 'application/pdf');
+  res.attachment(filename);
+  doc.pipe(res);
+};
+
+// @desc    Download the invoice of a paid order as a PDF. The first
+//          download gives the order its invoice number.
+// @route   GET /api/orders/:id/invoice.pdf
+// @access  Private (order owner)
+const getInvoicePdf = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  // Invoice numbers are sequential, so none is spent on an order that may
+  // still expire unpaid
+  if (!order.isPaid) {
+    throw new ConflictError('Orders are invoiced once they are paid', {
+      code: 'INVOICE_NOT_AVAILABLE',
+    });
+  }
+
+  const invoiced = await assignInvoiceNumber(order);
+  await invoiced.populate('user', 'name email');
+
+  sendPdf(res, createInvoicePdf(invoiced), `${invoiced.invoiceNumber}.pdf`);
+});
+
+// @desc    Download the order's packing slip as a PDF
+// @route   GET /api/orders/:id/packing-slip.pdf
+// @access  Private/Admin
+const getPackingSlipPdf = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id);
+  await order.populate('user', 'name');
+
+  sendPdf(res, createPackingSlipPdf(order), `packing-slip-${order._id}.pdf`);
+});
+
+// @desc    Download the packing slips of several orders as one zip file
+// @route   GET /api/orders/packing-slips.zip?ids=a,b,c
+// @access  Private/Admin
+const getPackingSlipsZip = asyncHandler(async (req, res) => {
+  const { ids } = req.query;
+  const orders = await Order.find({ _id: { $in: ids } }).populate('user', 'name');
+
+  if (orders.length < ids.length) {
+    const found = new Set(orders.map(({ _id }) => String(_id)));
+    throw new NotFoundError('Some orders were not found', {
+      code: 'ORDER_NOT_FOUND',
+      details: { ids: ids.filter((id) => !found.has(id)) },
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const archive = archiver('zip');
+
+  archive.on('error', (err) => {
+    // Once streaming has started the status line is gone; just cut it short
+    console.error(`Packing slip download failed: ${err.message}`);
+    res.destroy(err);
+  });
+
+  res.set('Content-Type', 'application/zip');
+  res.attachment(`packing-slips-${date}.zip`);
+  archive.pipe(res);
+
+  orders.forEach((order) => {
+    archive.append(createPackingSlipPdf(order), {
+      name: `packing-slip-${order._id}.pdf`,
+    });
+  });
+  await archive.finalize();
+});
+
+module.exports = { getInvoicePdf, getPackingSlipPdf, getPackingSlipsZip };
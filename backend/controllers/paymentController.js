@@ -0,0 +1,223 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const paymentsConfig = require('../config/payments');
+const {
+  getPaymentProvider,
+  toMinorUnits,
+  markOrderPaid,
+  refundOrder,
+} = require('../utils/payments');
+const {
+  findReturn,
+  transitionReturn,
+  returnValue,
+} = require('../utils/returns');
+const { releaseStock } = require('../utils/inventory');
+const { releasePromotions } = require('../utils/promotions');
+const { AppError, ConflictError, NotFoundError } = require('../utils/errors');
+
+// The intent last issued for an order, as the provider holds it, or null
+// when there is none (or the provider no longer knows it)
+const findIssuedIntent = async (provider, order) => {
+  const { paymentResult } = order;
+
+  if (
+    !paymentResult ||
+    !paymentResult.id ||
+    paymentResult.provider !== provider.name
+  ) {
+    return null;
+  }
+
+  try {
+    return await provider.retrievePaymentIntent(paymentResult.id);
+  } catch (err) {
+    if (err instanceof AppError && err.code === 'PAYMENT_INTENT_NOT_FOUND') {
+      return null;
+    }
+    throw err;
+  }
+};
+
+// @desc    Start a payment for an order, or resume the one already started
+// @route   POST /api/orders/:id/payment-intent
+// @access  Private (order owner)
+const createOrderPaymentIntent = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+
+  if (order.status !== 'pending') {
+    throw new ConflictError(`Order is already ${order.status}`, {
+      code: 'ORDER_NOT_PENDING',
+    });
+  }
+
+  const provider = getPaymentProvider();
+  const openIntent = await findIssuedIntent(provider, order);
+
+  if (openIntent && openIntent.status === 'succeeded') {
+    // Paid, but neither the capture nor the webhook got through
+    await markOrderPaid(order, openIntent, { actor: req.user._id });
+    throw new ConflictError('Order is already paid', {
+      code: 'ORDER_NOT_PENDING',
+    });
+  }
+
+  // Paying again picks the open intent back up instead of replacing it, so
+  // a capture or webhook for it still finds the order
+  let intent = openIntent;
+  let statusCode = 200;
+
+  if (!intent || intent.status !== 'requires_capture') {
+    intent = await provider.createPaymentIntent({
+      amount: toMinorUnits(order.totalPrice),
+      currency: paymentsConfig.currency,
+      metadata: { orderId: String(order._id) },
+    });
+    statusCode = 201;
+
+    order.paymentResult = {
+      provider: provider.name,
+      id: intent.id,
+      currency: intent.currency,
+      status: intent.status,
+      update_time: new Date().toISOString(),
+    };
+    await order.save();
+  }
+
+  res.status(statusCode).json({
+    provider: provider.name,
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount: intent.amount,
+    currency: intent.currency,
+  });
+});
+
+// @desc    Receive payment events from the provider
+// @route   POST /api/payments/webhook
+// @access  Public (HMAC signed)
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider();
+  const event = provider.verifyWebhook(req.body, req.headers);
+  const intentId = event.data && event.data.id;
+
+  const order = intentId && (await Order.findOne({ 'paymentResult.id': intentId }));
+
+  // Acknowledge events we cannot act on so the provider stops retrying
+  if (!order) {
+    return res.json({ received: true, ignored: 'Unknown payment intent' });
+  }
+
+  // Amount, currency and status come from the provider, not the event
+  const intent = await provider.retrievePaymentIntent(intentId);
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      try {
+        await markOrderPaid(order, intent);
+      } catch (err) {
+        // Anything unexpected fails the request, so the provider retries
+        if (!(err instanceof AppError)) throw err;
+        if (err.code === 'PAYMENT_REFUNDED') {
+          console.warn(`Payment ${intent.id} for order ${order._id}: ${err.message}`);
+          return res.json({ received: true, refunded: true });
+        }
+        // Money was taken that no order accounts for: someone has to look
+        console.error(
+          `UNAPPLIED PAYMENT ${intent.id} for order ${order._id}: ${err.message}`
+        );
+        return res.json({ received: true, ignored: err.message });
+      }
+      break;
+    case 'payment_intent.payment_failed':
+      if (!order.isPaid) {
+        order.paymentResult.status = intent.status || 'failed';
+        order.paymentResult.update_time = new Date().toISOString();
+        await order.save();
+      }
+      break;
+    default:
+      return res.json({ received: true, ignored: `Unhandled event ${event.type}` });
+  }
+
+  res.json({ received: true });
+});
+
+// @desc    Refund an order in full or in part. For a received return the
+//          amount defaults to what was paid for its items. A full refund
+//          before shipping also returns the stock and coupon use. Sent again
+//          after a failure, it finishes the refund already started.
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin
+const createOrderRefund = asyncHandler(async (req, res) => {
+  const { returnId, reason } = req.body;
+  let { amount } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+
+  const wasUnshipped = ['paid', 'processing'].includes(order.status);
+
+  if (returnId) {
+    const rma = findReturn(order, returnId);
+    // Checked before the money moves; recorded after
+    if (rma.status !== 'received') {
+      throw new ConflictError('Only received returns can be refunded', {
+        code: 'INVALID_RETURN_TRANSITION',
+      });
+    }
+    if (amount === undefined) {
+      amount = returnValue(order, rma);
+    }
+  }
+
+  // The refund asked for, or one an earlier request left unfinished
+  const refund = await refundOrder(order, {
+    amount,
+    reason,
+    returnId,
+    actor: req.user._id,
+  });
+
+  if (refund.return) {
+    transitionReturn(order, findReturn(order, refund.return), 'refunded', {
+      actor: req.user._id,
+    });
+  }
+
+  // Fully refunded before it shipped: like a cancellation, its stock and
+  // coupon use go back, together with the refund being recorded
+  if (wasUnshipped && order.status === 'refunded') {
+    let updatedOrder;
+
+    await mongoose.connection.transaction(async (session) => {
+      await releaseStock(order, {
+        reason: 'refund',
+        user: req.user._id,
+        session,
+      });
+      await releasePromotions(order, session);
+      updatedOrder = await order.save({ session });
+    });
+
+    return res.status(201).json(updatedOrder);
+  }
+
+  const updatedOrder = await order.save();
+  res.status(201).json(updatedOrder);
+});
+
+module.exports = {
+  createOrderPaymentIntent,
+  handlePaymentWebhook,
+  createOrderRefund,
+};
@@ -1,25 +1,99 @@
 const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ProductRevision = require('../models/ProductRevision');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const { buildProductQuery } = require('../utils/productQuery');
+const {
+  createTaxonomyResolver,
+  resolveTaxonomyFilters,
+} = require('../utils/taxonomy');
+const {
+  saveNewProduct,
+  saveProductChanges,
+  getRollbackValues,
+} = require('../utils/productRevisions');
+const { getPagination } = require('../utils/queryParams');
+const { purgeProduct } = require('../utils/productPurge');
+const { buildVariantMatrix } = require('../utils/productVariants');
+const { can } = require('../config/policies');
+const productsConfig = require('../config/products');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../utils/errors');
 
-// @desc    Fetch all products
-// @route   GET /api/products
-// @access  Public
+// Reject a write made against an older copy of the product than the one
+// stored. `version` is the __v the client last read; it is optional so that
+// scripts can still make blind updates.
+const assertCurrentVersion = (product, version) => {
+  if (version !== undefined && version !== product.__v) {
+    throw new ConflictError(
+      'Product was changed by someone else. Reload it and try again.',
+      { code: 'STALE_WRITE', details: { currentVersion: product.__v } }
+    );
+  }
+};
+
+// Category and brand ids sent by admins must exist
+const assertTaxonomyExists = async ({ category, brand }) => {
+  if (category && !(await Category.exists({ _id: category }))) {
+    throw new BadRequestError('Category not found', { code: 'CATEGORY_NOT_FOUND' });
+  }
+  if (brand && !(await Brand.exists({ _id: brand }))) {
+    throw new BadRequestError('Brand not found', { code: 'BRAND_NOT_FOUND' });
+  }
+};
+
+// Id of the default category or brand, created on first use
+const defaultTaxonomyId = async (Model, name) =>
+  (await createTaxonomyResolver(Model)(name))._id;
+
+// @desc    Fetch products with search, filters, sorting and pagination
+// @route   GET /api/products?keyword=&category=&brand=&minPrice=&maxPrice=&minRating=&inStock=&sort=&page=&pageSize=
+// @route   GET /api/products/admin?status=active|archived|all&...
+//          category and brand are ids or slugs; a category includes its
+//          subcategories
+// @access  Public (archived products only through the admin route)
 const getProducts = asyncHandler(async (req, res) => {
-  const products = await Product.find({});
-  res.json(products);
+  const { filter, sort, page, pageSize } = buildProductQuery(
+    req.query,
+    await resolveTaxonomyFilters(req.query)
+  );
+
+  const [total, products] = await Promise.all([
+    Product.countDocuments(filter),
+    Product.find(filter)
+      .populate('category', 'name slug')
+      .populate('brand', 'name slug')
+      .sort(sort)
+      .skip(pageSize * (page - 1))
+      .limit(pageSize),
+  ]);
+
+  res.json({
+    products,
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+  });
 });
 
-// @desc    Fetch single product
+// @desc    Fetch single product, archived ones included for order history
 // @route   GET /api/products/:id
 // @access  Public
 const getProductById = asyncHandler(async (req, res) => {
-  const product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id)
+    .populate('category', 'name slug ancestors')
+    .populate('brand', 'name slug');
 
   if (product) {
-    res.json(product);
+    res.json({ ...product.toJSON(), variantMatrix: buildVariantMatrix(product) });
   } else {
-    res.status(404);
-    throw new Error('Product not found');
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
   }
 });
 
@@ -27,62 +101,284 @@ const getProductById = asyncHandler(async (req, res) => {
 // @route   POST /api/products
 // @access  Private/Admin
 const createProduct = asyncHandler(async (req, res) => {
-  const { name, price, description, image, brand, category, countInStock } = req.body;
+  const {
+    name,
+    price,
+    description,
+    image,
+    images,
+    brand,
+    category,
+    countInStock,
+    options,
+    variants,
+  } = req.body;
+
+  await assertTaxonomyExists({ category, brand });
 
   const product = new Product({
     name,
     price,
     user: req.user._id,
     image,
-    brand,
-    category,
+    images,
+    brand: brand || (await defaultTaxonomyId(Brand, productsConfig.defaultBrand)),
+    category:
+      category || (await defaultTaxonomyId(Category, productsConfig.defaultCategory)),
     countInStock,
+    options,
+    variants,
     numReviews: 0,
     description,
   });
 
-  const createdProduct = await product.save();
-  res.status(201).json(createdProduct);
+  await saveNewProduct(product, { user: req.user._id });
+
+  res.status(201).json(product);
 });
 
-// @desc    Update a product
-// @route   PUT /api/products/:id
+// @desc    Update some fields of a product
+// @route   PATCH /api/products/:id (PUT is kept as an alias)
 // @access  Private/Admin
 const updateProduct = asyncHandler(async (req, res) => {
-  const { name, price, description, image, brand, category, countInStock } = req.body;
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
+  }
+
+  // Only fields present in the (validated) body are changed
+  const { version, ...values } = req.body;
+  assertCurrentVersion(product, version);
+  await assertTaxonomyExists(values);
 
+  await saveProductChanges(product, values, {
+    user: req.user._id,
+    action: 'update',
+  });
+
+  res.json(product);
+});
+
+// @desc    List the change history of a product, newest first
+// @route   GET /api/products/:id/revisions?page=&pageSize=
+// @access  Private/Admin
+const getProductRevisions = asyncHandler(async (req, res) => {
+  const { page, pageSize } = getPagination(req.query, 20);
+
+  if (!(await Product.exists({ _id: req.params.id }))) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
+  }
+
+  const filter = { product: req.params.id };
+  const [total, revisions] = await Promise.all([
+    ProductRevision.countDocuments(filter),
+    ProductRevision.find(filter)
+      .populate('user', 'name email')
+      .sort({ version: -1 })
+      .skip(pageSize * (page - 1))
+      .limit(pageSize),
+  ]);
+
+  res.json({
+    revisions,
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+  });
+});
+
+// @desc    Restore a product to how it was right after a revision
+// @route   POST /api/products/:id/revisions/:revisionId/rollback
+// @access  Private/Admin
+const rollbackProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
-  if (product) {
-    product.name = name;
-    product.price = price;
-    product.description = description;
-    product.image = image;
-    product.brand = brand;
-    product.category = category;
-    product.countInStock = countInStock;
-
-    const updatedProduct = await product.save();
-    res.json(updatedProduct);
-  } else {
-    res.status(404);
-    throw new Error('Product not found');
+  if (!product) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
   }
+
+  const revision = await ProductRevision.findOne({
+    _id: req.params.revisionId,
+    product: product._id,
+  });
+
+  if (!revision) {
+    throw new NotFoundError('Revision not found', { code: 'REVISION_NOT_FOUND' });
+  }
+
+  assertCurrentVersion(product, req.body.version);
+
+  const values = await getRollbackValues(product, revision);
+  const changes = await saveProductChanges(product, values, {
+    user: req.user._id,
+    action: 'rollback',
+    revertedTo: revision._id,
+  });
+
+  res.json({ product, changes });
 });
 
-// @desc    Delete a product
+// @desc    Archive a product: hide it from the catalog but keep it for
+//          order history until it is restored or purged
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
 const deleteProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
-  if (product) {
-    await product.deleteOne(); // Corrected: Use deleteOne method on the document
-    res.json({ message: 'Product removed' });
-  } else {
-    res.status(404);
-    throw new Error('Product not found');
+  if (!product) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
   }
+
+  if (!product.archivedAt) {
+    product.archivedAt = Date.now();
+    product.archivedBy = req.user._id;
+    await product.save();
+  }
+
+  res.json({ message: 'Product archived', archivedAt: product.archivedAt });
+});
+
+// @desc    Restore an archived product to the catalog
+// @route   POST /api/products/:id/restore
+// @access  Private/Admin
+const restoreProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
+  }
+
+  if (product.archivedAt) {
+    product.archivedAt = null;
+    product.archivedBy = undefined;
+    await product.save();
+  }
+
+  res.json(product);
+});
+
+// @desc    Permanently delete an archived product
+// @route   DELETE /api/products/:id/purge
+// @access  Private/Admin
+const deleteProductPermanently = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('archivedAt');
+
+  if (!product) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
+  }
+
+  if (!product.archivedAt) {
+    throw new ConflictError('Archive the product before purging it', {
+      code: 'PRODUCT_NOT_ARCHIVED',
+    });
+  }
+
+  await purgeProduct(product._id);
+
+  res.json({ message: 'Product purged' });
+});
+
+// @desc    Create new review
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createProductReview = asyncHandler(async (req, res) => {
+  const { rating, comment } = req.body;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw new NotFoundError('Product not found', { code: 'PRODUCT_NOT_FOUND' });
+  }
+
+  if (product.archivedAt) {
+    throw new BadRequestError('This product is no longer available', {
+      code: 'PRODUCT_ARCHIVED',
+    });
+  }
+
+  const hasPurchased = await Order.exists({
+    user: req.user._id,
+    isPaid: true,
+    'orderItems.product': product._id,
+  });
+
+  if (!hasPurchased) {
+    throw new ForbiddenError(
+      'Only customers who purchased this product can review it',
+      { code: 'REVIEW_NOT_ALLOWED' }
+    );
+  }
+
+  const updatedProduct = await Product.addReview(product._id, {
+    user: req.user._id,
+    name: req.user.name,
+    rating,
+    comment,
+  });
+
+  if (!updatedProduct) {
+    throw new BadRequestError('Product already reviewed', {
+      code: 'ALREADY_REVIEWED',
+    });
+  }
+
+  res.status(201).json({
+    message: 'Review added',
+    rating: updatedProduct.rating,
+    numReviews: updatedProduct.numReviews,
+    reviews: updatedProduct.reviews,
+  });
+});
+
+// @desc    Update a review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private (review author or review:moderate)
+const updateProductReview = asyncHandler(async (req, res) => {
+  const { rating, comment } = req.body;
+
+  const updatedProduct = await Product.updateReview(
+    req.params.id,
+    req.params.reviewId,
+    {
+      user: can(req.user, 'review:moderate') ? undefined : req.user._id,
+      rating,
+      comment,
+    }
+  );
+
+  if (!updatedProduct) {
+    throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+  }
+
+  res.json({
+    message: 'Review updated',
+    rating: updatedProduct.rating,
+    numReviews: updatedProduct.numReviews,
+    reviews: updatedProduct.reviews,
+  });
+});
+
+// @desc    Delete a review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private (review author or review:moderate)
+const deleteProductReview = asyncHandler(async (req, res) => {
+  const updatedProduct = await Product.removeReview(
+    req.params.id,
+    req.params.reviewId,
+    { user: can(req.user, 'review:moderate') ? undefined : req.user._id }
+  );
+
+  if (!updatedProduct) {
+    throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+  }
+
+  res.json({
+    message: 'Review removed',
+    rating: updatedProduct.rating,
+    numReviews: updatedProduct.numReviews,
+    reviews: updatedProduct.reviews,
+  });
 });
 
 module.exports = {
@@ -91,4 +387,11 @@ module.exports = {
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  deleteProductPermanently,
+  getProductRevisions,
+  rollbackProduct,
+  createProductReview,
+  updateProductReview,
+  deleteProductReview,
 };
@@ -0,0 +1,101 @@
+const asyncHandler = require('express-async-handler');
+const Promotion = require('../models/Promotion');
+const { escapeRegex, getPagination } = require('../utils/queryParams');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// @desc    List promotions, newest first
+// @route   GET /api/promotions?keyword=&active=&page=&pageSize=
+// @access  Private/Admin
+const getPromotions = asyncHandler(async (req, res) => {
+  const { page, pageSize } = getPagination(req.query, 20);
+  const filter = {};
+
+  if (req.query.keyword) {
+    filter.code = { $regex: escapeRegex(String(req.query.keyword)), $options: 'i' };
+  }
+
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active;
+  }
+
+  const [total, promotions] = await Promise.all([
+    Promotion.countDocuments(filter),
+    Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(pageSize * (page - 1))
+      .limit(pageSize),
+  ]);
+
+  res.json({
+    promotions,
+    page,
+    pages: Math.ceil(total / pageSize),
+    total,
+  });
+});
+
+// @desc    Get promotion by ID
+// @route   GET /api/promotions/:id
+// @access  Private/Admin
+const getPromotionById = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+
+  if (promotion) {
+    res.json(promotion);
+  } else {
+    throw new NotFoundError('Promotion not found', { code: 'PROMOTION_NOT_FOUND' });
+  }
+});
+
+// @desc    Create a promotion
+// @route   POST /api/promotions
+// @access  Private/Admin
+const createPromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.create({ ...req.body, user: req.user._id });
+  res.status(201).json(promotion);
+});
+
+// @desc    Update some fields of a promotion
+// @route   PATCH /api/promotions/:id
+// @access  Private/Admin
+const updatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+
+  if (!promotion) {
+    throw new NotFoundError('Promotion not found', { code: 'PROMOTION_NOT_FOUND' });
+  }
+
+  promotion.set(req.body);
+  const updatedPromotion = await promotion.save();
+
+  res.json(updatedPromotion);
+});
+
+// @desc    Delete a promotion that no order used; deactivate used ones
+// @route   DELETE /api/promotions/:id
+// @access  Private/Admin
+const deletePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+
+  if (!promotion) {
+    throw new NotFoundError('Promotion not found', { code: 'PROMOTION_NOT_FOUND' });
+  }
+
+  if (promotion.usageCount > 0) {
+    throw new ConflictError(
+      'Orders have used this promotion. Deactivate it instead.',
+      { code: 'PROMOTION_IN_USE' }
+    );
+  }
+
+  await promotion.deleteOne();
+  res.json({ message: 'Promotion removed' });
+});
+
+module.exports = {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+};
@@ -0,0 +1,95 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { releaseStock } = require('../utils/inventory');
+const {
+  findReturn,
+  requestReturn,
+  transitionReturn,
+  returnedStock,
+} = require('../utils/returns');
+const { NotFoundError } = require('../utils/errors');
+
+const findOrder = async (id, session = null) => {
+  const order = await Order.findById(id).session(session);
+
+  if (!order) {
+    throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+  }
+
+  return order;
+};
+
+// @desc    Request a return of some lines of a delivered order. Responds
+//          with the order; the return is the last of order.returns.
+// @route   POST /api/orders/:id/returns
+// @access  Private (order owner) / Staff
+const createReturn = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  requestReturn(order, req.body, { actor: req.user._id });
+  const updatedOrder = await order.save();
+
+  res.status(201).json(updatedOrder);
+});
+
+// Approve or reject a requested return
+const decideReturn = (status) =>
+  asyncHandler(async (req, res) => {
+    const order = await findOrder(req.params.id);
+
+    transitionReturn(order, findReturn(order, req.params.returnId), status, {
+      actor: req.user._id,
+      note: req.body.note,
+    });
+    const updatedOrder = await order.save();
+
+    res.json(updatedOrder);
+  });
+
+// @desc    Approve a return; the customer can send the items back
+// @route   PUT /api/orders/:id/returns/:returnId/approve
+// @access  Private/Admin
+const approveReturn = decideReturn('approved');
+
+// @desc    Reject a return
+// @route   PUT /api/orders/:id/returns/:returnId/reject
+// @access  Private/Admin
+const rejectReturn = decideReturn('rejected');
+
+// @desc    Record that the returned items arrived, optionally putting them
+//          back in stock
+// @route   PUT /api/orders/:id/returns/:returnId/receive
+// @access  Private/Admin
+const receiveReturn = asyncHandler(async (req, res) => {
+  const { restock, note } = req.body;
+  let updatedOrder;
+
+  await mongoose.connection.transaction(async (session) => {
+    const order = await findOrder(req.params.id, session);
+    const rma = findReturn(order, req.params.returnId);
+
+    transitionReturn(order, rma, 'received', { actor: req.user._id, note });
+
+    if (restock) {
+      await releaseStock(order, {
+        reason: 'return',
+        user: req.user._id,
+        session,
+        items: returnedStock(order, rma),
+      });
+      rma.restocked = true;
+    }
+
+    updatedOrder = await order.save({ session });
+  });
+
+  res.json(updatedOrder);
+});
+
+module.exports = {
+  createReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+};
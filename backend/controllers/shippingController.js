@@ -0,0 +1,99 @@
+const asyncHandler = require('express-async-handler');
+const ShippingZone = require('../models/ShippingZone');
+const { priceLines } = require('../utils/pricing');
+const { measureShipment, getShippingRates } = require('../utils/shipping');
+const { NotFoundError } = require('../utils/errors');
+
+// @desc    Shipping methods and prices for a cart sent to an address,
+//          cheapest first. Coupons are not taken into account.
+// @route   GET /api/shipping/rates?items=PRODUCT[:VARIANT]:QTY,...&country=&postalCode=
+// @access  Public
+const getRates = asyncHandler(async (req, res) => {
+  const { items, country, postalCode } = req.query;
+  const shipment = measureShipment(await priceLines(items));
+  const { zone, methods } = await getShippingRates(
+    { country, postalCode },
+    shipment
+  );
+
+  res.json({
+    zone: { _id: zone._id, name: zone.name },
+    ...shipment,
+    methods,
+  });
+});
+
+// @desc    List shipping zones, highest priority first
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+const getZones = asyncHandler(async (req, res) => {
+  const zones = await ShippingZone.find({}).sort({ priority: -1, name: 1 });
+  res.json(zones);
+});
+
+// @desc    Get shipping zone by ID
+// @route   GET /api/shipping/zones/:id
+// @access  Private/Admin
+const getZoneById = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (zone) {
+    res.json(zone);
+  } else {
+    throw new NotFoundError('Shipping zone not found', {
+      code: 'SHIPPING_ZONE_NOT_FOUND',
+    });
+  }
+});
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+const createZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.create(req.body);
+  res.status(201).json(zone);
+});
+
+// @desc    Update some fields of a shipping zone
+// @route   PATCH /api/shipping/zones/:id
+// @access  Private/Admin
+const updateZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found', {
+      code: 'SHIPPING_ZONE_NOT_FOUND',
+    });
+  }
+
+  zone.set(req.body);
+  const updatedZone = await zone.save();
+
+  res.json(updatedZone);
+});
+
+// @desc    Delete a shipping zone. Orders keep the method they were
+//          quoted, so this does not affect them.
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+const deleteZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found', {
+      code: 'SHIPPING_ZONE_NOT_FOUND',
+    });
+  }
+
+  await zone.deleteOne();
+  res.json({ message: 'Shipping zone removed' });
+});
+
+module.exports = {
+  getRates,
+  getZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone,
+};
@@ -0,0 +1,76 @@
+const asyncHandler = require('express-async-handler');
+const TaxRate = require('../models/TaxRate');
+const { NotFoundError } = require('../utils/errors');
+
+// @desc    List tax rates by country, country-wide rates first
+// @route   GET /api/tax/rates?country=
+// @access  Private/Admin
+const getTaxRates = asyncHandler(async (req, res) => {
+  const rates = await TaxRate.findByCountry(req.query.country).sort({
+    country: 1,
+    region: 1,
+  });
+
+  res.json(rates);
+});
+
+// @desc    Get tax rate by ID
+// @route   GET /api/tax/rates/:id
+// @access  Private/Admin
+const getTaxRateById = asyncHandler(async (req, res) => {
+  const rate = await TaxRate.findById(req.params.id);
+
+  if (rate) {
+    res.json(rate);
+  } else {
+    throw new NotFoundError('Tax rate not found', { code: 'TAX_RATE_NOT_FOUND' });
+  }
+});
+
+// @desc    Create a tax rate for a country or one of its regions
+// @route   POST /api/tax/rates
+// @access  Private/Admin
+const createTaxRate = asyncHandler(async (req, res) => {
+  const rate = await TaxRate.create(req.body);
+  res.status(201).json(rate);
+});
+
+// @desc    Update some fields of a tax rate. Placed orders keep the tax
+//          they were charged.
+// @route   PATCH /api/tax/rates/:id
+// @access  Private/Admin
+const updateTaxRate = asyncHandler(async (req, res) => {
+  const rate = await TaxRate.findById(req.params.id);
+
+  if (!rate) {
+    throw new NotFoundError('Tax rate not found', { code: 'TAX_RATE_NOT_FOUND' });
+  }
+
+  rate.set(req.body);
+  const updatedRate = await rate.save();
+
+  res.json(updatedRate);
+});
+
+// @desc    Delete a tax rate; its addresses fall back to the country's rate
+//          or the default rates
+// @route   DELETE /api/tax/rates/:id
+// @access  Private/Admin
+const deleteTaxRate = asyncHandler(async (req, res) => {
+  const rate = await TaxRate.findById(req.params.id);
+
+  if (!rate) {
+    throw new NotFoundError('Tax rate not found', { code: 'TAX_RATE_NOT_FOUND' });
+  }
+
+  await rate.deleteOne();
+  res.json({ message: 'Tax rate removed' });
+});
+
+module.exports = {
+  getTaxRates,
+  getTaxRateById,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+};
@@ -0,0 +1,13 @@
+const asyncHandler = require('express-async-handler');
+const { storeImage } = require('../utils/imageUpload');
+
+// @desc    Upload a product image and generate its resized renditions
+// @route   POST /api/upload (multipart/form-data, field "image")
+// @access  Private/Admin
+const uploadProductImage = asyncHandler(async (req, res) => {
+  const image = await storeImage(req.file.buffer);
+
+  res.status(201).json(image);
+});
+
+module.exports = { uploadProductImage };
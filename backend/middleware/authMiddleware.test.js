@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { can } = require('../config/policies');
+const { authorize, ownerOf } = require('./authMiddleware');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const user = (role) => ({ _id: id(), role });
+
+// Run a middleware; resolves with the error passed to next(), if any
+const run = (middleware, req) =>
+  new Promise((resolve) => {
+    middleware(req, {}, (err) => resolve(err));
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('can', () => {
+  test('grants permissions by role only', () => {
+    expect(can(user('admin'), 'order:refund')).toBe(true);
+    expect(can(user('support'), 'order:list')).toBe(true);
+    expect(can(user('support'), 'order:refund')).toBe(false);
+    expect(can(user('catalog_manager'), 'product:update')).toBe(true);
+    // Owners of an order still do not hold order:read by role
+    expect(can(user('customer'), 'order:read')).toBe(false);
+  });
+
+  test('denies unknown permissions and missing users', () => {
+    expect(can(user('admin'), 'order:teleport')).toBe(false);
+    expect(can(undefined, 'order:list')).toBe(false);
+  });
+});
+
+describe('authorize', () => {
+  test('lets roles holding the permission through', async () => {
+    await expect(
+      run(authorize('product:create'), { user: user('catalog_manager') })
+    ).resolves.toBeUndefined();
+  });
+
+  test('refuses other roles with a 403', async () => {
+    await expect(
+      run(authorize('product:create'), { user: user('support') })
+    ).resolves.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+  });
+
+  test('lets owners through where the policy allows it', async () => {
+    const customer = user('customer');
+    const getOwner = jest.fn().mockResolvedValue(customer._id);
+
+    await expect(
+      run(authorize('order:read', getOwner), { user: customer })
+    ).resolves.toBeUndefined();
+    await expect(
+      run(authorize('order:read', getOwner), { user: user('customer') })
+    ).resolves.toMatchObject({ statusCode: 403 });
+  });
+
+  test('never asks for the owner of resources owners cannot use', async () => {
+    const getOwner = jest.fn();
+
+    await expect(
+      run(authorize('order:refund', getOwner), { user: user('customer') })
+    ).resolves.toMatchObject({ statusCode: 403 });
+    expect(getOwner).not.toHaveBeenCalled();
+  });
+
+  test('fails loudly on a permission no policy defines', async () => {
+    await expect(
+      run(authorize('order:teleport'), { user: user('admin') })
+    ).resolves.toMatchObject({
+      message: 'Unknown permission: order:teleport',
+    });
+  });
+});
+
+describe('ownerOf', () => {
+  test('resolves the owner of the addressed document', async () => {
+    const owner = id();
+    const select = jest.fn().mockResolvedValue({ user: owner });
+    jest.spyOn(Order, 'findById').mockReturnValue({ select });
+
+    const orderId = String(id());
+    await expect(
+      ownerOf(Order)({ params: { id: orderId } })
+    ).resolves.toBe(owner);
+    expect(Order.findById).toHaveBeenCalledWith(orderId);
+    expect(select).toHaveBeenCalledWith('user');
+  });
+
+  test('fails with a 404 for a missing document', async () => {
+    jest
+      .spyOn(Order, 'findById')
+      .mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    await expect(
+      ownerOf(Order)({ params: { id: String(id()) } })
+    ).rejects.toMatchObject({ statusCode: 404, code: 'ORDER_NOT_FOUND' });
+  });
+
+  test('gives a malformed id no owner', async () => {
+    const findById = jest.spyOn(Order, 'findById');
+
+    await expect(
+      ownerOf(Order)({ params: { id: 'not-an-id' } })
+    ).resolves.toBeNull();
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
@@ -1,15 +1,100 @@
+const mongoose = require('mongoose');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+// Codes for errors that were raised without one (e.g. res.status(n) followed
+// by a plain Error), derived from the status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  402: 'PAYMENT_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+};
+
 const notFound = (req, res, next) => {
-  const error = new Error(`Not Found - ${req.originalUrl}`);
-  res.status(404);
-  next(error);
+  next(
+    new NotFoundError(`Not Found - ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' })
+  );
+};
+
+// Translate database errors into client errors so they do not surface as 500s
+const normalizeError = (err, res) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(`Invalid ${err.path}: ${err.value}`, {
+      statusCode: 400,
+      code: err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+      details: [{ field: err.path, message: `Invalid ${err.kind}` }],
+    });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError('Validation failed', {
+      statusCode: 400,
+      code: 'VALIDATION_FAILED',
+      details: Object.values(err.errors).map((fieldError) => ({
+        location: 'body',
+        field: fieldError.path,
+        message: fieldError.message,
+      })),
+    });
+  }
+
+  // Unique index violation (E11000)
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      fields.length > 0 ? `${fields.join(', ')} already exists` : 'Duplicate value',
+      {
+        statusCode: 409,
+        code: 'DUPLICATE_KEY',
+        details: fields.map((field) => ({ field, message: `${field} already exists` })),
+      }
+    );
+  }
+
+  // Optimistic concurrency conflict on save()
+  if (err instanceof mongoose.Error.VersionError) {
+    return new AppError('The resource was modified by another request', {
+      statusCode: 409,
+      code: 'STALE_WRITE',
+    });
+  }
+
+  // Errors thrown outside a controller (e.g. from utils) can carry their own
+  // status; otherwise fall back to what the controller set on the response
+  const statusCode =
+    err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
+  return new AppError(err.message, {
+    statusCode,
+    code: STATUS_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'ERROR'),
+    details: err.details,
+  });
 };
 
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
-  res.status(statusCode);
+  const error = normalizeError(err, res);
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (error.statusCode >= 500) {
+    console.error(`[${req.id}]`, err);
+  }
+
+  res.status(error.statusCode);
   res.json({
-    message: err.message,
-    stack: process.env.NODE_ENV === 'production' ? null : err.stack,
+    // Do not leak internals of unexpected failures in production
+    message:
+      isProduction && error.statusCode >= 500 ? 'Internal server error' : error.message,
+    code: error.code,
+    requestId: req.id,
+    ...(error.details && { details: error.details }),
+    stack: isProduction ? null : err.stack,
   });
 };
 
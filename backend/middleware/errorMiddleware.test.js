@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { notFound, errorHandler } = require('./errorMiddleware');
+const { ConflictError } = require('../utils/errors');
+
+// Sends `err` through the handler and returns the status and body it answered
+const handle = (err, { statusCode = 200 } = {}) => {
+  const res = {
+    statusCode,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  errorHandler(err, { id: 'req-1' }, res, () => {});
+  return { status: res.statusCode, body: res.body };
+};
+
+const originalEnv = process.env.NODE_ENV;
+
+afterEach(() => {
+  process.env.NODE_ENV = originalEnv;
+  jest.restoreAllMocks();
+});
+
+test('answers app errors with their status, code and details', () => {
+  const { status, body } = handle(
+    new ConflictError('Out of stock', {
+      code: 'INSUFFICIENT_STOCK',
+      details: [{ field: 'qty', message: 'Only 2 left' }],
+    })
+  );
+
+  expect(status).toBe(409);
+  expect(body).toMatchObject({
+    message: 'Out of stock',
+    code: 'INSUFFICIENT_STOCK',
+    requestId: 'req-1',
+    details: [{ field: 'qty', message: 'Only 2 left' }],
+  });
+});
+
+test('maps an unknown route to ROUTE_NOT_FOUND', () => {
+  let error;
+  notFound({ originalUrl: '/api/nope' }, {}, (err) => {
+    error = err;
+  });
+
+  expect(handle(error)).toMatchObject({
+    status: 404,
+    body: { code: 'ROUTE_NOT_FOUND' },
+  });
+});
+
+test('maps database errors to client errors', () => {
+  const castError = new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+  expect(handle(castError)).toMatchObject({
+    status: 400,
+    body: { code: 'INVALID_ID', details: [{ field: '_id' }] },
+  });
+
+  const validationError = new mongoose.Error.ValidationError();
+  validationError.addError(
+    'price',
+    new mongoose.Error.ValidatorError({ path: 'price', message: 'Too low' })
+  );
+  expect(handle(validationError)).toMatchObject({
+    status: 400,
+    body: {
+      code: 'VALIDATION_FAILED',
+      details: [{ location: 'body', field: 'price', message: 'Too low' }],
+    },
+  });
+
+  const duplicate = Object.assign(new Error('E11000'), {
+    code: 11000,
+    keyValue: { email: 'a@example.com' },
+  });
+  expect(handle(duplicate)).toMatchObject({
+    status: 409,
+    body: { code: 'DUPLICATE_KEY', message: 'email already exists' },
+  });
+
+  const stale = new mongoose.Error.VersionError(
+    { _doc: { _id: 'x' } },
+    1,
+    ['price']
+  );
+  expect(handle(stale)).toMatchObject({
+    status: 409,
+    body: { code: 'STALE_WRITE' },
+  });
+});
+
+test('derives a code from the status a controller set', () => {
+  const error = new Error('Not authorized');
+
+  expect(handle(error, { statusCode: 401 })).toMatchObject({
+    status: 401,
+    body: { code: 'UNAUTHORIZED', message: 'Not authorized' },
+  });
+});
+
+test('hides unexpected failures in production', () => {
+  process.env.NODE_ENV = 'production';
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  expect(handle(new Error('connection refused'))).toEqual({
+    status: 500,
+    body: {
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: 'req-1',
+      stack: null,
+    },
+  });
+  expect(console.error).toHaveBeenCalled();
+});
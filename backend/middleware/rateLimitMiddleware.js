@@ -0,0 +1,86 @@
+const asyncHandler = require('express-async-handler');
+const rateLimitConfig = require('../config/rateLimit');
+const { getRateLimitStore } = require('../utils/rateLimit');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Fixed window rate limiter. Sets the RateLimit-* headers on every response
+// and Retry-After when the limit is hit.
+//   name     - namespace for the counters
+//   key      - (req) => string identifying who is limited, e.g. IP or email;
+//              return nothing to skip limiting the request
+//   skipSuccessfulRequests - only count requests that end in an error
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  skipSuccessfulRequests = false,
+  message = 'Too many requests, please try again later',
+  store,
+}) =>
+  asyncHandler(async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    const limiterStore = store || getRateLimitStore();
+    const counterKey = `${name}:${id}`;
+    const { count, resetAt } = await limiterStore.increment(counterKey, windowMs);
+    const secondsToReset = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(secondsToReset));
+
+    if (count > max) {
+      res.set('Retry-After', String(secondsToReset));
+      throw new TooManyRequestsError(message, { code: 'RATE_LIMITED' });
+    }
+
+    if (skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          limiterStore.decrement(counterKey).catch(() => {});
+        }
+      });
+    }
+
+    next();
+  });
+
+const normalizeEmail = (req) =>
+  req.body && req.body.email ? String(req.body.email).trim().toLowerCase() : undefined;
+
+const loginByIpLimiter = rateLimit({
+  name: 'login-ip',
+  ...rateLimitConfig.loginByIp,
+  skipSuccessfulRequests: true,
+  message: 'Too many login attempts from this IP, please try again later',
+});
+
+const loginByAccountLimiter = rateLimit({
+  name: 'login-account',
+  ...rateLimitConfig.loginByAccount,
+  key: normalizeEmail,
+  skipSuccessfulRequests: true,
+  message: 'Too many login attempts for this account, please try again later',
+});
+
+const registerLimiter = rateLimit({
+  name: 'register',
+  ...rateLimitConfig.register,
+});
+
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  ...rateLimitConfig.passwordReset,
+});
+
+module.exports = {
+  rateLimit,
+  loginByIpLimiter,
+  loginByAccountLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+};
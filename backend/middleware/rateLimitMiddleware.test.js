@@ -0,0 +1,86 @@
+const { rateLimit } = require('./rateLimitMiddleware');
+const { createMemoryStore } = require('../utils/rateLimit');
+
+// A request through `limiter`: resolves with the response and the error
+// passed to next(), if any. `finish` ends the response with `statusCode`.
+const hit = (limiter, { ip = '1.2.3.4', body, statusCode = 200 } = {}) =>
+  new Promise((resolve) => {
+    const headers = {};
+    let onFinish = () => {};
+    const res = {
+      statusCode,
+      set: (name, value) => {
+        headers[name] = value;
+      },
+      on: (event, listener) => {
+        onFinish = listener;
+      },
+    };
+
+    limiter({ ip, body }, res, (err) => {
+      onFinish();
+      resolve({ headers, err });
+    });
+  });
+
+test('lets requests through up to the limit', async () => {
+  const limiter = rateLimit({
+    name: 'test',
+    windowMs: 60000,
+    max: 2,
+    store: createMemoryStore(),
+  });
+
+  await hit(limiter);
+  const { headers, err } = await hit(limiter);
+
+  expect(err).toBeUndefined();
+  expect(headers).toMatchObject({
+    'RateLimit-Limit': '2',
+    'RateLimit-Remaining': '0',
+    'RateLimit-Reset': '60',
+  });
+
+  const limited = await hit(limiter);
+  expect(limited.err).toMatchObject({ statusCode: 429, code: 'RATE_LIMITED' });
+  expect(limited.headers['Retry-After']).toBe('60');
+
+  // Other clients have their own count
+  await expect(hit(limiter, { ip: '5.6.7.8' })).resolves.toMatchObject({
+    err: undefined,
+  });
+});
+
+test('only counts failures when asked to', async () => {
+  const limiter = rateLimit({
+    name: 'login',
+    windowMs: 60000,
+    max: 1,
+    skipSuccessfulRequests: true,
+    store: createMemoryStore(),
+  });
+
+  await hit(limiter);
+  await new Promise(setImmediate); // let the decrement land
+  await expect(hit(limiter, { statusCode: 401 })).resolves.toMatchObject({
+    err: undefined,
+  });
+  const { err } = await hit(limiter, { statusCode: 401 });
+  expect(err).toMatchObject({ code: 'RATE_LIMITED' });
+});
+
+test('skips requests without a key', async () => {
+  const store = createMemoryStore();
+  const increment = jest.spyOn(store, 'increment');
+  const limiter = rateLimit({
+    name: 'account',
+    windowMs: 60000,
+    max: 1,
+    key: (req) => req.body && req.body.email,
+    store,
+  });
+
+  await hit(limiter, { body: {} });
+
+  expect(increment).not.toHaveBeenCalled();
+});
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Accept ids from an upstream proxy only if they look like an id, so a client
+// cannot inject arbitrary text into our logs
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tag every request with an id, echoed in the X-Request-Id response header
+// and in error payloads so a report from a user can be matched to the logs.
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id =
+    incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+module.exports = { requestId, REQUEST_ID_HEADER };
@@ -0,0 +1,52 @@
+const multer = require('multer');
+const uploadsConfig = require('../config/uploads');
+const { BadRequestError } = require('../utils/errors');
+
+// Parse a multipart request holding a single image in `field` into req.file.
+// Files are kept in memory: they are small and get resized before storing.
+const uploadImage = (field = 'image', config = uploadsConfig) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxFileSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (config.allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(
+          new BadRequestError(
+            `Unsupported image type. Allowed: ${config.allowedTypes.join(', ')}`,
+            { code: 'UNSUPPORTED_FILE_TYPE' }
+          )
+        );
+      }
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(
+          err.code === 'LIMIT_FILE_SIZE'
+            ? new BadRequestError(
+                `File is larger than ${config.maxFileSizeMb} MB`,
+                { code: 'FILE_TOO_LARGE' }
+              )
+            : new BadRequestError(err.message, { code: 'INVALID_UPLOAD' })
+        );
+      }
+      if (err) {
+        return next(err);
+      }
+      if (!req.file) {
+        return next(
+          new BadRequestError(`No file uploaded in field "${field}"`, {
+            code: 'NO_FILE',
+          })
+        );
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { uploadImage };
@@ -0,0 +1,49 @@
+const { ValidationError } = require('../utils/errors');
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false, // report every invalid field, not just the first
+  convert: true, // coerce "5" to 5, "true" to true, etc.
+  stripUnknown: true, // drop fields the schema does not know about
+  errors: { wrap: { label: false } },
+};
+
+// Validate and normalize parts of the request against Joi schemas, e.g.
+// validate({ params: idParams, body: createProductSchema }). On failure
+// responds 400 with one entry per invalid field in `details`.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  ['params', 'query', 'body'].forEach((location) => {
+    const schema = schemas[location];
+    if (!schema) return;
+
+    const { value, error } = schema.validate(req[location] || {}, VALIDATION_OPTIONS);
+
+    if (error) {
+      error.details.forEach((detail) => {
+        details.push({
+          location,
+          field: detail.path.join('.'),
+          message: detail.message,
+        });
+      });
+      return;
+    }
+
+    if (location === 'query') {
+      // req.query is a getter in Express 5, so shadow it with the clean value
+      Object.defineProperty(req, 'query', { value, writable: true, enumerable: true });
+    } else if (location === 'body') {
+      req.body = value;
+    }
+    // params are only checked: Express rebuilds req.params for every handler
+  });
+
+  if (details.length > 0) {
+    return next(new ValidationError('Validation failed', { details }));
+  }
+
+  next();
+};
+
+module.exports = { validate, VALIDATION_OPTIONS };
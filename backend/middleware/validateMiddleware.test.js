@@ -0,0 +1,53 @@
+const { validate } = require('./validateMiddleware');
+const { Joi, idParams, pagination } = require('../validators/common');
+
+// Runs `middleware` and resolves with the request and the error passed to
+// next(), if any
+const run = (middleware, req) =>
+  new Promise((resolve) => {
+    middleware(req, {}, (err) => resolve({ req, err }));
+  });
+
+const listQuery = Joi.object({ keyword: Joi.string().trim(), ...pagination });
+const bodySchema = Joi.object({
+  name: Joi.string().trim().required(),
+  price: Joi.number().min(0).required(),
+});
+
+test('normalizes the query and body', async () => {
+  const { req, err } = await run(
+    validate({ query: listQuery, body: bodySchema }),
+    {
+      query: { keyword: ' shoes ', page: '2' },
+      body: { name: ' Shoe ', price: '10', isAdmin: true },
+    }
+  );
+
+  expect(err).toBeUndefined();
+  expect(req.query).toEqual({ keyword: 'shoes', page: 2 });
+  // Unknown fields are dropped
+  expect(req.body).toEqual({ name: 'Shoe', price: 10 });
+});
+
+test('reports every invalid field with its location', async () => {
+  const { err } = await run(
+    validate({ params: idParams, body: bodySchema }),
+    { params: { id: '123' }, body: { price: -1 } }
+  );
+
+  expect(err).toMatchObject({
+    statusCode: 400,
+    code: 'VALIDATION_FAILED',
+    details: [
+      { location: 'params', field: 'id', message: 'id must be a valid id' },
+      { location: 'body', field: 'name', message: expect.any(String) },
+      { location: 'body', field: 'price', message: expect.any(String) },
+    ],
+  });
+});
+
+test('validates a missing body as empty', async () => {
+  const { err } = await run(validate({ body: bodySchema }), {});
+
+  expect(err.details.map((detail) => detail.field)).toEqual(['name', 'price']);
+});
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const BrandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Brand', BrandSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A node of the category tree. `ancestors` lists the ids from the root down
+// to the parent, so a whole subtree is one query on { ancestors: id }.
+const CategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+  ],
+}, {
+  timestamps: true,
+});
+
+CategorySchema.index({ parent: 1, name: 1 });
+CategorySchema.index({ ancestors: 1 });
+
+// Ids of a category and of every category below it
+CategorySchema.statics.subtreeIds = async function (category) {
+  const descendants = await this.find({ ancestors: category._id }, '_id');
+  return [category._id, ...descendants.map(({ _id }) => _id)];
+};
+
+// Move a category under a new parent (null for the root), rewriting the
+// ancestors of the whole subtree. The caller checks for cycles.
+CategorySchema.methods.moveTo = async function (parent, { session } = {}) {
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  const depth = this.ancestors.length;
+
+  this.parent = parent ? parent._id : null;
+  this.ancestors = ancestors;
+  await this.save({ session });
+
+  const descendants = await this.constructor
+    .find({ ancestors: this._id })
+    .session(session || null);
+
+  if (descendants.length > 0) {
+    await this.constructor.bulkWrite(
+      descendants.map((descendant) => ({
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: {
+              ancestors: [...ancestors, ...descendant.ancestors.slice(depth)],
+            },
+          },
+        },
+      })),
+      { session }
+    );
+  }
+
+  return this;
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
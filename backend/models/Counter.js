@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. for invoice numbers
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String }, // sequence name
+  seq: { type: Number, required: true, default: 0 },
+});
+
+// Next value of a sequence, starting at 1. Inside a transaction an aborted
+// caller gives its number back, so sequences have no gaps.
+CounterSchema.statics.next = async function (name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
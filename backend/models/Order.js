@@ -1,4 +1,82 @@
 const mongoose = require('mongoose');
+const {
+  ORDER_STATUSES,
+  RETURN_STATUSES,
+  canTransition,
+} = require('../utils/orderStatus');
+const { ConflictError } = require('../utils/errors');
+
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const statusHistorySchema = mongoose.Schema({
+  status: { type: String, required: true, enum: ORDER_STATUSES },
+  // Set for steps that leave the status as it is, e.g. 'return_approved'
+  // or 'refunded' for a partial refund
+  event: { type: String },
+  actor: { // user who made the change; empty for system jobs
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: { type: String },
+  at: { type: Date, required: true, default: Date.now },
+});
+
+// A promotion applied to the order, with everything it took off
+const discountSchema = mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Promotion',
+  },
+  code: { type: String, required: true },
+  type: { type: String, required: true },
+  description: { type: String },
+  amount: { type: Number, required: true },
+});
+
+// A refund of (part of) the order's payment
+const refundSchema = mongoose.Schema({
+  id: { type: String }, // refund id at the payment provider
+  amount: { type: Number, required: true },
+  reason: { type: String },
+  return: { type: mongoose.Schema.Types.ObjectId }, // Order.returns entry refunded
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // A refund is recorded as pending before the provider is asked for it,
+  // under a key that makes asking again safe. See utils/payments.
+  status: {
+    type: String,
+    required: true,
+    enum: REFUND_STATUSES,
+    default: 'succeeded',
+  },
+  idempotencyKey: { type: String },
+  at: { type: Date, required: true, default: Date.now },
+});
+
+// A return (RMA) of some delivered lines. See utils/returns.js.
+const returnSchema = mongoose.Schema({
+  items: [
+    {
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      qty: { type: Number, required: true, min: 1 },
+      reason: { type: String, required: true },
+      _id: false,
+    },
+  ],
+  status: {
+    type: String,
+    required: true,
+    enum: RETURN_STATUSES,
+    default: 'requested',
+  },
+  note: { type: String }, // from the customer
+  restocked: { type: Boolean, required: true, default: false },
+  requestedAt: { type: Date, required: true, default: Date.now },
+  approvedAt: { type: Date },
+  rejectedAt: { type: Date },
+  receivedAt: { type: Date },
+  refundedAt: { type: Date },
+});
 
 const OrderSchema = new mongoose.Schema({
   user: {
@@ -11,29 +89,79 @@ const OrderSchema = new mongoose.Schema({
       name: { type: String, required: true },
       qty: { type: Number, required: true },
       image: { type: String, required: true },
-      price: { type: Number, required: true },
+      price: { type: Number, required: true }, // unit price at the time of order
+      subtotal: { type: Number, required: true }, // price * qty
+      discount: { type: Number, required: true, default: 0.0 }, // off subtotal
+      // Tax on subtotal less discount, at taxRate (a fraction) for the
+      // product's tax class
+      taxClass: { type: String, required: true, default: 'standard' },
+      taxRate: { type: Number, required: true, default: 0.0 },
+      taxPrice: { type: Number, required: true, default: 0.0 },
       product: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,
         ref: 'Product',
       },
+      // Set when a specific variant was bought; sku and options are copied
+      // so the line still reads correctly if the variant changes later
+      variant: { type: mongoose.Schema.Types.ObjectId },
+      sku: { type: String },
+      options: { type: Map, of: String },
     },
   ],
   shippingAddress: {
     address: { type: String, required: true },
     city: { type: String, required: true },
     postalCode: { type: String, required: true },
+    region: { type: String }, // state, province, ...; for tax rates
     country: { type: String, required: true },
   },
+  shippingMethod: { // as quoted when the order was placed
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+    zoneName: { type: String },
+    code: { type: String },
+    name: { type: String },
+    price: { type: Number },
+    minDays: { type: Number },
+    maxDays: { type: Number },
+  },
   paymentMethod: {
     type: String,
     required: true,
   },
   paymentResult: {
-    id: { type: String },
+    provider: { type: String },
+    id: { type: String }, // payment intent id at the provider
+    currency: { type: String },
     status: { type: String },
     update_time: { type: String },
     email_address: { type: String },
+    amountRefunded: { type: Number, default: 0.0 },
+    refunds: [refundSchema],
+  },
+  itemsPrice: {
+    type: Number,
+    required: true,
+    default: 0.0,
+  },
+  discounts: [discountSchema],
+  // Set when the promotion uses were given back (a cancellation, or a full
+  // refund before shipping), so they count towards no usage limit
+  promotionsReleased: { type: Boolean, default: false },
+  discountPrice: { // line discounts plus any shipping discount
+    type: Number,
+    required: true,
+    default: 0.0,
+  },
+  // How taxPrice was worked out. rate is empty for the default rates of
+  // config/pricing.js.
+  tax: {
+    rate: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRate' },
+    name: { type: String },
+    country: { type: String },
+    region: { type: String },
+    pricesIncludeTax: { type: Boolean }, // if so, taxPrice is part of itemsPrice
+    rounding: { type: String, enum: ['line', 'order'] },
   },
   taxPrice: {
     type: Number,
@@ -50,6 +178,13 @@ const OrderSchema = new mongoose.Schema({
     required: true,
     default: 0.0,
   },
+  status: {
+    type: String,
+    required: true,
+    enum: ORDER_STATUSES,
+    default: 'pending',
+  },
+  statusHistory: [statusHistorySchema],
   isPaid: {
     type: Boolean,
     required: true,
@@ -66,8 +201,99 @@ const OrderSchema = new mongoose.Schema({
   deliveredAt: {
     type: Date,
   },
+  shippedAt: {
+    type: Date,
+  },
+  trackingNumber: {
+    type: String,
+  },
+  carrier: {
+    type: String,
+  },
+  isCancelled: {
+    type: Boolean,
+    required: true,
+    default: false,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  refundedAt: {
+    type: Date,
+  },
+  returns: [returnSchema],
+  // Given the first time the invoice is downloaded (utils/invoices.js)
+  invoiceNumber: {
+    type: String,
+  },
+  invoicedAt: {
+    type: Date,
+  },
 }, {
   timestamps: true,
 });
 
+// Used by the unpaid order expiry job
+OrderSchema.index({ status: 1, createdAt: 1 });
+OrderSchema.index({ 'paymentResult.id': 1 });
+// Per-customer promotion usage
+OrderSchema.index({ user: 1, 'discounts.promotion': 1 });
+OrderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
+// Every order starts its history with the initial status
+OrderSchema.pre('validate', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, actor: this.user });
+  }
+  next();
+});
+
+// Move the order to a new status, keeping the legacy flags and timestamps in
+// sync and appending to the history. Throws on a transition that is not allowed.
+OrderSchema.methods.transitionTo = function (status, { actor, note } = {}) {
+  if (!canTransition(this.status, status)) {
+    throw new ConflictError(
+      `Cannot change order status from ${this.status} to ${status}`,
+      { code: 'INVALID_STATUS_TRANSITION' }
+    );
+  }
+
+  const now = Date.now();
+
+  switch (status) {
+    case 'paid':
+      this.isPaid = true;
+      this.paidAt = now;
+      break;
+    case 'shipped':
+      this.shippedAt = now;
+      break;
+    case 'delivered':
+      this.isDelivered = true;
+      this.deliveredAt = now;
+      break;
+    case 'cancelled':
+      this.isCancelled = true;
+      this.cancelledAt = now;
+      break;
+    case 'refunded':
+      this.refundedAt = now;
+      break;
+    default:
+      break;
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, actor, note, at: now });
+  // Make a concurrent transition of the same document fail with a VersionError
+  this.increment();
+};
+
+// Record a step that leaves the status as it is (returns, partial refunds)
+// in the history
+OrderSchema.methods.logEvent = function (event, { actor, note } = {}) {
+  this.statusHistory.push({ status: this.status, event, actor, note, at: Date.now() });
+  this.increment();
+};
+
 module.exports = mongoose.model('Order', OrderSchema);
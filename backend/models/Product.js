@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { TAX_CLASSES } = require('../utils/tax');
 
 const reviewSchema = mongoose.Schema(
   {
@@ -16,6 +17,32 @@ const reviewSchema = mongoose.Schema(
   }
 );
 
+// A gallery image, usually from POST /api/upload. `renditions` maps a size
+// name (see config/uploads.js) to the URL of the resized copy.
+const imageSchema = mongoose.Schema({
+  url: { type: String, required: true },
+  alt: { type: String },
+  renditions: { type: Map, of: String },
+});
+
+// An option the product comes in, e.g. { name: 'Size', values: ['S', 'M'] }
+const optionSchema = mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    values: [{ type: String, required: true }],
+  },
+  { _id: false }
+);
+
+// One purchasable combination of option values, e.g. { Size: 'M', Color: 'Red' }
+const variantSchema = mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, required: true },
+  price: { type: Number, default: null }, // null means the product's price
+  countInStock: { type: Number, required: true, default: 0, min: 0 },
+  image: { type: String }, // falls back to the product's image
+});
+
 const ProductSchema = new mongoose.Schema({
   user: { // admin who added the product
     type: mongoose.Schema.Types.ObjectId,
@@ -26,17 +53,24 @@ const ProductSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  image: {
+  sku: { // optional; catalog imports match products on it
+    type: String,
+    trim: true,
+  },
+  image: { // main image; mirrors the first gallery image when there is one
     type: String,
     required: true,
   },
+  images: [imageSchema], // gallery, in display order
   brand: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
     required: true,
+    ref: 'Brand',
   },
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
     required: true,
+    ref: 'Category',
   },
   description: {
     type: String,
@@ -63,8 +97,196 @@ const ProductSchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  weight: { // shipping weight in kg, per unit
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  taxClass: { // which of the rates in utils/tax.js applies
+    type: String,
+    required: true,
+    enum: TAX_CLASSES,
+    default: 'standard',
+  },
+  // Archived products are hidden from the catalog but stay readable for
+  // order history until they are purged
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  options: [optionSchema],
+  // When a product has variants they are what gets sold, and countInStock
+  // is kept as the sum of their stock
+  variants: [variantSchema],
 }, {
   timestamps: true,
+  // Every save() checks and bumps __v, so concurrent admin edits cannot
+  // silently overwrite each other (see updateProduct)
+  optimisticConcurrency: true,
+});
+
+ProductSchema.index({ archivedAt: 1 });
+ProductSchema.index({ category: 1 });
+ProductSchema.index({ brand: 1 });
+ProductSchema.index({ sku: 1 }, { unique: true, sparse: true });
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+ProductSchema.pre('validate', function (next) {
+  if (this.images.length > 0) {
+    this.image = this.images[0].url;
+  }
+  next();
+});
+
+// Every variant must pick exactly one allowed value for each option, and
+// no two variants may share a SKU or a combination of values
+ProductSchema.pre('validate', function (next) {
+  if (this.variants.length === 0) {
+    return next();
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const path = `variants.${index}`;
+    const chosen = variant.options || new Map();
+
+    if (skus.has(variant.sku)) {
+      this.invalidate(`${path}.sku`, `Duplicate SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    [...chosen.keys()]
+      .filter((name) => !this.options.some((option) => option.name === name))
+      .forEach((name) => this.invalidate(`${path}.options`, `Unknown option ${name}`));
+
+    this.options.forEach(({ name, values }) => {
+      if (!values.includes(chosen.get(name))) {
+        this.invalidate(
+          `${path}.options`,
+          `${name} must be one of: ${values.join(', ')}`
+        );
+      }
+    });
+
+    const combination = JSON.stringify(
+      this.options.map(({ name }) => chosen.get(name))
+    );
+    if (combinations.has(combination)) {
+      this.invalidate(`${path}.options`, 'Duplicate option combination');
+    }
+    combinations.add(combination);
+  });
+
+  this.countInStock = this.variants.reduce(
+    (total, variant) => total + variant.countInStock,
+    0
+  );
+  next();
 });
 
+// Unit price of a variant, or of the product itself when variant is empty
+ProductSchema.methods.priceFor = function (variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+// Recompute rating and numReviews from the reviews array in the same update
+const ratingStage = {
+  $set: {
+    numReviews: { $size: '$reviews' },
+    rating: { $ifNull: [{ $avg: '$reviews.rating' }, 0] },
+  },
+};
+
+// Add a review unless the user already reviewed the product. Returns null
+// when the product does not exist or already has a review from this user.
+ProductSchema.statics.addReview = function (productId, { user, name, rating, comment }) {
+  const now = new Date();
+  const review = {
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    rating,
+    comment,
+    user,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  return this.findOneAndUpdate(
+    { _id: productId, 'reviews.user': { $ne: user } },
+    [
+      { $set: { reviews: { $concatArrays: ['$reviews', [{ $literal: review }]] } } },
+      ratingStage,
+    ],
+    { new: true }
+  );
+};
+
+// Update a review's rating/comment. Pass `user` to restrict the update to
+// the review's author. Returns null when no matching review was found.
+ProductSchema.statics.updateReview = function (productId, reviewId, { user, rating, comment }) {
+  reviewId = new mongoose.Types.ObjectId(String(reviewId));
+  const reviewMatch = user ? { _id: reviewId, user } : { _id: reviewId };
+  const changes = { updatedAt: new Date() };
+  if (rating !== undefined) changes.rating = rating;
+  if (comment !== undefined) changes.comment = comment;
+
+  return this.findOneAndUpdate(
+    { _id: productId, reviews: { $elemMatch: reviewMatch } },
+    [
+      {
+        $set: {
+          reviews: {
+            $map: {
+              input: '$reviews',
+              as: 'review',
+              in: {
+                $cond: [
+                  { $eq: ['$$review._id', reviewId] },
+                  { $mergeObjects: ['$$review', { $literal: changes }] },
+                  '$$review',
+                ],
+              },
+            },
+          },
+        },
+      },
+      ratingStage,
+    ],
+    { new: true }
+  );
+};
+
+// Remove a review. Pass `user` to restrict the removal to the review's
+// author. Returns null when no matching review was found.
+ProductSchema.statics.removeReview = function (productId, reviewId, { user } = {}) {
+  reviewId = new mongoose.Types.ObjectId(String(reviewId));
+  const reviewMatch = user ? { _id: reviewId, user } : { _id: reviewId };
+
+  return this.findOneAndUpdate(
+    { _id: productId, reviews: { $elemMatch: reviewMatch } },
+    [
+      {
+        $set: {
+          reviews: {
+            $filter: {
+              input: '$reviews',
+              as: 'review',
+              cond: { $ne: ['$$review._id', reviewId] },
+            },
+          },
+        },
+      },
+      ratingStage,
+    ],
+    { new: true }
+  );
+};
+
 module.exports = mongoose.model('Product', ProductSchema);
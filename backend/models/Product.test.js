@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const productId = new mongoose.Types.ObjectId();
+const user = new mongoose.Types.ObjectId();
+
+let findOneAndUpdate;
+
+beforeEach(() => {
+  findOneAndUpdate = jest
+    .spyOn(Product, 'findOneAndUpdate')
+    .mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Rating and review count are recomputed in the update that changes the
+// reviews, so concurrent reviews cannot leave them out of step
+const expectRatingRecomputed = (pipeline) => {
+  expect(pipeline[pipeline.length - 1]).toEqual({
+    $set: {
+      numReviews: { $size: '$reviews' },
+      rating: { $ifNull: [{ $avg: '$reviews.rating' }, 0] },
+    },
+  });
+};
+
+test('adds a review only for users who have not reviewed yet', async () => {
+  await Product.addReview(productId, {
+    user,
+    name: 'Jane',
+    rating: 4,
+    comment: 'Good',
+  });
+
+  const [filter, pipeline, options] = findOneAndUpdate.mock.calls[0];
+  expect(filter).toEqual({ _id: productId, 'reviews.user': { $ne: user } });
+  const [review] = pipeline[0].$set.reviews.$concatArrays[1];
+  expect(review.$literal).toMatchObject({ user, rating: 4, comment: 'Good' });
+  expectRatingRecomputed(pipeline);
+  expect(options).toEqual({ new: true });
+});
+
+test('updates a review, restricted to its author when given', async () => {
+  const reviewId = new mongoose.Types.ObjectId();
+
+  await Product.updateReview(productId, String(reviewId), { user, rating: 2 });
+  await Product.updateReview(productId, reviewId, { comment: 'Edited' });
+
+  const [[ownFilter, pipeline], [anyFilter, moderated]] =
+    findOneAndUpdate.mock.calls;
+  expect(ownFilter).toEqual({
+    _id: productId,
+    reviews: { $elemMatch: { _id: reviewId, user } },
+  });
+  expect(anyFilter.reviews.$elemMatch).toEqual({ _id: reviewId });
+
+  const changes = (stages) =>
+    stages[0].$set.reviews.$map.in.$cond[1].$mergeObjects[1].$literal;
+  expect(changes(pipeline)).toMatchObject({ rating: 2 });
+  expect(changes(pipeline)).not.toHaveProperty('comment');
+  expect(changes(moderated)).toMatchObject({ comment: 'Edited' });
+  expect(changes(moderated)).not.toHaveProperty('rating');
+  expectRatingRecomputed(pipeline);
+});
+
+test('removes a review and recomputes the rating', async () => {
+  const reviewId = new mongoose.Types.ObjectId();
+
+  await Product.removeReview(productId, reviewId, { user });
+
+  const [filter, pipeline] = findOneAndUpdate.mock.calls[0];
+  expect(filter.reviews.$elemMatch).toEqual({ _id: reviewId, user });
+  expect(pipeline[0].$set.reviews.$filter.cond).toEqual({
+    $ne: ['$$review._id', reviewId],
+  });
+  expectRatingRecomputed(pipeline);
+});
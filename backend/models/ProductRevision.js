@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed }, // null when the field was unset
+    to: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// Append-only history of admin edits to a product, one document per change
+const ProductRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product',
+  },
+  user: { // admin who made the change
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  version: { // Product.__v right after the change
+    type: Number,
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'rollback'],
+  },
+  changes: [fieldChangeSchema],
+  revertedTo: { // for rollbacks, the revision that was restored
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductRevision',
+  },
+}, {
+  timestamps: true,
+});
+
+ProductRevisionSchema.index({ product: 1, version: -1 });
+
+module.exports = mongoose.model('ProductRevision', ProductRevisionSchema);
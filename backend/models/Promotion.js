@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// A coupon code customers enter at checkout. See utils/promotions.js for how
+// each type is applied.
+const PromotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['percent', 'fixed', 'free_shipping', 'buy_x_get_y'],
+  },
+  value: { // percent off (0-100) or amount off, by type
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // buy_x_get_y: for every buyQuantity units, getQuantity more (the
+  // cheapest ones) get getDiscountPercent off
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+  minSpend: { // cart items total needed to use the code
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Scope: when either is set, only matching lines are discounted.
+  // Categories include their subcategories.
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  usageLimit: { // orders across all customers; null for no limit
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  usageCount: { // orders placed with the code, less those given back
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  isActive: {
+    type: Boolean,
+    required: true,
+    default: true,
+  },
+  user: { // admin who created the promotion
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+PromotionSchema.pre('validate', function (next) {
+  if (this.type === 'percent' && this.value > 100) {
+    this.invalidate('value', 'A percentage cannot be more than 100');
+  }
+  if (['percent', 'fixed'].includes(this.type) && !(this.value > 0)) {
+    this.invalidate('value', 'A discount value is required');
+  }
+  if (this.type === 'buy_x_get_y') {
+    ['buyQuantity', 'getQuantity']
+      .filter((field) => !this[field])
+      .forEach((field) => this.invalidate(field, `${field} is required`));
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Count one more use, unless the global limit is reached. Resolves to null
+// when it is.
+PromotionSchema.statics.claimUse = function (id, { session } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+};
+
+PromotionSchema.statics.releaseUse = function (id, { session } = {}) {
+  return this.updateOne(
+    { _id: id, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+};
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Only a SHA-256 hash of the token is stored, never the token itself
+const RefreshTokenSchema = new mongoose.Schema({
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'TokenFamily',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: { // set when the token is rotated; presenting it again is reuse
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB drop expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
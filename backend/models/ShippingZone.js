@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const SHIPPING_METHODS = ['standard', 'express', 'pickup'];
+const RATE_TYPES = ['flat', 'weight', 'value'];
+
+// Price of a shipment up to `maxWeight` kg
+const weightRateSchema = mongoose.Schema(
+  {
+    maxWeight: { type: Number, required: true, min: 0 },
+    price: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Price of a shipment for orders worth at least `minOrderValue`
+const valueRateSchema = mongoose.Schema(
+  {
+    minOrderValue: { type: Number, required: true, min: 0 },
+    price: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// How a zone can be shipped to, and what it costs. See utils/shipping.js.
+const methodSchema = mongoose.Schema({
+  code: { type: String, required: true, enum: SHIPPING_METHODS },
+  name: { type: String, required: true },
+  rateType: { type: String, required: true, enum: RATE_TYPES, default: 'flat' },
+  flatRate: { type: Number, min: 0, default: 0 },
+  weightRates: [weightRateSchema],
+  valueRates: [valueRateSchema],
+  minDays: { type: Number, min: 0 }, // delivery estimate, in days
+  maxDays: { type: Number, min: 0 },
+  isActive: { type: Boolean, required: true, default: true },
+});
+
+// Addresses are matched on country (names or codes, compared as written in
+// addresses; '*' matches any) and, optionally, postal code patterns where
+// '*' matches any characters, e.g. 'SW1*'. Higher priority zones are tried
+// first, then those with postal codes, then those without.
+const ShippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  countries: {
+    type: [{ type: String, trim: true }],
+    validate: [
+      (countries) => countries.length > 0,
+      'At least one country is required',
+    ],
+  },
+  postalCodes: [{ type: String, trim: true }],
+  priority: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  methods: [methodSchema],
+  isActive: {
+    type: Boolean,
+    required: true,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// A zone offers each method once
+ShippingZoneSchema.pre('validate', function (next) {
+  const codes = this.methods.map((method) => method.code);
+  codes
+    .filter((code, index) => codes.indexOf(code) !== index)
+    .forEach((code) => this.invalidate('methods', `Duplicate method ${code}`));
+  next();
+});
+
+module.exports = mongoose.model('ShippingZone', ShippingZoneSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every change to Product.countInStock
+const StockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product',
+  },
+  variant: { // Product.variants entry, for products sold in variants
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  user: { // who triggered the movement, if anyone
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  quantity: { // negative when stock leaves, positive when it comes back
+    type: Number,
+    required: true,
+  },
+  balance: { // countInStock right after the movement
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['order', 'cancellation', 'expiry', 'return', 'refund', 'adjustment'],
+  },
+}, {
+  timestamps: true,
+});
+
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
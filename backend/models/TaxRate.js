@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const IGNORE_CASE = { locale: 'en', strength: 2 };
+
+// Tax rates of a country, or of one region of it (a state, province, ...).
+// Countries and regions are compared as written in addresses, ignoring
+// case. See utils/tax.js for how an address finds its rate.
+const TaxRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  region: { // null for the whole country
+    type: String,
+    trim: true,
+    default: null,
+  },
+  name: { // shown on invoices, e.g. 'VAT' or 'Sales tax'
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Fractions of the price, per product tax class; exempt products are
+  // never taxed
+  standard: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+  },
+  reduced: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1,
+  },
+}, {
+  timestamps: true,
+});
+
+TaxRateSchema.index({ country: 1, region: 1 }, { unique: true, collation: IGNORE_CASE });
+
+// Rates of a country, in any case; of every country when none is given
+TaxRateSchema.statics.findByCountry = function (country) {
+  return this.find(country ? { country: country.trim() } : {}).collation(IGNORE_CASE);
+};
+
+module.exports = mongoose.model('TaxRate', TaxRateSchema);
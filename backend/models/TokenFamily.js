@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A login session. Every refresh token issued by rotating from the same
+// login belongs to one family, so the whole chain can be revoked at once.
+const TokenFamilySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  userAgent: { type: String },
+  ip: { type: String },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'reuse_detected', 'admin'],
+  },
+  lastUsedAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+TokenFamilySchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('TokenFamily', TokenFamilySchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/policies');
+const authConfig = require('../config/auth');
+const rateLimitConfig = require('../config/rateLimit');
+const { hashToken, generateRandomToken } = require('../utils/hashToken');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -15,24 +19,124 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  isAdmin: {
+  role: {
+    type: String,
+    required: true,
+    enum: ROLES,
+    default: 'customer',
+  },
+  isEmailVerified: {
     type: Boolean,
     required: true,
     default: false,
   },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  // Single-use tokens, stored hashed and never returned by default
+  emailVerificationTokenHash: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  passwordResetTokenHash: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  failedLoginAttempts: { // consecutive failures since the last success/lockout
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  deletedAt: { // set when an account with orders is deleted and anonymized
+    type: Date,
+  },
 }, {
   timestamps: true,
 });
 
+// Kept for API responses and clients that still look at isAdmin
+UserSchema.virtual('isAdmin').get(function () {
+  return this.role === 'admin';
+});
+
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Issue a new email verification token, replacing any previous one.
+// Returns the raw token to send to the user; only its hash is stored.
+UserSchema.methods.createEmailVerificationToken = function () {
+  const token = generateRandomToken();
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + authConfig.emailVerificationTtlHours * 60 * 60 * 1000
+  );
+  return token;
+};
+
+// Issue a new password reset token, replacing any previous one
+UserSchema.methods.createPasswordResetToken = function () {
+  const token = generateRandomToken();
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(
+    Date.now() + authConfig.passwordResetTtlMinutes * 60 * 1000
+  );
+  return token;
+};
+
+// Find the user holding a valid token and clear it in the same update, so
+// that a token can only ever be redeemed once. Returns null otherwise.
+UserSchema.statics.consumeToken = function (kind, token) {
+  const hashField = `${kind}TokenHash`;
+  const expiresField = `${kind}Expires`;
+
+  return this.findOneAndUpdate(
+    {
+      [hashField]: hashToken(token),
+      [expiresField]: { $gt: new Date() },
+      deletedAt: null,
+    },
+    { $unset: { [hashField]: '', [expiresField]: '' } },
+    { new: true }
+  );
+};
+
+UserSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login; lock the account once the limit is reached
+UserSchema.statics.registerFailedLogin = async function (userId) {
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (user && user.failedLoginAttempts >= rateLimitConfig.maxFailedLogins) {
+    await this.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockUntil: new Date(Date.now() + rateLimitConfig.lockoutMinutes * 60 * 1000),
+        },
+      }
+    );
+  }
+};
+
+UserSchema.statics.clearFailedLogins = function (userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: '' } }
+  );
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
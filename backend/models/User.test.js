@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const authConfig = require('../config/auth');
+const rateLimitConfig = require('../config/rateLimit');
+const { hashToken } = require('../utils/hashToken');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const user = () =>
+  new User({ name: 'Jane', email: 'jane@example.com', password: 'secret' });
+
+test('stores only the hash of a password reset token', () => {
+  const jane = user();
+  const before = Date.now();
+
+  const token = jane.createPasswordResetToken();
+
+  expect(token).toMatch(/^[0-9a-f]{64}$/);
+  expect(jane.passwordResetTokenHash).toBe(hashToken(token));
+  expect(jane.passwordResetTokenHash).not.toBe(token);
+  expect(jane.passwordResetExpires.getTime()).toBeGreaterThanOrEqual(
+    before + authConfig.passwordResetTtlMinutes * 60 * 1000
+  );
+});
+
+test('replaces the previous email verification token', () => {
+  const jane = user();
+
+  const first = jane.createEmailVerificationToken();
+  const second = jane.createEmailVerificationToken();
+
+  expect(second).not.toBe(first);
+  expect(jane.emailVerificationTokenHash).toBe(hashToken(second));
+});
+
+test('consumes a token once by clearing it in the lookup', async () => {
+  const found = user();
+  const findOneAndUpdate = jest
+    .spyOn(User, 'findOneAndUpdate')
+    .mockResolvedValue(found);
+
+  await expect(User.consumeToken('passwordReset', 'abc')).resolves.toBe(found);
+
+  const [filter, update] = findOneAndUpdate.mock.calls[0];
+  expect(filter).toEqual({
+    passwordResetTokenHash: hashToken('abc'),
+    passwordResetExpires: { $gt: expect.any(Date) },
+    deletedAt: null,
+  });
+  expect(update).toEqual({
+    $unset: { passwordResetTokenHash: '', passwordResetExpires: '' },
+  });
+});
+
+describe('failed logins', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let updateOne;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const failWith = (failedLoginAttempts) =>
+    jest
+      .spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValue({ failedLoginAttempts });
+
+  test('are counted below the limit', async () => {
+    const findOneAndUpdate = failWith(rateLimitConfig.maxFailedLogins - 1);
+
+    await User.registerFailedLogin(userId);
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: userId },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('lock the account when the limit is reached', async () => {
+    failWith(rateLimitConfig.maxFailedLogins);
+
+    await User.registerFailedLogin(userId);
+
+    const lockUntil = new Date(
+      Date.now() + rateLimitConfig.lockoutMinutes * 60 * 1000
+    );
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $set: { failedLoginAttempts: 0, lockUntil } }
+    );
+    expect(user().set({ lockUntil }).isLocked()).toBe(true);
+
+    jest.setSystemTime(lockUntil);
+    expect(user().set({ lockUntil }).isLocked()).toBe(false);
+  });
+});
@@ -3,16 +3,101 @@ const router = express.Router();
 const {
   authUser,
   registerUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getUserProfile,
   updateUserProfile,
+  getUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
 } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  loginByIpLimiter,
+  loginByAccountLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+} = require('../middleware/rateLimitMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  loginSchema,
+  registerSchema,
+  updateProfileSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  listUsersQuery,
+  updateUserSchema,
+} = require('../validators/userValidators');
 
-router.post('/login', authUser);
-router.route('/').post(registerUser);
+router.post(
+  '/login',
+  validate({ body: loginSchema }),
+  loginByIpLimiter,
+  loginByAccountLimiter,
+  authUser
+);
+router.post('/refresh', refreshSession);
+router.post('/logout', logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
+router.post(
+  '/forgot-password',
+  passwordResetLimiter,
+  validate({ body: forgotPasswordSchema }),
+  forgotPassword
+);
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  validate({ body: resetPasswordSchema }),
+  resetPassword
+);
+router.post('/verify-email', validate({ body: verifyEmailSchema }), verifyEmail);
+router.post(
+  '/verify-email/resend',
+  passwordResetLimiter,
+  protect,
+  resendVerificationEmail
+);
+router
+  .route('/')
+  .post(registerLimiter, validate({ body: registerSchema }), registerUser)
+  .get(
+    protect,
+    authorize('user:list'),
+    validate({ query: listUsersQuery }),
+    getUsers
+  );
 router
   .route('/profile')
-  .get(protect, getUserProfile)
-  .put(protect, updateUserProfile);
+  .get(protect, authorize('profile:read'), getUserProfile)
+  .put(
+    protect,
+    authorize('profile:update'),
+    validate({ body: updateProfileSchema }),
+    updateUserProfile
+  );
+router
+  .route('/:id')
+  .get(protect, authorize('user:read'), validate({ params: idParams }), getUserById)
+  .put(
+    protect,
+    authorize('user:update'),
+    validate({ params: idParams, body: updateUserSchema }),
+    updateUser
+  )
+  .delete(
+    protect,
+    authorize('user:delete'),
+    validate({ params: idParams }),
+    deleteUser
+  );
 
 module.exports = router;
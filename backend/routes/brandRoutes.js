@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBrands,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+} = require('../controllers/brandController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  createBrandSchema,
+  updateBrandSchema,
+} = require('../validators/brandValidators');
+
+router
+  .route('/')
+  .get(getBrands)
+  .post(
+    protect,
+    authorize('brand:manage'),
+    validate({ body: createBrandSchema }),
+    createBrand
+  );
+router
+  .route('/:id')
+  .patch(
+    protect,
+    authorize('brand:manage'),
+    validate({ params: idParams, body: updateBrandSchema }),
+    updateBrand
+  )
+  .delete(
+    protect,
+    authorize('brand:manage'),
+    validate({ params: idParams }),
+    deleteBrand
+  );
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  importProducts,
+  exportProducts,
+} = require('../controllers/catalogController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const {
+  importCatalogQuery,
+  exportCatalogQuery,
+} = require('../validators/productValidators');
+
+// Mounted at /api/products ahead of the JSON body parser: imports are read
+// from the request stream as they arrive (see server.js)
+router.post(
+  '/import',
+  protect,
+  authorize('catalog:import'),
+  validate({ query: importCatalogQuery }),
+  importProducts
+);
+router.get(
+  '/export',
+  protect,
+  authorize('catalog:export'),
+  validate({ query: exportCatalogQuery }),
+  exportProducts
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategoryProducts,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoryController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  createCategorySchema,
+  updateCategorySchema,
+  categorySlugParams,
+  listCategoryProductsQuery,
+} = require('../validators/categoryValidators');
+
+router
+  .route('/')
+  .get(getCategories)
+  .post(
+    protect,
+    authorize('category:manage'),
+    validate({ body: createCategorySchema }),
+    createCategory
+  );
+router
+  .route('/:id')
+  .patch(
+    protect,
+    authorize('category:manage'),
+    validate({ params: idParams, body: updateCategorySchema }),
+    updateCategory
+  )
+  .delete(
+    protect,
+    authorize('category:manage'),
+    validate({ params: idParams }),
+    deleteCategory
+  );
+router
+  .route('/:slug/products')
+  .get(
+    validate({ params: categorySlugParams, query: listCategoryProductsQuery }),
+    getCategoryProducts
+  );
+
+module.exports = router;
@@ -2,15 +2,199 @@ const express = require('express');
 const router = express.Router();
 const {
   addOrderItems,
+  getOrderQuote,
   getOrderById,
   updateOrderToPaid,
+  updateOrderToProcessing,
+  updateOrderToShipped,
+  updateOrderToDelivered,
+  cancelOrder,
+  getOrders,
   getMyOrders,
 } = require('../controllers/orderController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  createReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} = require('../controllers/returnController');
+const {
+  createOrderPaymentIntent,
+  createOrderRefund,
+} = require('../controllers/paymentController');
+const {
+  getInvoicePdf,
+  getPackingSlipPdf,
+  getPackingSlipsZip,
+} = require('../controllers/orderDocumentController');
+const Order = require('../models/Order');
+const {
+  protect,
+  authorize,
+  ownerOf,
+  requireVerifiedEmail,
+} = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  createOrderSchema,
+  quoteSchema,
+  noteSchema,
+  shipOrderSchema,
+  cancelOrderSchema,
+  returnParams,
+  createReturnSchema,
+  receiveReturnSchema,
+  refundSchema,
+  listOrdersQuery,
+  packingSlipsQuery,
+} = require('../validators/orderValidators');
+
+const orderOwner = ownerOf(Order);
 
-router.route('/').post(protect, addOrderItems);
+router
+  .route('/')
+  .get(
+    protect,
+    authorize('order:list'),
+    validate({ query: listOrdersQuery }),
+    getOrders
+  )
+  .post(
+    protect,
+    authorize('order:create'),
+    validate({ body: createOrderSchema }),
+    requireVerifiedEmail,
+    addOrderItems
+  );
+router
+  .route('/quote')
+  .post(
+    protect,
+    authorize('order:create'),
+    validate({ body: quoteSchema }),
+    getOrderQuote
+  );
 router.route('/myorders').get(protect, getMyOrders);
-router.route('/:id').get(protect, getOrderById);
-router.route('/:id/pay').put(protect, updateOrderToPaid);
+router
+  .route('/packing-slips.zip')
+  .get(
+    protect,
+    authorize('order:fulfil'),
+    validate({ query: packingSlipsQuery }),
+    getPackingSlipsZip
+  );
+router
+  .route('/:id')
+  .get(
+    protect,
+    authorize('order:read', orderOwner),
+    validate({ params: idParams }),
+    getOrderById
+  );
+router
+  .route('/:id/invoice.pdf')
+  .get(
+    protect,
+    authorize('order:read', orderOwner),
+    validate({ params: idParams }),
+    getInvoicePdf
+  );
+router
+  .route('/:id/packing-slip.pdf')
+  .get(
+    protect,
+    authorize('order:fulfil'),
+    validate({ params: idParams }),
+    getPackingSlipPdf
+  );
+router
+  .route('/:id/payment-intent')
+  .post(
+    protect,
+    authorize('order:pay', orderOwner),
+    validate({ params: idParams }),
+    createOrderPaymentIntent
+  );
+router
+  .route('/:id/pay')
+  .put(
+    protect,
+    authorize('order:pay', orderOwner),
+    validate({ params: idParams }),
+    updateOrderToPaid
+  );
+router
+  .route('/:id/process')
+  .put(
+    protect,
+    authorize('order:fulfil'),
+    validate({ params: idParams, body: noteSchema }),
+    updateOrderToProcessing
+  );
+router
+  .route('/:id/ship')
+  .put(
+    protect,
+    authorize('order:fulfil'),
+    validate({ params: idParams, body: shipOrderSchema }),
+    updateOrderToShipped
+  );
+router
+  .route('/:id/deliver')
+  .put(
+    protect,
+    authorize('order:fulfil'),
+    validate({ params: idParams, body: noteSchema }),
+    updateOrderToDelivered
+  );
+router
+  .route('/:id/cancel')
+  .put(
+    protect,
+    authorize('order:cancel', orderOwner),
+    validate({ params: idParams, body: cancelOrderSchema }),
+    cancelOrder
+  );
+router
+  .route('/:id/returns')
+  .post(
+    protect,
+    authorize('order:return', orderOwner),
+    validate({ params: idParams, body: createReturnSchema }),
+    createReturn
+  );
+router
+  .route('/:id/returns/:returnId/approve')
+  .put(
+    protect,
+    authorize('return:manage'),
+    validate({ params: returnParams, body: noteSchema }),
+    approveReturn
+  );
+router
+  .route('/:id/returns/:returnId/reject')
+  .put(
+    protect,
+    authorize('return:manage'),
+    validate({ params: returnParams, body: noteSchema }),
+    rejectReturn
+  );
+router
+  .route('/:id/returns/:returnId/receive')
+  .put(
+    protect,
+    authorize('return:manage'),
+    validate({ params: returnParams, body: receiveReturnSchema }),
+    receiveReturn
+  );
+router
+  .route('/:id/refunds')
+  .post(
+    protect,
+    authorize('order:refund'),
+    validate({ params: idParams, body: refundSchema }),
+    createOrderRefund
+  );
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handlePaymentWebhook } = require('../controllers/paymentController');
+
+// The raw body is needed to verify the signature, see server.js
+router.post('/webhook', handlePaymentWebhook);
+
+module.exports = router;
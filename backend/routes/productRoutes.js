@@ -6,14 +6,122 @@ const {
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  deleteProductPermanently,
+  getProductRevisions,
+  rollbackProduct,
+  createProductReview,
+  updateProductReview,
+  deleteProductReview,
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  listProductsQuery,
+  listAdminProductsQuery,
+  createProductSchema,
+  updateProductSchema,
+  revisionParams,
+  listRevisionsQuery,
+  rollbackProductSchema,
+  reviewParams,
+  createReviewSchema,
+  updateReviewSchema,
+} = require('../validators/productValidators');
 
-router.route('/').get(getProducts).post(protect, admin, createProduct);
+router
+  .route('/')
+  .get(validate({ query: listProductsQuery }), getProducts)
+  .post(
+    protect,
+    authorize('product:create'),
+    validate({ body: createProductSchema }),
+    createProduct
+  );
+// Before /:id so that "admin" is not taken for a product id
+router
+  .route('/admin')
+  .get(
+    protect,
+    authorize('product:update'),
+    validate({ query: listAdminProductsQuery }),
+    getProducts
+  );
 router
   .route('/:id')
-  .get(getProductById)
-  .put(protect, admin, updateProduct)
-  .delete(protect, admin, deleteProduct);
+  .get(validate({ params: idParams }), getProductById)
+  .patch(
+    protect,
+    authorize('product:update'),
+    validate({ params: idParams, body: updateProductSchema }),
+    updateProduct
+  )
+  .put(
+    protect,
+    authorize('product:update'),
+    validate({ params: idParams, body: updateProductSchema }),
+    updateProduct
+  )
+  .delete(
+    protect,
+    authorize('product:delete'),
+    validate({ params: idParams }),
+    deleteProduct
+  );
+router
+  .route('/:id/restore')
+  .post(
+    protect,
+    authorize('product:delete'),
+    validate({ params: idParams }),
+    restoreProduct
+  );
+router
+  .route('/:id/purge')
+  .delete(
+    protect,
+    authorize('product:purge'),
+    validate({ params: idParams }),
+    deleteProductPermanently
+  );
+router
+  .route('/:id/revisions')
+  .get(
+    protect,
+    authorize('product:history'),
+    validate({ params: idParams, query: listRevisionsQuery }),
+    getProductRevisions
+  );
+router
+  .route('/:id/revisions/:revisionId/rollback')
+  .post(
+    protect,
+    authorize('product:update'),
+    validate({ params: revisionParams, body: rollbackProductSchema }),
+    rollbackProduct
+  );
+router
+  .route('/:id/reviews')
+  .post(
+    protect,
+    authorize('review:write'),
+    validate({ params: idParams, body: createReviewSchema }),
+    createProductReview
+  );
+router
+  .route('/:id/reviews/:reviewId')
+  .put(
+    protect,
+    authorize('review:write'),
+    validate({ params: reviewParams, body: updateReviewSchema }),
+    updateProductReview
+  )
+  .delete(
+    protect,
+    authorize('review:write'),
+    validate({ params: reviewParams }),
+    deleteProductReview
+  );
 
 module.exports = router;
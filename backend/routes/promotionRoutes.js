@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  createPromotionSchema,
+  updatePromotionSchema,
+  listPromotionsQuery,
+} = require('../validators/promotionValidators');
+
+router
+  .route('/')
+  .get(
+    protect,
+    authorize('promotion:manage'),
+    validate({ query: listPromotionsQuery }),
+    getPromotions
+  )
+  .post(
+    protect,
+    authorize('promotion:manage'),
+    validate({ body: createPromotionSchema }),
+    createPromotion
+  );
+router
+  .route('/:id')
+  .get(
+    protect,
+    authorize('promotion:manage'),
+    validate({ params: idParams }),
+    getPromotionById
+  )
+  .patch(
+    protect,
+    authorize('promotion:manage'),
+    validate({ params: idParams, body: updatePromotionSchema }),
+    updatePromotion
+  )
+  .delete(
+    protect,
+    authorize('promotion:manage'),
+    validate({ params: idParams }),
+    deletePromotion
+  );
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRates,
+  getZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone,
+} = require('../controllers/shippingController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  createZoneSchema,
+  updateZoneSchema,
+  ratesQuery,
+} = require('../validators/shippingValidators');
+
+router.get('/rates', validate({ query: ratesQuery }), getRates);
+
+router
+  .route('/zones')
+  .get(protect, authorize('shipping:manage'), getZones)
+  .post(
+    protect,
+    authorize('shipping:manage'),
+    validate({ body: createZoneSchema }),
+    createZone
+  );
+router
+  .route('/zones/:id')
+  .get(
+    protect,
+    authorize('shipping:manage'),
+    validate({ params: idParams }),
+    getZoneById
+  )
+  .patch(
+    protect,
+    authorize('shipping:manage'),
+    validate({ params: idParams, body: updateZoneSchema }),
+    updateZone
+  )
+  .delete(
+    protect,
+    authorize('shipping:manage'),
+    validate({ params: idParams }),
+    deleteZone
+  );
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxRates,
+  getTaxRateById,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+} = require('../controllers/taxController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validateMiddleware');
+const { idParams } = require('../validators/common');
+const {
+  createTaxRateSchema,
+  updateTaxRateSchema,
+  listTaxRatesQuery,
+} = require('../validators/taxValidators');
+
+router
+  .route('/rates')
+  .get(
+    protect,
+    authorize('tax:manage'),
+    validate({ query: listTaxRatesQuery }),
+    getTaxRates
+  )
+  .post(
+    protect,
+    authorize('tax:manage'),
+    validate({ body: createTaxRateSchema }),
+    createTaxRate
+  );
+router
+  .route('/rates/:id')
+  .get(
+    protect,
+    authorize('tax:manage'),
+    validate({ params: idParams }),
+    getTaxRateById
+  )
+  .patch(
+    protect,
+    authorize('tax:manage'),
+    validate({ params: idParams, body: updateTaxRateSchema }),
+    updateTaxRate
+  )
+  .delete(
+    protect,
+    authorize('tax:manage'),
+    validate({ params: idParams }),
+    deleteTaxRate
+  );
+
+module.exports = router;
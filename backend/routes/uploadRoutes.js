@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { uploadProductImage } = require('../controllers/uploadController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+// Check the user before reading a potentially large body
+router.post(
+  '/',
+  protect,
+  authorize('upload:create'),
+  uploadImage('image'),
+  uploadProductImage
+);
+
+module.exports = router;
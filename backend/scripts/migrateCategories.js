@@ -0,0 +1,110 @@
+// One-off migration of the free-text Product.category and Product.brand
+// values to references into the Category and Brand collections. Spellings
+// of the same name ("Electronics", "electronics", "Electronic") become one
+// category, named after the most common spelling; brands only merge across
+// case and punctuation. Categories are created at
+// the top level; arrange them into a tree afterwards.
+// Usage: npm run migrate:categories [-- --dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const productsConfig = require('../config/products');
+const { keyFor, createTaxonomyResolver } = require('../utils/taxonomy');
+
+const isCapitalized = (value) => value[0] !== value[0].toLowerCase();
+
+// Most common spelling in a group; on a tie a capitalized one, then the
+// first alphabetically for a stable choice
+const canonicalName = (spellings) =>
+  [...spellings.entries()].sort(
+    ([a, countA], [b, countB]) =>
+      countB - countA ||
+      isCapitalized(b) - isCapitalized(a) ||
+      a.localeCompare(b)
+  )[0][0];
+
+// Map each string value of `field` to the id of its category or brand
+const migrateField = async (products, field, Model, { fallback, dryRun }) => {
+  const keyOf = keyFor(Model);
+  const groups = new Map(); // name key -> Map(spelling -> product count)
+
+  products.forEach((product) => {
+    if (typeof product[field] !== 'string') return;
+
+    const spelling = product[field].trim() || fallback;
+    const key = keyOf(spelling);
+    const spellings = groups.get(key) || new Map();
+    spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+    groups.set(key, spellings);
+  });
+
+  const resolve = createTaxonomyResolver(Model, { save: !dryRun });
+  const ids = new Map(); // spelling -> id
+
+  for (const spellings of groups.values()) {
+    const doc = await resolve(canonicalName(spellings));
+    const merged = [...spellings.entries()]
+      .map(([spelling, count]) => `"${spelling}" (${count})`)
+      .join(', ');
+
+    console.log(`${Model.modelName} "${doc.name}" <- ${merged}`);
+    spellings.forEach((count, spelling) => ids.set(spelling, doc._id));
+  }
+
+  return (value) => ids.get(value.trim() || fallback);
+};
+
+const migrateCategories = async ({ dryRun }) => {
+  await connectDB();
+
+  // Raw documents: the schema no longer allows string values
+  const products = await Product.collection
+    .find(
+      {
+        $or: [
+          { category: { $type: 'string' } },
+          { brand: { $type: 'string' } },
+        ],
+      },
+      { projection: { category: 1, brand: 1 } }
+    )
+    .toArray();
+
+  const categoryId = await migrateField(products, 'category', Category, {
+    fallback: productsConfig.defaultCategory,
+    dryRun,
+  });
+  const brandId = await migrateField(products, 'brand', Brand, {
+    fallback: productsConfig.defaultBrand,
+    dryRun,
+  });
+
+  const updates = products.map((product) => {
+    const $set = {};
+    if (typeof product.category === 'string') {
+      $set.category = categoryId(product.category);
+    }
+    if (typeof product.brand === 'string') {
+      $set.brand = brandId(product.brand);
+    }
+    return { updateOne: { filter: { _id: product._id }, update: { $set } } };
+  });
+
+  if (dryRun) {
+    console.log(`Dry run: ${updates.length} product(s) would be migrated`);
+  } else if (updates.length > 0) {
+    const { modifiedCount } = await Product.collection.bulkWrite(updates);
+    console.log(`Migrated ${modifiedCount} product(s)`);
+  } else {
+    console.log('No products to migrate');
+  }
+
+  await mongoose.disconnect();
+};
+
+migrateCategories({ dryRun: process.argv.includes('--dry-run') }).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// One-off migration from the isAdmin boolean to the role field.
+// Usage: npm run migrate:roles
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const migrateUserRoles = async () => {
+  await connectDB();
+
+  const admins = await User.collection.updateMany(
+    { role: { $exists: false }, isAdmin: true },
+    { $set: { role: 'admin' }, $unset: { isAdmin: '' } }
+  );
+  const customers = await User.collection.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'customer' }, $unset: { isAdmin: '' } }
+  );
+
+  console.log(
+    `Migrated ${admins.modifiedCount} admin(s) and ${customers.modifiedCount} customer(s)`
+  );
+  await mongoose.disconnect();
+};
+
+migrateUserRoles().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
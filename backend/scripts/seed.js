@@ -0,0 +1,505 @@
+// Fill the database with sample users, categories, brands, products (with
+// reviews) and orders in every status. Existing data in the seeded
+// collections is wiped first. The same seed always produces the same data.
+//
+// Usage: npm run seed [-- --seed=42 --products=36 --orders=60]
+//        npm run seed:wipe          (only delete the data)
+//
+// Every seeded user's password is SEED_PASSWORD (default "password123").
+// Seeded dates are in the past, so the order expiry job cancels pending
+// orders once the server runs; raise ORDER_PAYMENT_TIMEOUT_MINUTES to keep them.
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const Promotion = require('../models/Promotion');
+const ShippingZone = require('../models/ShippingZone');
+const TaxRate = require('../models/TaxRate');
+const Counter = require('../models/Counter');
+const StockMovement = require('../models/StockMovement');
+const ProductRevision = require('../models/ProductRevision');
+const TokenFamily = require('../models/TokenFamily');
+const RefreshToken = require('../models/RefreshToken');
+const { priceOrder } = require('../utils/pricing');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
+const { slugify } = require('../utils/taxonomy');
+const {
+  STAFF,
+  FIRST_NAMES,
+  LAST_NAMES,
+  ADJECTIVES,
+  CATEGORIES,
+  CITIES,
+  STREETS,
+  REVIEW_COMMENTS,
+  CARRIERS,
+  PROMOTIONS,
+  SHIPPING_ZONES,
+  TAX_RATES,
+} = require('./seedData');
+
+const MODELS = [
+  User,
+  Category,
+  Brand,
+  Product,
+  Order,
+  Promotion,
+  ShippingZone,
+  TaxRate,
+  Counter, // invoice numbers start over with the orders
+  StockMovement,
+  ProductRevision,
+  TokenFamily,
+  RefreshToken,
+];
+
+// Data is dated relative to this day so that it does not depend on the clock
+const BASE_DATE = Date.UTC(2025, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Status changes each seeded order goes through after 'pending'
+const STATUS_PATHS = {
+  pending: [],
+  paid: ['paid'],
+  processing: ['paid', 'processing'],
+  shipped: ['paid', 'processing', 'shipped'],
+  delivered: ['paid', 'processing', 'shipped', 'delivered'],
+  cancelled: ['cancelled'],
+  refunded: ['paid', 'refunded'],
+};
+
+const STATUS_DATE_FIELDS = {
+  paid: 'paidAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt',
+};
+
+const parseArgs = (argv) =>
+  argv.reduce((args, arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+    return args;
+  }, {});
+
+// mulberry32: small seeded PRNG, good enough for sample data
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[int(0, items.length - 1)];
+
+  return {
+    next,
+    int,
+    pick,
+    chance: (probability) => next() < probability,
+    // Distinct items, in random order
+    sample: (items, count) => {
+      const pool = [...items];
+      return Array.from({ length: Math.min(count, pool.length) }, () =>
+        pool.splice(int(0, pool.length - 1), 1)[0]
+      );
+    },
+    objectId: () =>
+      new mongoose.Types.ObjectId(
+        Array.from({ length: 24 }, () => int(0, 15).toString(16)).join('')
+      ),
+  };
+};
+
+const wipe = async () => {
+  for (const Model of MODELS) {
+    const { deletedCount } = await Model.deleteMany({});
+    console.log(`Removed ${deletedCount} ${Model.collection.collectionName}`);
+  }
+};
+
+const buildUsers = async (random, password) => {
+  const hashed = await bcrypt.hash(password, 10);
+  const verifiedAt = new Date(BASE_DATE);
+
+  const customers = FIRST_NAMES.slice(0, 12).map((first, index) => {
+    const last = random.pick(LAST_NAMES);
+    return {
+      name: `${first} ${last}`,
+      email: `${first}.${last}${index}@example.com`.toLowerCase(),
+      role: 'customer',
+    };
+  });
+
+  return [...STAFF, ...customers].map(
+    (user) =>
+      new User({
+        _id: random.objectId(),
+        ...user,
+        password: hashed,
+        isEmailVerified: true,
+        emailVerifiedAt: verifiedAt,
+        createdAt: verifiedAt,
+        updatedAt: verifiedAt,
+      })
+  );
+};
+
+// Category tree and brands from CATEGORIES. Returns the documents plus
+// lookups by name.
+const buildTaxonomy = (random) => {
+  const at = new Date(BASE_DATE);
+  const categories = [];
+  const brands = [];
+
+  const addCategory = (name, parent) => {
+    const category = new Category({
+      _id: random.objectId(),
+      name,
+      slug: slugify(name),
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      createdAt: at,
+      updatedAt: at,
+    });
+    categories.push(category);
+    return category;
+  };
+
+  CATEGORIES.forEach((data) => {
+    const category = addCategory(data.name);
+    (data.subcategories || []).forEach((sub) => addCategory(sub.name, category));
+    data.brands.forEach((name) => {
+      brands.push(
+        new Brand({
+          _id: random.objectId(),
+          name,
+          slug: slugify(name),
+          createdAt: at,
+          updatedAt: at,
+        })
+      );
+    });
+  });
+
+  const byName = (docs) => new Map(docs.map((doc) => [doc.name, doc]));
+  return {
+    categories,
+    brands,
+    categoryByName: byName(categories),
+    brandByName: byName(brands),
+  };
+};
+
+const roundPrice = (amount) => Math.round(amount) - 0.01;
+
+const buildProducts = (random, count, { admin, categoryByName, brandByName }) => {
+  const products = [];
+  const usedNames = new Set();
+
+  while (products.length < count) {
+    const category = CATEGORIES[products.length % CATEGORIES.length];
+    const leaf = category.subcategories
+      ? random.pick(category.subcategories)
+      : category;
+    const name = `${random.pick(ADJECTIVES)} ${random.pick(leaf.nouns)}`;
+
+    if (usedNames.has(name)) continue;
+    usedNames.add(name);
+
+    const index = products.length + 1;
+    const sku = `SEED-${String(index).padStart(4, '0')}`;
+    const price = roundPrice(random.int(...category.price));
+    const createdAt = new Date(BASE_DATE + random.int(0, 30) * DAY);
+
+    const product = {
+      _id: random.objectId(),
+      user: admin._id,
+      name,
+      sku,
+      brand: brandByName.get(random.pick(category.brands))._id,
+      category: categoryByName.get(leaf.name)._id,
+      description: `${name} from our ${leaf.name.toLowerCase()} range.`,
+      image: '/images/sample.jpg',
+      price,
+      countInStock: random.chance(0.1) ? 0 : random.int(5, 60),
+      weight: random.int(...category.weight) / 1000,
+      taxClass: category.taxClass || 'standard',
+      createdAt,
+      updatedAt: createdAt,
+    };
+
+    if (category.options) {
+      const options = category.options.map((option) => ({
+        name: option.name,
+        values: random.sample(option.values, random.int(2, option.values.length)),
+      }));
+      product.options = options;
+      product.variants = options[0].values.flatMap((first) =>
+        options[1].values.map((second) => ({
+          _id: random.objectId(),
+          sku: `${sku}-${first}-${second}`.toUpperCase(),
+          options: { [options[0].name]: first, [options[1].name]: second },
+          // Larger sizes cost a little more
+          price: first === 'XL' ? roundPrice(price + 5) : null,
+          countInStock: random.int(0, 15),
+        }))
+      );
+    }
+
+    products.push(new Product(product));
+  }
+
+  return products;
+};
+
+const buildAddress = (random) => ({
+  address: `${random.int(1, 250)} ${random.pick(STREETS)}`,
+  ...random.pick(CITIES),
+});
+
+// Most real orders end up delivered, which is also what reviews need
+const WEIGHTED_STATUSES = [...ORDER_STATUSES, 'delivered', 'delivered', 'delivered'];
+
+// One order per status first so every status is represented, then random ones
+const buildOrders = async (random, count, { customers, products, admin }) => {
+  const orders = [];
+  const statuses = Array.from({ length: count }, (_, index) =>
+    index < ORDER_STATUSES.length
+      ? ORDER_STATUSES[index]
+      : random.pick(WEIGHTED_STATUSES)
+  );
+
+  for (const status of statuses) {
+    const customer = random.pick(customers);
+    const items = random.sample(products, random.int(1, 4)).map((product) => ({
+      product: product._id,
+      variant: product.variants.length > 0 ? random.pick(product.variants)._id : null,
+      qty: random.int(1, 3),
+    }));
+    const shippingAddress = buildAddress(random);
+    const priced = await priceOrder(items, { shippingAddress });
+
+    let at = BASE_DATE + random.int(31, 300) * DAY;
+    const createdAt = new Date(at);
+
+    const order = new Order({
+      _id: random.objectId(),
+      user: customer._id,
+      ...priced,
+      shippingAddress,
+      paymentMethod: 'Card',
+      statusHistory: [{ status: 'pending', actor: customer._id, at: createdAt }],
+      createdAt,
+    });
+
+    for (const next of STATUS_PATHS[status]) {
+      at += random.int(1, 72) * 60 * 60 * 1000;
+      const when = new Date(at);
+
+      if (next === 'paid') {
+        order.paymentResult = {
+          provider: 'mock',
+          id: `pi_seed_${order._id}`,
+          currency: 'usd',
+          status: 'succeeded',
+          update_time: when.toISOString(),
+          email_address: customer.email,
+        };
+      }
+      if (next === 'shipped') {
+        order.carrier = random.pick(CARRIERS);
+        order.trackingNumber = `TRK${random.int(100000000, 999999999)}`;
+      }
+      if (next === 'refunded') {
+        order.paymentResult.status = 'refunded';
+        order.paymentResult.amountRefunded = order.totalPrice;
+        order.paymentResult.refunds = [
+          {
+            _id: random.objectId(),
+            id: `re_seed_${order._id}`,
+            amount: order.totalPrice,
+            actor: admin._id,
+            at: when,
+          },
+        ];
+      }
+
+      const actor = next === 'cancelled' ? customer._id : admin._id;
+      order.transitionTo(next, { actor, note: 'Seed data' });
+      // transitionTo stamps the current time; use the seeded one instead
+      order.statusHistory[order.statusHistory.length - 1].at = when;
+      if (STATUS_DATE_FIELDS[next]) {
+        order[STATUS_DATE_FIELDS[next]] = when;
+      }
+    }
+
+    // Subdocument ids are generated too, unless set
+    [...order.orderItems, ...order.statusHistory].forEach((subdoc) => {
+      subdoc._id = random.objectId();
+    });
+    order.updatedAt = new Date(at);
+    orders.push(order);
+  }
+
+  return orders;
+};
+
+// Customers review some of the products from their delivered orders
+const buildReviews = (random, { orders, customers }) => {
+  const customersById = new Map(customers.map((c) => [String(c._id), c]));
+  const reviewsByProduct = new Map();
+
+  orders
+    .filter((order) => order.status === 'delivered')
+    .forEach((order) => {
+      const customer = customersById.get(String(order.user));
+
+      order.orderItems.forEach((item) => {
+        const key = String(item.product);
+        const reviews = reviewsByProduct.get(key) || [];
+
+        if (reviews.some((r) => r.user.equals(customer._id)) || !random.chance(0.7)) {
+          return;
+        }
+
+        const rating = random.pick([3, 4, 4, 5, 5, 5, 2, 1]);
+        const createdAt = new Date(order.deliveredAt.getTime() + random.int(1, 14) * DAY);
+
+        reviews.push({
+          _id: random.objectId(),
+          user: customer._id,
+          name: customer.name,
+          rating,
+          comment: random.pick(REVIEW_COMMENTS[rating]),
+          createdAt,
+          updatedAt: createdAt,
+        });
+        reviewsByProduct.set(key, reviews);
+      });
+    });
+
+  return reviewsByProduct;
+};
+
+const seed = async ({ seed: seedValue, products: productCount, orders: orderCount }) => {
+  const random = createRandom(seedValue);
+  const password = process.env.SEED_PASSWORD || 'password123';
+
+  const users = await buildUsers(random, password);
+  await User.insertMany(users, { timestamps: false });
+  const admin = users.find((user) => user.role === 'admin');
+  const customers = users.filter((user) => user.role === 'customer');
+
+  const taxonomy = buildTaxonomy(random);
+  await Category.insertMany(taxonomy.categories, { timestamps: false });
+  await Brand.insertMany(taxonomy.brands, { timestamps: false });
+
+  const products = buildProducts(random, productCount, { admin, ...taxonomy });
+  await Product.insertMany(products, { timestamps: false });
+
+  // Before the orders, which are priced with these rates
+  await TaxRate.insertMany(
+    TAX_RATES.map((rate) => ({
+      ...rate,
+      _id: random.objectId(),
+      createdAt: new Date(BASE_DATE),
+      updatedAt: new Date(BASE_DATE),
+    })),
+    { timestamps: false }
+  );
+  await ShippingZone.insertMany(
+    SHIPPING_ZONES.map((zone) => ({
+      ...zone,
+      _id: random.objectId(),
+      methods: zone.methods.map((method) => ({
+        ...method,
+        _id: random.objectId(),
+      })),
+      createdAt: new Date(BASE_DATE),
+      updatedAt: new Date(BASE_DATE),
+    })),
+    { timestamps: false }
+  );
+
+  const orders = await buildOrders(random, orderCount, { customers, products, admin });
+  await Order.insertMany(orders, { timestamps: false });
+
+  await Promotion.insertMany(
+    PROMOTIONS.map((promotion) => ({
+      ...promotion,
+      _id: random.objectId(),
+      categories: (promotion.categories || []).map(
+        (name) => taxonomy.categoryByName.get(name)._id
+      ),
+      user: admin._id,
+      createdAt: new Date(BASE_DATE),
+      updatedAt: new Date(BASE_DATE),
+    })),
+    { timestamps: false }
+  );
+
+  const reviewsByProduct = buildReviews(random, { orders, customers });
+  for (const [productId, reviews] of reviewsByProduct) {
+    const rating = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
+    await Product.updateOne(
+      { _id: productId },
+      { $set: { reviews, rating, numReviews: reviews.length } },
+      { timestamps: false }
+    );
+  }
+
+  const reviewCount = [...reviewsByProduct.values()].reduce((n, r) => n + r.length, 0);
+  console.log(
+    `Seeded ${users.length} users, ${taxonomy.categories.length} categories, ` +
+      `${taxonomy.brands.length} brands, ${products.length} products, ` +
+      `${orders.length} orders, ${reviewCount} reviews, ` +
+      `${PROMOTIONS.length} promotions, ${SHIPPING_ZONES.length} shipping ` +
+      `zones and ${TAX_RATES.length} tax rates (seed ${seedValue})`
+  );
+  console.log(`Log in as ${STAFF[0].email} / ${password}`);
+};
+
+const main = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to seed with NODE_ENV=production');
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    seed: Number(args.seed ?? process.env.SEED ?? 1),
+    products: Number(args.products ?? 36),
+    orders: Number(args.orders ?? 60),
+  };
+
+  Object.entries(options).forEach(([name, value]) => {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`--${name} must be a non-negative integer`);
+    }
+  });
+
+  await connectDB();
+  await wipe();
+
+  if (!args.wipe) {
+    await seed(options);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(async (err) => {
+  console.error(err.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
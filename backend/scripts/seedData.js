@@ -0,0 +1,247 @@
+// Building blocks for scripts/seed.js. Product names are made by pairing an
+// adjective with a noun from the category. Categories with subcategories
+// only hold products through them. Weights are in grams.
+
+const STAFF = [
+  { name: 'Admin User', email: 'admin@example.com', role: 'admin' },
+  { name: 'Catalog Manager', email: 'catalog@example.com', role: 'catalog_manager' },
+  { name: 'Support Agent', email: 'support@example.com', role: 'support' },
+];
+
+const FIRST_NAMES = [
+  'Amal', 'Nadeesha', 'Kasun', 'Ishara', 'John', 'Maria', 'Wei', 'Aisha',
+  'Lucas', 'Priya', 'Tom', 'Sofia', 'Omar', 'Hannah', 'Ravi', 'Emma',
+];
+
+const LAST_NAMES = [
+  'Perera', 'Silva', 'Fernando', 'Smith', 'Garcia', 'Chen', 'Khan',
+  'Muller', 'Patel', 'Jones', 'Rossi', 'Haddad', 'Schmidt', 'Kumar',
+];
+
+const ADJECTIVES = [
+  'Classic', 'Premium', 'Compact', 'Wireless', 'Eco', 'Pro', 'Ultra',
+  'Essential', 'Deluxe', 'Smart', 'Vintage', 'Everyday',
+];
+
+const CATEGORIES = [
+  {
+    name: 'Electronics',
+    brands: ['Voltix', 'Sonora', 'Nimbus'],
+    price: [15, 250],
+    weight: [100, 2500],
+    subcategories: [
+      { name: 'Audio', nouns: ['Headphones', 'Speaker'] },
+      { name: 'Computer Accessories', nouns: ['Keyboard', 'Mouse', 'Webcam'] },
+      { name: 'Mobile Accessories', nouns: ['Power Bank', 'Phone Case'] },
+    ],
+  },
+  {
+    name: 'Clothing',
+    brands: ['Threadline', 'Northwind', 'Kora'],
+    nouns: ['T-Shirt', 'Hoodie', 'Jacket', 'Jeans', 'Polo Shirt'],
+    price: [12, 120],
+    weight: [150, 1200],
+    // Clothing is sold in sizes and colors
+    options: [
+      { name: 'Size', values: ['S', 'M', 'L', 'XL'] },
+      { name: 'Color', values: ['Black', 'White', 'Navy'] },
+    ],
+  },
+  {
+    name: 'Home & Kitchen',
+    brands: ['Hearth', 'Casa Verde'],
+    price: [10, 180],
+    weight: [400, 5000],
+    subcategories: [
+      { name: 'Small Appliances', nouns: ['Kettle', 'Blender', 'Toaster'] },
+      { name: 'Cookware', nouns: ['Knife Set', 'Coffee Grinder'] },
+    ],
+  },
+  {
+    name: 'Books',
+    brands: ['Lantern Press', 'Quayside'],
+    nouns: ['Cookbook', 'Novel', 'Travel Guide', 'Notebook'],
+    taxClass: 'reduced',
+    price: [5, 45],
+    weight: [150, 900],
+  },
+  {
+    name: 'Sports',
+    brands: ['Stride', 'Peakform'],
+    nouns: ['Yoga Mat', 'Water Bottle', 'Dumbbell Set', 'Running Shoes'],
+    price: [8, 150],
+    weight: [100, 6000],
+  },
+];
+
+const CITIES = [
+  { city: 'Colombo', country: 'Sri Lanka', postalCode: '00100' },
+  { city: 'Kandy', country: 'Sri Lanka', postalCode: '20000' },
+  { city: 'London', country: 'United Kingdom', postalCode: 'SW1A 1AA' },
+  { city: 'Berlin', country: 'Germany', postalCode: '10115' },
+  { city: 'Austin', region: 'TX', country: 'United States', postalCode: '73301' },
+];
+
+const STREETS = ['Main Street', 'Lake Road', 'Park Avenue', 'Station Road', 'Hill Street'];
+
+const REVIEW_COMMENTS = {
+  1: ['Stopped working after a week.', 'Not as described.'],
+  2: ['Disappointing quality for the price.', 'It does the job, barely.'],
+  3: ['Decent, nothing special.', 'Okay for everyday use.'],
+  4: ['Very good, would buy again.', 'Solid quality and fast delivery.'],
+  5: ['Excellent, exactly what I wanted!', 'Best purchase this year.'],
+};
+
+const CARRIERS = ['DHL', 'FedEx', 'UPS', 'Royal Mail'];
+
+// Sample coupon codes; seeded orders do not use them
+const PROMOTIONS = [
+  {
+    code: 'WELCOME10',
+    type: 'percent',
+    value: 10,
+    usageLimitPerUser: 1,
+    description: '10% off your first order',
+  },
+  {
+    code: 'SAVE20',
+    type: 'fixed',
+    value: 20,
+    minSpend: 100,
+    description: '20 off orders over 100',
+  },
+  { code: 'FREESHIP', type: 'free_shipping', description: 'Free shipping' },
+  {
+    code: 'BOOKS3FOR2',
+    type: 'buy_x_get_y',
+    buyQuantity: 2,
+    getQuantity: 1,
+    categories: ['Books'], // by name
+    description: 'Buy 2 books, get 1 free',
+  },
+];
+
+// Domestic (Sri Lanka) rates, with pickup in Colombo, and one rate for
+// everywhere else. Weights are in kg.
+const SHIPPING_ZONES = [
+  {
+    name: 'Colombo',
+    countries: ['Sri Lanka'],
+    postalCodes: ['00*'],
+    methods: [
+      {
+        code: 'standard',
+        name: 'Standard',
+        rateType: 'value',
+        valueRates: [
+          { minOrderValue: 0, price: 3 },
+          { minOrderValue: 50, price: 0 },
+        ],
+        minDays: 1,
+        maxDays: 2,
+      },
+      {
+        code: 'express',
+        name: 'Same day',
+        rateType: 'flat',
+        flatRate: 8,
+        minDays: 0,
+        maxDays: 0,
+      },
+      {
+        code: 'pickup',
+        name: 'Store pickup',
+        rateType: 'flat',
+        flatRate: 0,
+        minDays: 0,
+        maxDays: 1,
+      },
+    ],
+  },
+  {
+    name: 'Sri Lanka',
+    countries: ['Sri Lanka'],
+    methods: [
+      {
+        code: 'standard',
+        name: 'Standard',
+        rateType: 'weight',
+        weightRates: [
+          { maxWeight: 2, price: 4 },
+          { maxWeight: 10, price: 8 },
+          { maxWeight: 100, price: 15 },
+        ],
+        minDays: 2,
+        maxDays: 4,
+      },
+      {
+        code: 'express',
+        name: 'Express',
+        rateType: 'flat',
+        flatRate: 12,
+        minDays: 1,
+        maxDays: 1,
+      },
+    ],
+  },
+  {
+    name: 'International',
+    countries: ['*'],
+    methods: [
+      {
+        code: 'standard',
+        name: 'International standard',
+        rateType: 'weight',
+        weightRates: [
+          { maxWeight: 2, price: 15 },
+          { maxWeight: 10, price: 30 },
+          { maxWeight: 100, price: 60 },
+        ],
+        minDays: 7,
+        maxDays: 14,
+      },
+      {
+        code: 'express',
+        name: 'International express',
+        rateType: 'weight',
+        weightRates: [
+          { maxWeight: 2, price: 35 },
+          { maxWeight: 10, price: 60 },
+          { maxWeight: 100, price: 110 },
+        ],
+        minDays: 2,
+        maxDays: 5,
+      },
+    ],
+  },
+];
+
+// Rates of the countries in CITIES; the United States only tax by state
+const TAX_RATES = [
+  { country: 'Sri Lanka', name: 'VAT', standard: 0.18, reduced: 0 },
+  { country: 'United Kingdom', name: 'VAT', standard: 0.2, reduced: 0 },
+  { country: 'Germany', name: 'MwSt', standard: 0.19, reduced: 0.07 },
+  { country: 'United States', name: 'Sales tax', standard: 0, reduced: 0 },
+  {
+    country: 'United States',
+    region: 'TX',
+    name: 'Sales tax',
+    standard: 0.0625,
+    reduced: 0.0625,
+  },
+];
+
+module.exports = {
+  STAFF,
+  FIRST_NAMES,
+  LAST_NAMES,
+  ADJECTIVES,
+  CATEGORIES,
+  CITIES,
+  STREETS,
+  REVIEW_COMMENTS,
+  CARRIERS,
+  PROMOTIONS,
+  SHIPPING_ZONES,
+  TAX_RATES,
+};
@@ -1,21 +1,66 @@
+const path = require('path');
 const express = require('express');
 const dotenv = require('dotenv');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
 const userRoutes = require('./routes/authRoutes');
 const productRoutes = require('./routes/productRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const brandRoutes = require('./routes/brandRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const taxRoutes = require('./routes/taxRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const uploadsConfig = require('./config/uploads');
 const { notFound, errorHandler } = require('./middleware/errorMiddleware');
+const { requestId } = require('./middleware/requestIdMiddleware');
+const { startOrderExpiryJob } = require('./utils/orderExpiry');
+const { startProductPurgeJob } = require('./utils/productPurge');
 
 dotenv.config();
 connectDB();
+startOrderExpiryJob();
+startProductPurgeJob();
 
 const app = express();
+app.use(requestId); // First, so every response (errors included) carries an id
+// Behind a load balancer req.ip (used by the rate limiters) must come from
+// X-Forwarded-For, e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+// Webhooks are verified against the exact bytes received, so keep them raw
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+// Catalog imports stream the request body, so they must not be buffered
+// (or size limited) by the JSON parser
+app.use('/api/products', catalogRoutes);
 app.use(express.json()); // Middleware to parse JSON bodies
+app.use(cookieParser()); // Refresh tokens travel in an httpOnly cookie
 
 // Mount routers
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/brands', brandRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/upload', uploadRoutes);
+
+// Uploaded images get unique names, so they can be cached for a long time
+app.use(
+  uploadsConfig.publicPath,
+  express.static(path.resolve(uploadsConfig.localDir), {
+    maxAge: '30d',
+    immutable: true,
+  })
+);
 
 // Error handling middleware
 app.use(notFound);
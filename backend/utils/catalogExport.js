@@ -0,0 +1,103 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const Product = require('../models/Product');
+const { CSV_LIST_SEPARATOR, CSV_JSON_COLUMNS } = require('./catalogImport');
+
+// Columns of a CSV export, in the order catalogImport reads them back
+const CSV_COLUMNS = [
+  'id',
+  'sku',
+  'name',
+  'brand',
+  'category',
+  'description',
+  'price',
+  'countInStock',
+  'weight',
+  'taxClass',
+  'image',
+  'images',
+  ...CSV_JSON_COLUMNS,
+];
+
+// The importable fields of a product, as a JSON export row. Category and
+// brand are exported as slugs, which the import resolves back.
+const toExportRow = (product) => ({
+  id: String(product._id),
+  sku: product.sku,
+  name: product.name,
+  brand: product.brand ? product.brand.slug : undefined,
+  category: product.category ? product.category.slug : undefined,
+  description: product.description,
+  price: product.price,
+  countInStock: product.countInStock,
+  weight: product.weight,
+  taxClass: product.taxClass,
+  image: product.image,
+  images: product.images.map(({ url, alt, renditions }) => ({
+    url,
+    ...(alt && { alt }),
+    ...(renditions && { renditions: Object.fromEntries(renditions) }),
+  })),
+  options: product.options.map(({ name, values }) => ({ name, values: [...values] })),
+  variants: product.variants.map((variant) => ({
+    _id: String(variant._id),
+    sku: variant.sku,
+    options: Object.fromEntries(variant.options),
+    price: variant.price,
+    countInStock: variant.countInStock,
+    ...(variant.image && { image: variant.image }),
+  })),
+});
+
+// Flatten an export row into CSV cells. Gallery images become a list of
+// URLs, so their renditions are regenerated only if imported as files.
+const toCsvRow = (row) => ({
+  ...row,
+  images: row.images.map((image) => image.url).join(CSV_LIST_SEPARATOR),
+  ...Object.fromEntries(
+    CSV_JSON_COLUMNS.map((column) => [
+      column,
+      row[column].length > 0 ? JSON.stringify(row[column]) : '',
+    ])
+  ),
+});
+
+async function* jsonChunks(cursor) {
+  let first = true;
+  yield '[';
+  for await (const product of cursor) {
+    yield `${first ? '\n' : ',\n'}${JSON.stringify(toExportRow(product))}`;
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+async function* csvRecords(cursor) {
+  for await (const product of cursor) {
+    yield toCsvRow(toExportRow(product));
+  }
+}
+
+// Stream every product matching `filter` to a writable (e.g. the response)
+// without loading the catalog into memory
+const exportCatalog = async (output, { format, filter = {} }) => {
+  const cursor = Product.find(filter)
+    .populate('category', 'slug')
+    .populate('brand', 'slug')
+    .sort({ _id: 1 })
+    .cursor();
+
+  if (format === 'csv') {
+    await pipeline(
+      Readable.from(csvRecords(cursor)),
+      stringify({ header: true, columns: CSV_COLUMNS }),
+      output
+    );
+  } else {
+    await pipeline(Readable.from(jsonChunks(cursor)), output);
+  }
+};
+
+module.exports = { exportCatalog, CSV_COLUMNS };
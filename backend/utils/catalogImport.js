@@ -0,0 +1,296 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse');
+const { parser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const productsConfig = require('../config/products');
+const { importRowSchema } = require('../validators/productValidators');
+const { VALIDATION_OPTIONS } = require('../middleware/validateMiddleware');
+const {
+  snapshotProduct,
+  diffSnapshots,
+  saveNewProduct,
+  saveProductChanges,
+} = require('./productRevisions');
+const { storeImage } = require('./imageUpload');
+const { createTaxonomyResolver } = require('./taxonomy');
+const { BadRequestError } = require('./errors');
+
+// CSV cells holding lists or nested data
+const CSV_LIST_SEPARATOR = '|';
+const CSV_JSON_COLUMNS = ['options', 'variants'];
+
+const isUrl = (value) => /^(https?:)?\/\//i.test(value) || value.startsWith('/');
+
+// Turn a CSV record into the shape of a JSON row: empty cells are left out
+// (so they do not change anything), images are split and nested columns
+// are parsed as JSON.
+const fromCsvRecord = (record) => {
+  const row = {};
+
+  Object.entries(record).forEach(([column, cell]) => {
+    if (cell === '') return;
+
+    if (column === 'images') {
+      row.images = cell
+        .split(CSV_LIST_SEPARATOR)
+        .map((image) => image.trim())
+        .filter(Boolean);
+    } else if (CSV_JSON_COLUMNS.includes(column)) {
+      try {
+        row[column] = JSON.parse(cell);
+      } catch (err) {
+        row[column] = cell; // left for validation to reject
+      }
+    } else {
+      row[column] = cell;
+    }
+  });
+
+  return row;
+};
+
+// pipeline() rather than pipe() so a parse error ends the iteration with
+// that error; the callback is required but the error surfaces in the loop
+const ignore = () => {};
+
+// Async iterator of plain rows from a CSV or JSON (array) stream
+async function* readRows(stream, format) {
+  if (format === 'csv') {
+    const records = pipeline(
+      stream,
+      parse({ columns: true, bom: true, trim: true, skip_empty_lines: true }),
+      ignore
+    );
+    for await (const record of records) {
+      yield fromCsvRecord(record);
+    }
+  } else {
+    const items = pipeline(stream, parser(), streamArray(), ignore);
+    for await (const { value } of items) {
+      yield value;
+    }
+  }
+}
+
+// Resolve image entries to gallery images. URLs are used as they are; file
+// names are read from the import image directory and stored like uploads.
+const resolveImages = async (images, { dryRun, imageDir, cache }) => {
+  const resolved = [];
+
+  for (const image of images) {
+    if (typeof image !== 'string') {
+      resolved.push(image);
+    } else if (isUrl(image)) {
+      resolved.push({ url: image });
+    } else {
+      const file = path.join(imageDir, path.basename(image));
+
+      if (!cache.has(file)) {
+        cache.set(
+          file,
+          (async () => {
+            const buffer = await fs.readFile(file).catch(() => {
+              throw new BadRequestError(`Image file not found: ${image}`);
+            });
+            // A dry run only checks that the file exists
+            return dryRun ? { url: image } : storeImage(buffer);
+          })()
+        );
+      }
+
+      const { url, renditions } = await cache.get(file);
+      resolved.push({ url, renditions });
+    }
+  }
+
+  return resolved;
+};
+
+const rowErrors = (err) => {
+  if (err instanceof mongoose.Error.ValidationError) {
+    return Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+  }
+  if (err.code === 11000) {
+    return Object.keys(err.keyValue || {}).map((field) => ({
+      field,
+      message: `${field} already exists`,
+    }));
+  }
+  return [{ message: err.message }];
+};
+
+// Validate and upsert one row. Nothing is written on a dry run.
+const importRow = async (
+  row,
+  { user, dryRun, imageDir, imageCache, resolveCategory, resolveBrand }
+) => {
+  const { value, error } = importRowSchema.validate(row, VALIDATION_OPTIONS);
+
+  if (error) {
+    return {
+      status: 'error',
+      errors: error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      })),
+    };
+  }
+
+  const { id, ...fields } = value;
+
+  try {
+    let product = id
+      ? await Product.findById(id)
+      : await Product.findOne({ sku: fields.sku });
+
+    if (id && !product) {
+      return { status: 'error', errors: [{ field: 'id', message: 'Product not found' }] };
+    }
+
+    // Categories and brands new to the catalog are only built here, and
+    // saved with the product: a row that fails creates neither
+    const newRefs = [];
+    for (const [field, resolve] of [
+      ['category', resolveCategory],
+      ['brand', resolveBrand],
+    ]) {
+      if (fields[field]) {
+        const found = await resolve(fields[field]);
+        if (!found) {
+          return {
+            status: 'error',
+            errors: [{ field, message: `Unknown ${field} id` }],
+          };
+        }
+        if (found.isNew) newRefs.push(found);
+        fields[field] = found._id;
+      }
+    }
+    const beforeSave = async (session) => {
+      for (const doc of newRefs) {
+        // An earlier row may have saved it meanwhile
+        if (doc.isNew) await doc.save({ session });
+      }
+    };
+
+    if (fields.images) {
+      fields.images = await resolveImages(fields.images, {
+        dryRun,
+        imageDir,
+        cache: imageCache,
+      });
+    }
+
+    if (!product) {
+      product = new Product({ ...fields, user });
+      await product.validate();
+      if (!dryRun) {
+        await saveNewProduct(product, { user, beforeSave });
+      }
+      return { status: 'created', id: product._id };
+    }
+
+    let changed;
+    if (dryRun) {
+      const before = snapshotProduct(product);
+      product.set(fields);
+      await product.validate();
+      changed = diffSnapshots(before, snapshotProduct(product)).length > 0;
+    } else {
+      const changes = await saveProductChanges(product, fields, {
+        user,
+        action: 'update',
+        beforeSave,
+      });
+      changed = changes.length > 0;
+    }
+
+    return { status: changed ? 'updated' : 'unchanged', id: product._id };
+  } catch (err) {
+    return { status: 'error', errors: rowErrors(err) };
+  }
+};
+
+// Import a catalog file from a stream, one row at a time. Returns totals and
+// a row-by-row report; `row` numbers count data rows from 1 (the CSV header
+// is not a row). Rows after `importMaxRows` are not read.
+const importCatalog = async (
+  stream,
+  { format, dryRun = false, user },
+  config = productsConfig
+) => {
+  const report = {
+    dryRun,
+    total: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    failed: 0,
+    rows: [],
+  };
+  const context = {
+    user,
+    dryRun,
+    imageDir: path.resolve(config.importImageDir),
+    imageCache: new Map(),
+    // Unknown category and brand names are built, for importRow to save
+    resolveCategory: createTaxonomyResolver(Category, { save: false }),
+    resolveBrand: createTaxonomyResolver(Brand, { save: false }),
+  };
+  const seen = new Map(); // identifier -> first row it appeared on
+
+  try {
+    for await (const row of readRows(stream, format)) {
+      if (report.total >= config.importMaxRows) {
+        report.stopped = `Import stopped after ${config.importMaxRows} rows`;
+        break;
+      }
+
+      report.total += 1;
+      const rowNumber = report.total;
+      const key = row && (row.id || row.sku);
+      let result;
+
+      if (key && seen.has(String(key))) {
+        result = {
+          status: 'error',
+          errors: [
+            {
+              field: row.id ? 'id' : 'sku',
+              message: `Duplicate of row ${seen.get(String(key))}`,
+            },
+          ],
+        };
+      } else {
+        if (key) seen.set(String(key), rowNumber);
+        result = await importRow(row, context);
+      }
+
+      report[result.status === 'error' ? 'failed' : result.status] += 1;
+      report.rows.push({
+        row: rowNumber,
+        ...(row && row.sku && { sku: String(row.sku) }),
+        ...result,
+      });
+    }
+  } catch (err) {
+    // The file itself could not be parsed; rows before it were processed
+    throw new BadRequestError(
+      `Invalid ${format.toUpperCase()} after row ${report.total}: ${err.message}`,
+      { code: 'INVALID_IMPORT_FILE', details: report }
+    );
+  }
+
+  return report;
+};
+
+module.exports = { importCatalog, CSV_LIST_SEPARATOR, CSV_JSON_COLUMNS };
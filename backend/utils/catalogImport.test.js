@@ -0,0 +1,196 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const ProductRevision = require('../models/ProductRevision');
+const StockMovement = require('../models/StockMovement');
+const { importCatalog } = require('./catalogImport');
+
+const user = new mongoose.Types.ObjectId();
+const config = { importMaxRows: 100, importImageDir: 'uploads/import' };
+
+// As loaded from the database
+const acme = Brand.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Acme',
+  slug: 'acme',
+});
+const lighting = Category.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Lighting',
+  slug: 'lighting',
+});
+
+const csv = (...lines) => Readable.from([lines.join('\n')]);
+const json = (rows) => Readable.from([JSON.stringify(rows)]);
+
+let saveCategory;
+let saveBrand;
+let saveProduct;
+
+beforeEach(() => {
+  jest
+    .spyOn(mongoose.connection, 'transaction')
+    .mockImplementation((fn) => fn('session'));
+  jest.spyOn(Product, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Category, 'find').mockReturnValue({
+    sort: async () => [lighting],
+  });
+  jest.spyOn(Brand, 'find').mockReturnValue({ sort: async () => [acme] });
+  jest.spyOn(Category, 'exists').mockResolvedValue(null);
+  jest.spyOn(Brand, 'exists').mockResolvedValue(null);
+
+  const saveAs = (Model) =>
+    jest.spyOn(Model.prototype, 'save').mockImplementation(function () {
+      this.isNew = false;
+      return Promise.resolve(this);
+    });
+  saveCategory = saveAs(Category);
+  saveBrand = saveAs(Brand);
+  saveProduct = saveAs(Product);
+  jest
+    .spyOn(ProductRevision, 'create')
+    .mockImplementation(async ([revision]) => [revision]);
+  jest.spyOn(StockMovement, 'insertMany').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('creates products from CSV rows, matching taxonomy by name', async () => {
+  const report = await importCatalog(
+    csv(
+      'sku,name,price,description,image,brand,category,countInStock',
+      'L-1,Desk lamp,30,A lamp,/images/lamp.jpg,acme,Lighting,4'
+    ),
+    { format: 'csv', user },
+    config
+  );
+
+  expect(report).toMatchObject({ total: 1, created: 1, failed: 0 });
+  expect(report.rows[0]).toMatchObject({
+    row: 1,
+    sku: 'L-1',
+    status: 'created',
+  });
+
+  const [product] = saveProduct.mock.contexts;
+  expect(product).toMatchObject({
+    name: 'Desk lamp',
+    price: 30,
+    brand: acme._id,
+    category: lighting._id,
+    countInStock: 4,
+    user,
+  });
+  expect(saveBrand).not.toHaveBeenCalled();
+  expect(saveCategory).not.toHaveBeenCalled();
+});
+
+test('saves new categories and brands with the product', async () => {
+  const report = await importCatalog(
+    json([
+      {
+        sku: 'F-1',
+        name: 'Fan',
+        description: 'A fan',
+        image: '/images/fan.jpg',
+        brand: 'Breeze',
+        category: 'Cooling',
+      },
+      {
+        sku: 'F-2',
+        name: 'Big fan',
+        description: 'A big fan',
+        image: '/images/fan.jpg',
+        brand: 'Breeze',
+        category: 'Cooling',
+      },
+    ]),
+    { format: 'json', user },
+    config
+  );
+
+  expect(report).toMatchObject({ created: 2, failed: 0 });
+  // Once, in the first product's transaction
+  expect(saveCategory).toHaveBeenCalledTimes(1);
+  expect(saveCategory).toHaveBeenCalledWith({ session: 'session' });
+  expect(saveBrand).toHaveBeenCalledTimes(1);
+  expect(saveProduct.mock.contexts[1].category).toEqual(
+    saveCategory.mock.contexts[0]._id
+  );
+});
+
+test('a failing row creates no category or brand', async () => {
+  const report = await importCatalog(
+    json([
+      // description and image are required for a new product
+      { sku: 'F-1', name: 'Fan', brand: 'Breeze', category: 'Cooling' },
+    ]),
+    { format: 'json', user },
+    config
+  );
+
+  expect(report.failed).toBe(1);
+  expect(report.rows[0].errors.map((error) => error.field).sort()).toEqual([
+    'description',
+    'image',
+  ]);
+  expect(saveCategory).not.toHaveBeenCalled();
+  expect(saveBrand).not.toHaveBeenCalled();
+  expect(saveProduct).not.toHaveBeenCalled();
+});
+
+test('reports invalid and duplicate rows without stopping', async () => {
+  const report = await importCatalog(
+    csv(
+      'sku,name,price,description,image,brand,category',
+      'L-1,Lamp,30,A lamp,/images/lamp.jpg,Acme,Lighting',
+      ',No id,10,,,,',
+      'L-2,Lamp,-5,A lamp,/images/lamp.jpg,Acme,Lighting',
+      'L-1,Lamp again,30,A lamp,/images/lamp.jpg,Acme,Lighting'
+    ),
+    { format: 'csv', user },
+    config
+  );
+
+  expect(report).toMatchObject({ total: 4, created: 1, failed: 3 });
+  expect(report.rows[2].errors).toEqual([
+    { field: 'price', message: 'price must be greater than or equal to 0' },
+  ]);
+  expect(report.rows[3].errors).toEqual([
+    { field: 'sku', message: 'Duplicate of row 1' },
+  ]);
+});
+
+test('writes nothing on a dry run', async () => {
+  const report = await importCatalog(
+    json([
+      {
+        sku: 'F-1',
+        name: 'Fan',
+        description: 'A fan',
+        image: '/images/fan.jpg',
+        brand: 'Breeze',
+        category: 'Cooling',
+      },
+    ]),
+    { format: 'json', dryRun: true, user },
+    config
+  );
+
+  expect(report).toMatchObject({ dryRun: true, created: 1 });
+  expect(saveProduct).not.toHaveBeenCalled();
+  expect(saveCategory).not.toHaveBeenCalled();
+  expect(saveBrand).not.toHaveBeenCalled();
+});
+
+test('rejects a file that cannot be parsed', async () => {
+  const stream = Readable.from(['[{"sku": ']);
+
+  await expect(
+    importCatalog(stream, { format: 'json', user }, config)
+  ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_IMPORT_FILE' });
+});
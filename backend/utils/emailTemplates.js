@@ -0,0 +1,28 @@
+const mailConfig = require('../config/mail');
+const authConfig = require('../config/auth');
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const passwordResetEmail = (user, token) => {
+  const url = `${mailConfig.appUrl}/reset-password/${token}`;
+  const expiry = `${authConfig.passwordResetTtlMinutes} minutes`;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${expiry} and can only be used once.\n\n${url}\n\nIf you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use the link below to choose a new password. It expires in ${expiry} and can only be used once.</p><p><a href="${url}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`,
+  };
+};
+
+const emailVerificationEmail = (user, token) => {
+  const url = `${mailConfig.appUrl}/verify-email/${token}`;
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address:\n\n${url}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${url}">Verify email</a></p>`,
+  };
+};
+
+module.exports = { passwordResetEmail, emailVerificationEmail };
@@ -0,0 +1,64 @@
+// Application errors carry an HTTP status and a stable, machine-readable
+// code. Clients should branch on `code`, never on `message`.
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', { code = 'VALIDATION_FAILED', details } = {}) {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized', { code = 'UNAUTHORIZED', details } = {}) {
+    super(message, { statusCode: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { statusCode: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(message, { statusCode: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code = 'CONFLICT', details } = {}) {
+    super(message, { statusCode: 409, code, details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', { code = 'TOO_MANY_REQUESTS', details } = {}) {
+    super(message, { statusCode: 429, code, details });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
@@ -1,11 +1,14 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const authConfig = require('../config/auth');
 
 dotenv.config();
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Short-lived access token. `sid` ties it to a TokenFamily so that logging
+// out revokes it immediately rather than when it expires.
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: authConfig.accessTokenTtl,
   });
 };
 
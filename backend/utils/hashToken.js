@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Tokens are stored as SHA-256 hashes so a database leak does not expose them
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+module.exports = { hashToken, generateRandomToken };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const uploadsConfig = require('../config/uploads');
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('./errors');
+
+const FORMAT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Store an uploaded image and a resized copy for every configured rendition.
+// The file is decoded to check it really is an image of an allowed type,
+// whatever its name or declared MIME type say.
+const storeImage = async (buffer, config = uploadsConfig) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new BadRequestError('File is not a valid image', {
+      code: 'INVALID_IMAGE',
+    });
+  }
+
+  const contentType = FORMAT_TYPES[metadata.format];
+  if (!contentType || !config.allowedTypes.includes(contentType)) {
+    throw new BadRequestError(
+      `Unsupported image type. Allowed: ${config.allowedTypes.join(', ')}`,
+      { code: 'UNSUPPORTED_FILE_TYPE' }
+    );
+  }
+
+  const storage = getStorage();
+  const now = new Date();
+  const prefix = `products/${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const id = crypto.randomUUID();
+  const ext = EXTENSIONS[metadata.format];
+
+  // rotate() applies the EXIF orientation; metadata is stripped on output
+  const original = await storage.save(
+    `${prefix}/${id}.${ext}`,
+    await sharp(buffer).rotate().toBuffer(),
+    { contentType }
+  );
+
+  const renditions = {};
+  for (const [name, width] of Object.entries(config.renditions)) {
+    const resized = await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .toBuffer();
+    const saved = await storage.save(`${prefix}/${id}-${name}.${ext}`, resized, {
+      contentType,
+    });
+    renditions[name] = saved.url;
+  }
+
+  return {
+    url: original.url,
+    renditions,
+    width: metadata.width,
+    height: metadata.height,
+    contentType,
+  };
+};
+
+module.exports = { storeImage };
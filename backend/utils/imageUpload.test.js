@@ -0,0 +1,69 @@
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { storeImage } = require('./imageUpload');
+
+jest.mock('./storage');
+
+const config = {
+  allowedTypes: ['image/jpeg', 'image/png'],
+  renditions: { thumbnail: 150, large: 1200 },
+};
+
+// A blank image of the given size and format
+const makeImage = (width, height, format = 'png') =>
+  sharp({
+    create: { width, height, channels: 3, background: '#ffffff' },
+  })
+    .toFormat(format)
+    .toBuffer();
+
+let saved;
+
+beforeEach(() => {
+  saved = {};
+  getStorage.mockReturnValue({
+    save: async (key, buffer, { contentType }) => {
+      saved[key] = { buffer, contentType };
+      return { key, url: `/uploads/${key}` };
+    },
+  });
+});
+
+test('stores the image with a resized copy per rendition', async () => {
+  const image = await storeImage(await makeImage(400, 200), config);
+
+  expect(image).toMatchObject({
+    width: 400,
+    height: 200,
+    contentType: 'image/png',
+    url: expect.stringMatching(
+      /^\/uploads\/products\/\d{4}\/\d{2}\/[\w-]+\.png$/
+    ),
+  });
+
+  const thumbnailKey = image.renditions.thumbnail.replace('/uploads/', '');
+  const largeKey = image.renditions.large.replace('/uploads/', '');
+  expect(thumbnailKey).toMatch(/-thumbnail\.png$/);
+  await expect(
+    sharp(saved[thumbnailKey].buffer).metadata()
+  ).resolves.toMatchObject({ width: 150, height: 75 });
+  // Small images are not enlarged
+  await expect(
+    sharp(saved[largeKey].buffer).metadata()
+  ).resolves.toMatchObject({ width: 400 });
+  expect(saved[largeKey].contentType).toBe('image/png');
+});
+
+test('rejects files that are not images, whatever their name', async () => {
+  await expect(
+    storeImage(Buffer.from('<svg onload="alert(1)"></svg>'), config)
+  ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_IMAGE' });
+  expect(saved).toEqual({});
+});
+
+test('rejects image types that are not allowed', async () => {
+  await expect(
+    storeImage(await makeImage(10, 10, 'webp'), config)
+  ).rejects.toMatchObject({ code: 'UNSUPPORTED_FILE_TYPE' });
+  expect(saved).toEqual({});
+});
@@ -0,0 +1,167 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { ConflictError } = require('./errors');
+
+// Filter and update that move the stock of an order line by `quantity`.
+// For a variant the product total moves with it, so the two stay in sync.
+const stockUpdate = (item, quantity) =>
+  item.variant
+    ? {
+        filter: {
+          _id: item.product,
+          variants: {
+            $elemMatch: {
+              _id: item.variant,
+              ...(quantity < 0 && { countInStock: { $gte: -quantity } }),
+            },
+          },
+        },
+        update: {
+          $inc: { 'variants.$.countInStock': quantity, countInStock: quantity },
+        },
+      }
+    : {
+        filter: {
+          _id: item.product,
+          ...(quantity < 0 && { countInStock: { $gte: -quantity } }),
+        },
+        update: { $inc: { countInStock: quantity } },
+      };
+
+// Stock left for the line's variant, or for the product without one
+const stockBalance = (product, item) => {
+  if (!product) return 0;
+  if (!item.variant) return product.countInStock;
+  const variant = product.variants.id(item.variant);
+  return variant ? variant.countInStock : 0;
+};
+
+const insufficientStockError = (shortages) =>
+  new ConflictError('Insufficient stock for one or more items', {
+    code: 'INSUFFICIENT_STOCK',
+    details: shortages,
+  });
+
+// Decrement stock for every line of an order. Must run inside a
+// transaction: when any line is short the error aborts it, so earlier
+// decrements are rolled back. The error lists every short line.
+const reserveStock = async (order, session) => {
+  const shortages = [];
+  const movements = [];
+
+  for (const item of order.orderItems) {
+    const { filter, update } = stockUpdate(item, -item.qty);
+    const product = await Product.findOneAndUpdate(filter, update, {
+      new: true,
+      session,
+    });
+
+    if (!product) {
+      const current = await Product.findById(item.product)
+        .select('countInStock variants')
+        .session(session);
+      shortages.push({
+        product: item.product,
+        ...(item.variant && { variant: item.variant, sku: item.sku }),
+        name: item.name,
+        requested: item.qty,
+        available: stockBalance(current, item),
+      });
+      continue;
+    }
+
+    movements.push({
+      product: product._id,
+      variant: item.variant,
+      order: order._id,
+      user: order.user,
+      quantity: -item.qty,
+      balance: stockBalance(product, item),
+      reason: 'order',
+    });
+  }
+
+  if (shortages.length > 0) {
+    throw insufficientStockError(shortages);
+  }
+
+  await StockMovement.insertMany(movements, { session });
+};
+
+// Put the stock of every line of an order back, or of just `items` (with
+// the product, variant and qty of order lines). Callers are responsible for
+// making sure stock is only released once.
+const releaseStock = async (
+  order,
+  { reason, user, session, items = order.orderItems }
+) => {
+  const movements = [];
+
+  for (const item of items) {
+    const { filter, update } = stockUpdate(item, item.qty);
+    const product = await Product.findOneAndUpdate(filter, update, {
+      new: true,
+      session,
+    });
+
+    // The product or variant may have been removed from the catalog since
+    if (product) {
+      movements.push({
+        product: product._id,
+        variant: item.variant,
+        order: order._id,
+        user,
+        quantity: item.qty,
+        balance: stockBalance(product, item),
+        reason,
+      });
+    }
+  }
+
+  await StockMovement.insertMany(movements, { session });
+};
+
+// Record the manual stock changes an admin made to a product, one movement
+// per variant that changed (or for the product itself without variants).
+// `previous` holds countInStock and variants as they were before the edit.
+const recordStockAdjustment = async (product, previous, { user, session }) => {
+  const previousStock = new Map(
+    (previous.variants || []).map((v) => [String(v._id), v.countInStock])
+  );
+
+  const removedVariants = [...previousStock]
+    .filter(([id]) => !product.variants.id(id))
+    .map(([id, stock]) => ({ variant: id, quantity: -stock, balance: 0 }));
+
+  const adjustments =
+    product.variants.length > 0 || removedVariants.length > 0
+      ? product.variants
+          .map((variant) => ({
+            variant: variant._id,
+            quantity:
+              variant.countInStock - (previousStock.get(String(variant._id)) || 0),
+            balance: variant.countInStock,
+          }))
+          .concat(removedVariants)
+      : [
+          {
+            quantity: product.countInStock - (previous.countInStock || 0),
+            balance: product.countInStock,
+          },
+        ];
+
+  const movements = adjustments
+    .filter(({ quantity }) => quantity !== 0)
+    .map((adjustment) => ({
+      ...adjustment,
+      product: product._id,
+      user,
+      reason: 'adjustment',
+    }));
+
+  if (movements.length > 0) {
+    await StockMovement.insertMany(movements, { session });
+  }
+};
+
+module.exports = { reserveStock, releaseStock, recordStockAdjustment };
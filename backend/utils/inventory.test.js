@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const {
+  reserveStock,
+  releaseStock,
+  recordStockAdjustment,
+} = require('./inventory');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Stock per product id, changed by conditional updates as MongoDB would:
+// a decrement matches nothing when there is not enough stock
+let stock;
+let insertMany;
+
+beforeEach(() => {
+  stock = new Map();
+
+  jest
+    .spyOn(Product, 'findOneAndUpdate')
+    .mockImplementation(async (filter, update) => {
+      const key = String(filter._id);
+      const min = filter.countInStock && filter.countInStock.$gte;
+
+      if (!stock.has(key) || (min !== undefined && stock.get(key) < min)) {
+        return null;
+      }
+      stock.set(key, stock.get(key) + update.$inc.countInStock);
+      return new Product({ _id: filter._id, countInStock: stock.get(key) });
+    });
+  jest.spyOn(Product, 'findById').mockImplementation((productId) => ({
+    select: () => ({
+      session: async () => ({ countInStock: stock.get(String(productId)) }),
+    }),
+  }));
+  insertMany = jest.spyOn(StockMovement, 'insertMany').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const product = (countInStock) => {
+  const productId = id();
+  stock.set(String(productId), countInStock);
+  return productId;
+};
+
+const order = (lines) => ({
+  _id: id(),
+  user: id(),
+  orderItems: lines.map(([productId, qty]) => ({
+    product: productId,
+    name: 'Item',
+    qty,
+  })),
+});
+
+describe('reserveStock', () => {
+  test('takes every line out of stock and records it', async () => {
+    const a = product(5);
+    const b = product(1);
+    const placed = order([
+      [a, 2],
+      [b, 1],
+    ]);
+
+    await reserveStock(placed, 'session');
+
+    expect(stock.get(String(a))).toBe(3);
+    expect(stock.get(String(b))).toBe(0);
+    const [movements, options] = insertMany.mock.calls[0];
+    expect(movements).toEqual([
+      expect.objectContaining({ product: a, quantity: -2, balance: 3 }),
+      expect.objectContaining({ product: b, quantity: -1, balance: 0 }),
+    ]);
+    expect(movements[0]).toMatchObject({ order: placed._id, reason: 'order' });
+    expect(options).toEqual({ session: 'session' });
+  });
+
+  test('lists every short line, for the transaction to roll back', async () => {
+    const a = product(1);
+    const b = product(5);
+    const c = product(0);
+
+    await expect(
+      reserveStock(
+        order([
+          [a, 2],
+          [b, 1],
+          [c, 1],
+        ]),
+        'session'
+      )
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'INSUFFICIENT_STOCK',
+      details: [
+        expect.objectContaining({ product: a, requested: 2, available: 1 }),
+        expect.objectContaining({ product: c, requested: 1, available: 0 }),
+      ],
+    });
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  test('moves a variant and its product total together', async () => {
+    const variant = id();
+    const line = { product: id(), variant, sku: 'TEE-S', name: 'Tee', qty: 2 };
+    Product.findOneAndUpdate.mockResolvedValue(null);
+    Product.findById.mockReturnValue({
+      select: () => ({ session: async () => null }),
+    });
+
+    await expect(
+      reserveStock({ orderItems: [line] }, 'session')
+    ).rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+
+    const [filter, update] = Product.findOneAndUpdate.mock.calls[0];
+    expect(filter.variants.$elemMatch).toEqual({
+      _id: variant,
+      countInStock: { $gte: 2 },
+    });
+    expect(update).toEqual({
+      $inc: { 'variants.$.countInStock': -2, countInStock: -2 },
+    });
+  });
+});
+
+describe('releaseStock', () => {
+  test('puts the stock back with the reason given', async () => {
+    const a = product(3);
+    const cancelled = order([[a, 2]]);
+    const admin = id();
+
+    await releaseStock(cancelled, {
+      reason: 'cancellation',
+      user: admin,
+      session: 'session',
+    });
+
+    expect(stock.get(String(a))).toBe(5);
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        product: a,
+        quantity: 2,
+        balance: 5,
+        user: admin,
+        reason: 'cancellation',
+      }),
+    ]);
+  });
+
+  test('skips products removed from the catalog since', async () => {
+    const gone = id();
+
+    await releaseStock(order([[gone, 1]]), { reason: 'expiry' });
+
+    expect(insertMany.mock.calls[0][0]).toEqual([]);
+  });
+});
+
+describe('recordStockAdjustment', () => {
+  test('records the change to a product without variants', async () => {
+    const edited = new Product({ countInStock: 8 });
+
+    await recordStockAdjustment(edited, { countInStock: 10 }, { user: id() });
+
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        product: edited._id,
+        quantity: -2,
+        balance: 8,
+        reason: 'adjustment',
+      }),
+    ]);
+  });
+
+  test('records each changed variant, removed ones going to zero', async () => {
+    const edited = new Product({
+      variants: [
+        { sku: 'TEE-S', options: { size: 'S' }, countInStock: 4 },
+        { sku: 'TEE-M', options: { size: 'M' }, countInStock: 1 },
+      ],
+    });
+    const [small, medium] = edited.variants;
+    const removed = id();
+
+    await recordStockAdjustment(
+      edited,
+      {
+        variants: [
+          { _id: small._id, countInStock: 4 },
+          { _id: medium._id, countInStock: 3 },
+          { _id: removed, countInStock: 2 },
+        ],
+      },
+      { user: id() }
+    );
+
+    const movements = insertMany.mock.calls[0][0];
+    expect(movements).toHaveLength(2);
+    expect(movements[0]).toMatchObject({
+      variant: medium._id,
+      quantity: -2,
+      balance: 1,
+    });
+    expect(movements[1]).toMatchObject({
+      variant: String(removed),
+      quantity: -2,
+      balance: 0,
+    });
+  });
+
+  test('records nothing when the stock did not change', async () => {
+    await recordStockAdjustment(
+      new Product({ countInStock: 3 }),
+      { countInStock: 3 },
+      { user: id() }
+    );
+
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const companyConfig = require('../config/company');
+
+const formatInvoiceNumber = (seq, config = companyConfig) =>
+  `${config.invoicePrefix}${String(seq).padStart(6, '0')}`;
+
+// Give an order the next invoice number, unless it has one already. The
+// number and the order are saved together so no number is skipped or used
+// twice. Resolves to the order as saved.
+const assignInvoiceNumber = async (order, config = companyConfig) => {
+  if (order.invoiceNumber) {
+    return order;
+  }
+
+  let invoiced;
+
+  await mongoose.connection.transaction(async (session) => {
+    invoiced = await Order.findById(order._id).session(session);
+
+    if (!invoiced.invoiceNumber) {
+      const seq = await Counter.next('invoice', { session });
+      invoiced.invoiceNumber = formatInvoiceNumber(seq, config);
+      invoiced.invoicedAt = new Date();
+      await invoiced.save({ session });
+    }
+  });
+
+  return invoiced;
+};
+
+module.exports = { assignInvoiceNumber };
@@ -0,0 +1,11 @@
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(
+      `--- Mail to ${message.to}: ${message.subject} ---\n${message.text}\n---`
+    );
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,18 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message as a JSON file, for offline development and tests
+const createFileTransport = ({ fileDir }) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(fileDir, { recursive: true });
+    const file = path.join(
+      fileDir,
+      `${Date.now()}-${String(message.to).replace(/[^a-z0-9]+/gi, '_')}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { file };
+  },
+});
+
+module.exports = createFileTransport;
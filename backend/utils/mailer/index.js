@@ -0,0 +1,29 @@
+const mailConfig = require('../../config/mail');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Every transport implements send({ from, to, subject, text, html })
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport;
+
+const getMailTransport = () => {
+  if (!transport) {
+    const createTransport = transports[mailConfig.transport];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+    transport = createTransport(mailConfig);
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getMailTransport().send({ from: mailConfig.from, to, subject, text, html });
+
+module.exports = { sendMail, getMailTransport };
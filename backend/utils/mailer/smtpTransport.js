@@ -0,0 +1,12 @@
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ smtp }) => {
+  const transporter = nodemailer.createTransport(smtp);
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,4 @@
+// Round to cents, avoiding binary floating point artifacts like 0.1 + 0.2
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundMoney };
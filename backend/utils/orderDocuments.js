@@ -0,0 +1,369 @@
+const PDFDocument = require('pdfkit');
+const companyConfig = require('../config/company');
+const paymentsConfig = require('../config/payments');
+const { roundMoney } = require('./money');
+
+// Invoices and packing slips as PDFKit documents. Only the built-in PDF
+// fonts are used, so nothing is fetched while rendering.
+
+const MARGIN = 50;
+const FONT = 'Helvetica';
+const BOLD = 'Helvetica-Bold';
+
+const formatMoney = (amount, currency = paymentsConfig.currency) =>
+  new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+  }).format(amount);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatRate = (rate) => `${roundMoney(rate * 100)}%`;
+
+const addressLines = (address) => [
+  address.address,
+  [address.city, address.region, address.postalCode].filter(Boolean).join(', '),
+  address.country,
+];
+
+// Name, then options and (unless left out) SKU, of an order line
+const describeLine = (item, { sku = true } = {}) => {
+  const options = item.options
+    ? [...item.options].map(([name, value]) => `${name}: ${value}`)
+    : [];
+  return [item.name, options.join(', '), sku && item.sku && `SKU ${item.sku}`]
+    .filter(Boolean)
+    .join('\n');
+};
+
+const createDocument = (title) =>
+  new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+
+const contentWidth = (doc) => doc.page.width - 2 * MARGIN;
+
+const rule = (doc) => {
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(doc.page.width - MARGIN, doc.y)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.3);
+};
+
+// Start a new page unless `height` more points fit on this one
+const keepTogether = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+};
+
+// Seller on the left; title and [label, value] references on the right
+const writeHeader = (doc, title, references, company) => {
+  const top = doc.y;
+  const half = contentWidth(doc) / 2;
+
+  doc.font(BOLD).fontSize(14).text(company.name, MARGIN, top, { width: half });
+  doc.font(FONT).fontSize(9);
+  [
+    ...company.address,
+    company.email,
+    company.phone,
+    company.taxId && `Tax ID: ${company.taxId}`,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: half }));
+  const leftBottom = doc.y;
+
+  doc.font(BOLD).fontSize(18).text(title, MARGIN + half, top, {
+    width: half,
+    align: 'right',
+  });
+  doc.fontSize(9);
+  references.forEach(([label, value]) => {
+    doc
+      .font(BOLD)
+      .text(`${label}: `, { width: half, align: 'right', continued: true })
+      .font(FONT)
+      .text(value);
+  });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y);
+  doc.moveDown(1.5);
+};
+
+// Side by side blocks of { label, lines }
+const writeAddresses = (doc, blocks) => {
+  const top = doc.y;
+  const width = contentWidth(doc) / blocks.length;
+  let bottom = top;
+
+  blocks.forEach(({ label, lines }, index) => {
+    const x = MARGIN + index * width;
+    doc.font(BOLD).fontSize(10).text(label, x, top, { width: width - 10 });
+    doc.font(FONT).fontSize(9);
+    lines.filter(Boolean).forEach((line) => doc.text(line, { width: width - 10 }));
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = MARGIN;
+  doc.y = bottom;
+  doc.moveDown(1.5);
+};
+
+// Rows of cells under column headers ({ header, width, align }); rows that
+// do not fit go on a new page, under the headers again
+const writeTable = (doc, columns, rows) => {
+  const rowHeight = (cells) =>
+    Math.max(
+      ...cells.map((cell, index) =>
+        doc.heightOfString(String(cell), { width: columns[index].width - 6 })
+      )
+    );
+
+  const writeRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = rowHeight(cells);
+    const top = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(String(cell), x, top, { width: width - 6, align });
+      x += width;
+    });
+
+    doc.x = MARGIN;
+    doc.y = top + height + 4;
+  };
+
+  const writeHeaderRow = () => {
+    writeRow(columns.map(({ header }) => header), BOLD);
+    rule(doc);
+  };
+
+  writeHeaderRow();
+  rows.forEach((row) => {
+    doc.font(FONT).fontSize(9);
+    const height = rowHeight(row);
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+      writeHeaderRow();
+    }
+    writeRow(row, FONT);
+  });
+  rule(doc);
+};
+
+// [label, value, bold?] pairs, right aligned under the table
+const writeTotals = (doc, rows) => {
+  const labelWidth = 180;
+  const valueWidth = 90;
+  const x = doc.page.width - MARGIN - labelWidth - valueWidth;
+
+  keepTogether(doc, rows.length * 14);
+  rows.forEach(([label, value, bold]) => {
+    const top = doc.y;
+    doc.font(bold ? BOLD : FONT).fontSize(bold ? 11 : 9);
+    doc.text(label, x, top, { width: labelWidth, align: 'right' });
+    doc.text(value, x + labelWidth, top, { width: valueWidth, align: 'right' });
+  });
+
+  doc.x = MARGIN;
+  doc.moveDown(1);
+};
+
+const INVOICE_COLUMNS = [
+  { header: 'Item', width: 170 },
+  { header: 'Qty', width: 30, align: 'right' },
+  { header: 'Unit price', width: 65, align: 'right' },
+  { header: 'Discount', width: 60, align: 'right' },
+  { header: 'Tax rate', width: 45, align: 'right' },
+  { header: 'Tax', width: 55, align: 'right' },
+  { header: 'Amount', width: 70, align: 'right' },
+];
+
+// Lines grouped by tax class and rate, with what they were taxed on
+const taxBreakdown = (order, taxIncluded) => {
+  const groups = new Map();
+
+  order.orderItems.forEach((item) => {
+    const key = `${item.taxClass}:${item.taxRate}`;
+    const group = groups.get(key) || {
+      taxClass: item.taxClass,
+      taxRate: item.taxRate,
+      taxable: 0,
+      tax: 0,
+    };
+    const amount = item.subtotal - item.discount;
+    group.taxable += taxIncluded ? amount - item.taxPrice : amount;
+    group.tax += item.taxPrice;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()];
+};
+
+const paymentStatus = (order) => {
+  const result = order.paymentResult || {};
+  const refunded = result.amountRefunded || 0;
+
+  if (!order.isPaid) {
+    return order.status === 'cancelled' ? 'Cancelled, not paid' : 'Awaiting payment';
+  }
+
+  const paid = `Paid on ${formatDate(order.paidAt)}${
+    result.provider ? ` via ${result.provider}` : ''
+  }`;
+  if (refunded <= 0) {
+    return paid;
+  }
+  return refunded >= order.totalPrice
+    ? `${paid}. Refunded in full.`
+    : `${paid}. ${formatMoney(refunded)} refunded.`;
+};
+
+// Invoice of an order with its user populated (name, email). The order
+// must have an invoice number (see utils/invoices.js).
+const createInvoicePdf = (order, company = companyConfig) => {
+  const doc = createDocument(`Invoice ${order.invoiceNumber}`);
+  const tax = order.tax || {};
+  const taxIncluded = Boolean(tax.pricesIncludeTax);
+  const taxName = tax.name || 'Tax';
+
+  writeHeader(
+    doc,
+    'INVOICE',
+    [
+      ['Invoice', order.invoiceNumber],
+      ['Invoice date', formatDate(order.invoicedAt)],
+      ['Order', String(order._id)],
+      ['Order date', formatDate(order.createdAt)],
+    ],
+    company
+  );
+
+  writeAddresses(doc, [
+    {
+      label: 'Bill to',
+      lines: order.user ? [order.user.name, order.user.email] : [],
+    },
+    { label: 'Ship to', lines: addressLines(order.shippingAddress) },
+  ]);
+
+  writeTable(
+    doc,
+    INVOICE_COLUMNS,
+    order.orderItems.map((item) => [
+      describeLine(item),
+      item.qty,
+      formatMoney(item.price),
+      item.discount ? `-${formatMoney(item.discount)}` : '',
+      item.taxClass === 'exempt' ? 'Exempt' : formatRate(item.taxRate),
+      formatMoney(item.taxPrice),
+      formatMoney(roundMoney(item.subtotal - item.discount)),
+    ])
+  );
+
+  const discountCodes = order.discounts.map(({ code }) => code).join(', ');
+  const shippingMethod = order.shippingMethod && order.shippingMethod.name;
+  const refunded = (order.paymentResult && order.paymentResult.amountRefunded) || 0;
+
+  writeTotals(
+    doc,
+    [
+      ['Items', formatMoney(order.itemsPrice)],
+      order.discountPrice > 0 && [
+        `Discounts${discountCodes ? ` (${discountCodes})` : ''}`,
+        `-${formatMoney(order.discountPrice)}`,
+      ],
+      [
+        `Shipping${shippingMethod ? ` (${shippingMethod})` : ''}`,
+        formatMoney(order.shippingPrice),
+      ],
+      [
+        taxIncluded ? `${taxName} included` : taxName,
+        formatMoney(order.taxPrice),
+      ],
+      ['Total', formatMoney(order.totalPrice), true],
+      refunded > 0 && ['Refunded', `-${formatMoney(refunded)}`],
+    ].filter(Boolean)
+  );
+
+  keepTogether(doc, 80);
+  doc.font(BOLD).fontSize(10).text(`${taxName} summary`);
+  doc.moveDown(0.3);
+  writeTable(
+    doc,
+    [
+      { header: 'Rate', width: 165 },
+      { header: 'Taxed amount', width: 165, align: 'right' },
+      { header: taxName, width: 165, align: 'right' },
+    ],
+    taxBreakdown(order, taxIncluded).map((group) => [
+      `${group.taxClass} ${formatRate(group.taxRate)}`,
+      formatMoney(roundMoney(group.taxable)),
+      formatMoney(roundMoney(group.tax)),
+    ])
+  );
+
+  doc.font(BOLD).fontSize(10).text('Payment: ', { continued: true });
+  doc.font(FONT).text(paymentStatus(order));
+
+  doc.end();
+  return doc;
+};
+
+// Packing slip of an order with its user populated (name)
+const createPackingSlipPdf = (order, company = companyConfig) => {
+  const doc = createDocument(`Packing slip ${order._id}`);
+  const method = order.shippingMethod || {};
+
+  writeHeader(
+    doc,
+    'PACKING SLIP',
+    [
+      ['Order', String(order._id)],
+      ['Order date', formatDate(order.createdAt)],
+    ],
+    company
+  );
+
+  writeAddresses(doc, [
+    {
+      label: 'Ship to',
+      lines: [order.user && order.user.name, ...addressLines(order.shippingAddress)],
+    },
+    {
+      label: 'Shipping',
+      lines: [
+        method.name,
+        order.carrier,
+        order.trackingNumber && `Tracking: ${order.trackingNumber}`,
+      ],
+    },
+  ]);
+
+  writeTable(
+    doc,
+    [
+      { header: 'SKU', width: 100 },
+      { header: 'Item', width: 275 },
+      { header: 'Qty', width: 50, align: 'right' },
+      { header: 'Packed', width: 70, align: 'center' },
+    ],
+    order.orderItems.map((item) => [
+      item.sku || '',
+      describeLine(item, { sku: false }),
+      item.qty,
+      '[   ]',
+    ])
+  );
+
+  const units = order.orderItems.reduce((acc, item) => acc + item.qty, 0);
+  doc.font(BOLD).fontSize(10).text(`${units} item(s)`);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = { createInvoicePdf, createPackingSlipPdf };
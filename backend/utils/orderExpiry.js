@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ordersConfig = require('../config/orders');
+const { releaseStock } = require('./inventory');
+const { releasePromotions } = require('./promotions');
+
+// Cancel unpaid orders older than the payment timeout and return their stock
+// and coupon uses. A payment captured after that is refunded (see
+// markOrderPaid in utils/payments).
+const expireUnpaidOrders = async (config = ordersConfig) => {
+  const cutoff = new Date(Date.now() - config.paymentTimeoutMinutes * 60 * 1000);
+
+  const staleOrders = await Order.find({
+    status: 'pending',
+    createdAt: { $lt: cutoff },
+  }).select('_id');
+
+  let expired = 0;
+
+  for (const { _id } of staleOrders) {
+    await mongoose.connection.transaction(async (session) => {
+      // Re-check inside the transaction so a payment that lands meanwhile wins
+      const order = await Order.findOne({ _id, status: 'pending' }).session(
+        session
+      );
+
+      if (order) {
+        order.transitionTo('cancelled', { note: 'Payment timeout' });
+        await releaseStock(order, { reason: 'expiry', session });
+        await releasePromotions(order, session);
+        await order.save({ session });
+        expired += 1;
+      }
+    });
+  }
+
+  return expired;
+};
+
+const startOrderExpiryJob = (config = ordersConfig) => {
+  const timer = setInterval(() => {
+    expireUnpaidOrders(config)
+      .then((count) => {
+        if (count > 0) console.log(`Expired ${count} unpaid order(s)`);
+      })
+      .catch((err) => console.error(`Order expiry failed: ${err.message}`));
+  }, config.expiryCheckIntervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = { expireUnpaidOrders, startOrderExpiryJob };
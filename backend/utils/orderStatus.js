@@ -0,0 +1,47 @@
+const ORDER_STATUSES = [
+  'pending',
+  'paid',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+// Allowed moves from each status; cancelled and refunded are final
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'shipped', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+const canTransition = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Returns (Order.returns) go through their own statuses, without changing
+// the order's
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+};
+
+const canTransitionReturn = (from, to) =>
+  (RETURN_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  canTransitionReturn,
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  canTransitionReturn,
+} = require('./orderStatus');
+
+const newOrder = () =>
+  new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderItems: [],
+    shippingAddress: {
+      address: '1 Main St',
+      city: 'Colombo',
+      postalCode: '00100',
+      country: 'Sri Lanka',
+    },
+    paymentMethod: 'mock',
+  });
+
+describe('canTransition', () => {
+  test('follows the happy path from pending to delivered', () => {
+    expect(canTransition('pending', 'paid')).toBe(true);
+    expect(canTransition('paid', 'processing')).toBe(true);
+    expect(canTransition('processing', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+  });
+
+  test('allows cancelling only before shipping', () => {
+    ['pending', 'paid', 'processing'].forEach((status) => {
+      expect(canTransition(status, 'cancelled')).toBe(true);
+    });
+    ['shipped', 'delivered'].forEach((status) => {
+      expect(canTransition(status, 'cancelled')).toBe(false);
+    });
+  });
+
+  test('does not skip payment or go backwards', () => {
+    expect(canTransition('pending', 'shipped')).toBe(false);
+    expect(canTransition('pending', 'refunded')).toBe(false);
+    expect(canTransition('shipped', 'paid')).toBe(false);
+    expect(canTransition('delivered', 'shipped')).toBe(false);
+  });
+
+  test('treats cancelled and refunded as final', () => {
+    ORDER_STATUSES.forEach((status) => {
+      expect(canTransition('cancelled', status)).toBe(false);
+      expect(canTransition('refunded', status)).toBe(false);
+    });
+  });
+
+  test('knows every status and no others', () => {
+    expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual(
+      [...ORDER_STATUSES].sort()
+    );
+    expect(canTransition('unknown', 'paid')).toBe(false);
+  });
+});
+
+describe('canTransitionReturn', () => {
+  test('goes from requested through approval to refund', () => {
+    expect(canTransitionReturn('requested', 'approved')).toBe(true);
+    expect(canTransitionReturn('requested', 'rejected')).toBe(true);
+    expect(canTransitionReturn('approved', 'received')).toBe(true);
+    expect(canTransitionReturn('received', 'refunded')).toBe(true);
+  });
+
+  test('does not refund a return that was not received', () => {
+    expect(canTransitionReturn('requested', 'refunded')).toBe(false);
+    expect(canTransitionReturn('approved', 'refunded')).toBe(false);
+    expect(canTransitionReturn('rejected', 'approved')).toBe(false);
+  });
+});
+
+describe('Order#transitionTo', () => {
+  test('keeps the flags, timestamps and history in step', () => {
+    const order = newOrder();
+    const actor = new mongoose.Types.ObjectId();
+
+    order.transitionTo('paid', { actor, note: 'Captured' });
+
+    expect(order.status).toBe('paid');
+    expect(order.isPaid).toBe(true);
+    expect(order.paidAt).toBeInstanceOf(Date);
+    expect(order.statusHistory).toHaveLength(1);
+    expect(order.statusHistory[0]).toMatchObject({
+      status: 'paid',
+      note: 'Captured',
+    });
+    expect(order.statusHistory[0].actor.equals(actor)).toBe(true);
+
+    order.transitionTo('shipped');
+    order.transitionTo('delivered');
+
+    expect(order.isDelivered).toBe(true);
+    expect(order.deliveredAt).toBeInstanceOf(Date);
+    expect(order.statusHistory.map(({ status }) => status)).toEqual([
+      'paid',
+      'shipped',
+      'delivered',
+    ]);
+  });
+
+  test('throws on a transition that is not allowed and changes nothing', () => {
+    const order = newOrder();
+
+    expect(() => order.transitionTo('shipped')).toThrow(
+      'Cannot change order status from pending to shipped'
+    );
+    expect(order.status).toBe('pending');
+    expect(order.statusHistory).toHaveLength(0);
+
+    let error;
+    try {
+      order.transitionTo('delivered');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({
+      code: 'INVALID_STATUS_TRANSITION',
+      statusCode: 409,
+    });
+  });
+
+  test('logs events without changing the status', () => {
+    const order = newOrder();
+    order.transitionTo('paid');
+
+    order.logEvent('refunded', { note: 'Refunded 4' });
+
+    expect(order.status).toBe('paid');
+    expect(order.statusHistory[1]).toMatchObject({
+      status: 'paid',
+      event: 'refunded',
+      note: 'Refunded 4',
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const paymentsConfig = require('../../config/payments');
+const createMockProvider = require('./mockProvider');
+const { AppError } = require('../errors');
+const { roundMoney } = require('../money');
+const { canTransition } = require('../orderStatus');
+
+// Every provider implements:
+//   createPaymentIntent({ amount, currency, metadata }) -> intent
+//   retrievePaymentIntent(intentId) -> intent, as the provider holds it
+//   capturePayment(intentId) -> intent
+//   refundPayment(intentId, amount?, { idempotencyKey }) -> refund; sent
+//     again with the same key, the first refund is returned, not repeated
+//   verifyWebhook(rawBody, headers) -> event, throws on a bad signature
+// Amounts are integers in the currency's minor unit (e.g. cents).
+const providers = {
+  mock: createMockProvider,
+};
+
+let provider;
+
+const unavailableError = (reason) =>
+  new AppError(`Payments are unavailable: ${reason}`, {
+    statusCode: 503,
+    code: 'PAYMENTS_UNAVAILABLE',
+  });
+
+// Payments are checked when first used rather than at startup, so a server
+// without a payment setup still runs; only the payment routes answer 503
+const getPaymentProvider = () => {
+  if (!provider) {
+    const { provider: name, webhookSecret, allowMock } = paymentsConfig;
+
+    if (!name || !webhookSecret) {
+      throw unavailableError(
+        'PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET must be set'
+      );
+    }
+    if (name === 'mock' && !allowMock) {
+      throw unavailableError('the mock provider is for development and tests');
+    }
+    if (!providers[name]) {
+      throw unavailableError(`unknown payment provider ${name}`);
+    }
+    provider = providers[name](paymentsConfig);
+  }
+  return provider;
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const paymentError = (message, code, statusCode = 400) =>
+  new AppError(message, { statusCode, code });
+
+const latePaymentError = (order) =>
+  paymentError(
+    `Order is ${order.status}, so its payment has been refunded`,
+    'PAYMENT_REFUNDED',
+    409
+  );
+
+// Refunds are recorded on the order as pending, and saved, before the
+// provider is asked for them. A refund whose outcome got lost (a crash, a
+// failed save) is then sent again under the same key, which the provider
+// does not act on twice, instead of being made a second time.
+const addPendingRefund = (order, fields) => {
+  order.paymentResult.refunds.push({
+    ...fields,
+    status: 'pending',
+    idempotencyKey: crypto.randomUUID(),
+  });
+  // Two refunds started at once fail the version check rather than both
+  // going through
+  order.increment();
+
+  const { refunds } = order.paymentResult;
+  return refunds[refunds.length - 1];
+};
+
+const findPendingRefund = (order) =>
+  order.paymentResult.refunds.find((refund) => refund.status === 'pending');
+
+// Ask the provider for a recorded refund. One it turns down is marked
+// failed; when the outcome is unknown (e.g. a timeout) it stays pending.
+const sendRefund = async (order, refund) => {
+  try {
+    const result = await getPaymentProvider().refundPayment(
+      order.paymentResult.id,
+      toMinorUnits(refund.amount),
+      { idempotencyKey: refund.idempotencyKey }
+    );
+    refund.id = result.id;
+    refund.status = 'succeeded';
+  } catch (err) {
+    if (err instanceof AppError) {
+      refund.status = 'failed';
+      await order.save();
+    }
+    throw err;
+  }
+};
+
+// Give back a payment captured after its order was cancelled, e.g. by the
+// expiry job while the customer was still paying
+const refundLatePayment = async (order, intent) => {
+  const amount = intent.amount / 100;
+  const refund =
+    findPendingRefund(order) ||
+    addPendingRefund(order, {
+      amount,
+      reason: `Paid after the order was ${order.status}`,
+    });
+
+  await order.save();
+  await sendRefund(order, refund);
+
+  order.paymentResult.amountRefunded = amount;
+  order.paymentResult.status = 'refunded';
+  order.paymentResult.update_time = new Date().toISOString();
+  order.logEvent('refunded', {
+    note: `Refunded ${amount}: paid after the order was ${order.status}`,
+  });
+
+  await order.save();
+};
+
+// Mark an order paid from a captured payment intent. Safe to call more than
+// once for the same payment (e.g. capture response and webhook racing).
+const markOrderPaid = async (order, intent, { actor } = {}) => {
+  if (order.isPaid) {
+    return order;
+  }
+
+  if (!order.paymentResult || order.paymentResult.id !== intent.id) {
+    throw paymentError('Payment does not belong to this order', 'PAYMENT_MISMATCH');
+  }
+  if (order.paymentResult.status === 'refunded') {
+    throw latePaymentError(order);
+  }
+  if (intent.status !== 'succeeded') {
+    throw paymentError('Payment has not been captured', 'PAYMENT_NOT_CAPTURED', 402);
+  }
+  if (
+    intent.amount !== toMinorUnits(order.totalPrice) ||
+    intent.currency !== order.paymentResult.currency
+  ) {
+    throw paymentError(
+      'Payment amount does not match the order total',
+      'PAYMENT_AMOUNT_MISMATCH'
+    );
+  }
+
+  if (!canTransition(order.status, 'paid')) {
+    await refundLatePayment(order, intent);
+    throw latePaymentError(order);
+  }
+
+  order.transitionTo('paid', {
+    actor,
+    note: `Paid via ${order.paymentResult.provider} (${intent.id})`,
+  });
+  order.paymentResult.status = intent.status;
+  order.paymentResult.update_time = new Date().toISOString();
+
+  try {
+    return await order.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      const current = await Order.findById(order._id);
+      if (current && current.isPaid) return current;
+    }
+    throw err;
+  }
+};
+
+// Refund `amount` of an order's payment (all that is left of it when
+// omitted) and record it on paymentResult. A fully refunded order moves to
+// 'refunded' where its status allows; other refunds are logged in its
+// history. A refund left pending by an earlier, interrupted call is
+// finished instead of a new one being started. Returns the refund made;
+// the caller saves the order.
+const refundOrder = async (order, { amount, reason, returnId, actor } = {}) => {
+  if (!order.isPaid || !order.paymentResult || !order.paymentResult.id) {
+    throw paymentError('Only paid orders can be refunded', 'ORDER_NOT_PAID', 409);
+  }
+
+  let refund = findPendingRefund(order);
+
+  if (!refund) {
+    const refundable = roundMoney(
+      order.totalPrice - (order.paymentResult.amountRefunded || 0)
+    );
+    const refundAmount = amount === undefined ? refundable : roundMoney(amount);
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new AppError(`At most ${refundable} can be refunded`, {
+        statusCode: 409,
+        code: 'REFUND_EXCEEDS_PAYMENT',
+        details: { refundable },
+      });
+    }
+
+    refund = addPendingRefund(order, {
+      amount: refundAmount,
+      reason,
+      return: returnId,
+      actor,
+    });
+    await order.save();
+  }
+
+  await sendRefund(order, refund);
+
+  const refunded = order.paymentResult.amountRefunded || 0;
+  const isFull = refund.amount === roundMoney(order.totalPrice - refunded);
+
+  order.paymentResult.amountRefunded = roundMoney(refunded + refund.amount);
+  order.paymentResult.status = isFull ? 'refunded' : 'partially_refunded';
+  order.paymentResult.update_time = new Date().toISOString();
+
+  const note = refund.reason
+    ? `Refunded ${refund.amount}: ${refund.reason}`
+    : `Refunded ${refund.amount}`;
+
+  if (isFull && canTransition(order.status, 'refunded')) {
+    order.transitionTo('refunded', { actor: refund.actor, note });
+  } else {
+    order.logEvent('refunded', { actor: refund.actor, note });
+  }
+
+  return refund;
+};
+
+module.exports = { getPaymentProvider, toMinorUnits, markOrderPaid, refundOrder };
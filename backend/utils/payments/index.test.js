@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const createMockProvider = require('./mockProvider');
+const { AppError } = require('../errors');
+const { getPaymentProvider, markOrderPaid, refundOrder } = require('.');
+
+const provider = getPaymentProvider();
+
+beforeEach(() => {
+  jest.spyOn(Order.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A pending order of 10.00 with a payment intent started
+const pendingOrder = async ({ totalPrice = 10 } = {}) => {
+  const intent = await provider.createPaymentIntent({
+    amount: totalPrice * 100,
+    currency: 'usd',
+  });
+
+  return new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderItems: [],
+    shippingAddress: {
+      address: '1 Main St',
+      city: 'Colombo',
+      postalCode: '00100',
+      country: 'Sri Lanka',
+    },
+    paymentMethod: 'mock',
+    totalPrice,
+    paymentResult: {
+      provider: provider.name,
+      id: intent.id,
+      currency: intent.currency,
+      status: intent.status,
+    },
+  });
+};
+
+describe('getPaymentProvider', () => {
+  // utils/payments as loaded with these environment variables
+  const loadWith = (env) => {
+    const saved = { ...process.env };
+    let payments;
+
+    Object.assign(process.env, env);
+    jest.isolateModules(() => {
+      payments = require('.');
+    });
+    process.env = saved;
+    return payments;
+  };
+
+  test('answers 503 in production until payments are configured', () => {
+    const payments = loadWith({
+      NODE_ENV: 'production',
+      PAYMENT_PROVIDER: '',
+      PAYMENT_WEBHOOK_SECRET: '',
+    });
+
+    expect(() => payments.getPaymentProvider()).toThrow(
+      expect.objectContaining({ statusCode: 503, code: 'PAYMENTS_UNAVAILABLE' })
+    );
+  });
+
+  test('refuses the mock provider and unknown ones in production', () => {
+    ['mock', 'acme'].forEach((name) => {
+      const payments = loadWith({
+        NODE_ENV: 'production',
+        PAYMENT_PROVIDER: name,
+        PAYMENT_WEBHOOK_SECRET: 'whsec_1',
+      });
+
+      expect(() => payments.getPaymentProvider()).toThrow(
+        expect.objectContaining({ code: 'PAYMENTS_UNAVAILABLE' })
+      );
+    });
+  });
+
+  test('uses the mock provider in tests', () => {
+    expect(provider.name).toBe('mock');
+  });
+});
+
+describe('mock provider webhooks', () => {
+  const mock = createMockProvider({
+    webhookSecret: 'test_secret',
+    webhookTolerance: 300,
+  });
+
+  test('verifies the webhooks it signs', () => {
+    const { body, headers } = mock.signWebhook('payment_intent.succeeded', {
+      id: 'pi_1',
+    });
+    expect(mock.verifyWebhook(Buffer.from(body), headers)).toMatchObject({
+      type: 'payment_intent.succeeded',
+      data: { id: 'pi_1' },
+    });
+  });
+
+  test('rejects webhooks signed with another secret', () => {
+    const other = createMockProvider({
+      webhookSecret: 'other_secret',
+      webhookTolerance: 300,
+    });
+    const { body, headers } = other.signWebhook('payment_intent.succeeded', {});
+    expect(() => mock.verifyWebhook(body, headers)).toThrow(
+      'Invalid webhook signature'
+    );
+  });
+});
+
+describe('markOrderPaid', () => {
+  test('marks the order paid from a captured intent', async () => {
+    const order = await pendingOrder();
+    const intent = await provider.capturePayment(order.paymentResult.id);
+
+    await markOrderPaid(order, intent);
+
+    expect(order.isPaid).toBe(true);
+    expect(order.status).toBe('paid');
+    expect(order.paymentResult.status).toBe('succeeded');
+  });
+
+  test('rejects intents that were not captured', async () => {
+    const order = await pendingOrder();
+    const intent = await provider.retrievePaymentIntent(order.paymentResult.id);
+
+    await expect(markOrderPaid(order, intent)).rejects.toMatchObject({
+      code: 'PAYMENT_NOT_CAPTURED',
+    });
+    expect(order.isPaid).toBe(false);
+  });
+
+  test('rejects intents for another amount, currency or order', async () => {
+    const order = await pendingOrder();
+    const intent = await provider.capturePayment(order.paymentResult.id);
+
+    await expect(
+      markOrderPaid(order, { ...intent, amount: intent.amount - 1 })
+    ).rejects.toMatchObject({ code: 'PAYMENT_AMOUNT_MISMATCH' });
+    await expect(
+      markOrderPaid(order, { ...intent, currency: 'eur' })
+    ).rejects.toMatchObject({ code: 'PAYMENT_AMOUNT_MISMATCH' });
+    await expect(
+      markOrderPaid(order, { ...intent, id: 'pi_other' })
+    ).rejects.toMatchObject({ code: 'PAYMENT_MISMATCH' });
+    expect(order.isPaid).toBe(false);
+  });
+
+  test('refunds a payment captured after the order was cancelled', async () => {
+    const order = await pendingOrder();
+    order.transitionTo('cancelled', { note: 'Payment timeout' });
+    const intent = await provider.capturePayment(order.paymentResult.id);
+
+    await expect(markOrderPaid(order, intent)).rejects.toMatchObject({
+      code: 'PAYMENT_REFUNDED',
+    });
+    expect(order.isPaid).toBe(false);
+    expect(order.paymentResult.amountRefunded).toBe(10);
+    expect((await provider.retrievePaymentIntent(intent.id)).status).toBe(
+      'refunded'
+    );
+
+    // A repeated webhook does not refund twice
+    await expect(markOrderPaid(order, intent)).rejects.toMatchObject({
+      code: 'PAYMENT_REFUNDED',
+    });
+    expect(order.paymentResult.refunds).toHaveLength(1);
+  });
+});
+
+describe('refundOrder', () => {
+  const paidOrder = async () => {
+    const order = await pendingOrder();
+    const intent = await provider.capturePayment(order.paymentResult.id);
+    await markOrderPaid(order, intent);
+    return order;
+  };
+
+  test('refunds part of a payment and logs it', async () => {
+    const order = await paidOrder();
+
+    await refundOrder(order, { amount: 4, reason: 'Damaged' });
+
+    expect(order.status).toBe('paid');
+    expect(order.paymentResult.amountRefunded).toBe(4);
+    expect(order.paymentResult.status).toBe('partially_refunded');
+    expect(order.statusHistory[order.statusHistory.length - 1].event).toBe(
+      'refunded'
+    );
+  });
+
+  test('moves a fully refunded order to refunded', async () => {
+    const order = await paidOrder();
+
+    await refundOrder(order, { amount: 4 });
+    await refundOrder(order);
+
+    expect(order.status).toBe('refunded');
+    expect(order.paymentResult.amountRefunded).toBe(10);
+  });
+
+  test('refuses to refund more than was paid, or an unpaid order', async () => {
+    const order = await paidOrder();
+
+    await expect(refundOrder(order, { amount: 10.01 })).rejects.toMatchObject({
+      code: 'REFUND_EXCEEDS_PAYMENT',
+    });
+    await expect(refundOrder(await pendingOrder())).rejects.toMatchObject({
+      code: 'ORDER_NOT_PAID',
+    });
+  });
+
+  test('finishes an interrupted refund without paying twice', async () => {
+    const order = await paidOrder();
+    const refundPayment = provider.refundPayment.bind(provider);
+    jest
+      .spyOn(provider, 'refundPayment')
+      .mockImplementationOnce(async (...args) => {
+        // The provider refunds, but the answer never arrives
+        await refundPayment(...args);
+        throw new Error('socket hang up');
+      });
+
+    await expect(refundOrder(order, { amount: 4 })).rejects.toThrow(
+      'socket hang up'
+    );
+    expect(order.paymentResult.refunds[0].status).toBe('pending');
+
+    await refundOrder(order);
+
+    expect(order.paymentResult.refunds).toHaveLength(1);
+    expect(order.paymentResult.refunds[0].status).toBe('succeeded');
+    expect(order.paymentResult.amountRefunded).toBe(4);
+    const intent = await provider.retrievePaymentIntent(order.paymentResult.id);
+    expect(intent.amountRefunded).toBe(400);
+  });
+
+  test('marks a refund the provider turns down as failed', async () => {
+    const order = await paidOrder();
+    jest
+      .spyOn(provider, 'refundPayment')
+      .mockRejectedValueOnce(
+        new AppError('Declined', { statusCode: 400, code: 'REFUND_DECLINED' })
+      );
+
+    await expect(refundOrder(order)).rejects.toMatchObject({
+      code: 'REFUND_DECLINED',
+    });
+    expect(order.paymentResult.refunds[0].status).toBe('failed');
+    expect(order.paymentResult.amountRefunded).toBe(0);
+
+    await refundOrder(order);
+    expect(order.status).toBe('refunded');
+  });
+});
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, signPayload, verifySignature } = require('./signature');
+const { AppError } = require('../errors');
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const providerError = (message, code, statusCode = 400) =>
+  new AppError(message, { statusCode, code });
+
+// Offline payment provider that keeps intents in memory. Every capture
+// succeeds, and a refund sent again under the same key is only made once.
+// signWebhook() produces payloads the way a real gateway would, so the
+// webhook route can be exercised locally and in tests.
+const createMockProvider = ({ webhookSecret, webhookTolerance }) => {
+  const intents = new Map();
+  const refunds = new Map(); // by idempotency key
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw providerError(
+        `Payment intent not found: ${intentId}`,
+        'PAYMENT_INTENT_NOT_FOUND',
+        404
+      );
+    }
+    return intent;
+  };
+
+  return {
+    name: 'mock',
+
+    async createPaymentIntent({ amount, currency, metadata = {} }) {
+      const intent = {
+        id: newId('pi'),
+        clientSecret: newId('secret'),
+        amount,
+        amountRefunded: 0,
+        currency,
+        metadata,
+        status: 'requires_capture',
+        created: Date.now(),
+      };
+      intents.set(intent.id, intent);
+      return { ...intent };
+    },
+
+    async retrievePaymentIntent(intentId) {
+      return { ...findIntent(intentId) };
+    },
+
+    async capturePayment(intentId) {
+      const intent = findIntent(intentId);
+      if (intent.status === 'requires_capture') {
+        intent.status = 'succeeded';
+        intent.captured = Date.now();
+      }
+      return { ...intent };
+    },
+
+    async refundPayment(intentId, amount, { idempotencyKey } = {}) {
+      if (idempotencyKey && refunds.has(idempotencyKey)) {
+        return { ...refunds.get(idempotencyKey) };
+      }
+
+      const intent = findIntent(intentId);
+      const refundable = intent.amount - intent.amountRefunded;
+      const refundAmount = amount === undefined ? refundable : amount;
+
+      if (intent.status !== 'succeeded' && intent.status !== 'partially_refunded') {
+        throw providerError(
+          'Only captured payments can be refunded',
+          'REFUND_NOT_ALLOWED'
+        );
+      }
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw providerError(
+          'Refund amount exceeds the captured amount',
+          'REFUND_EXCEEDS_CAPTURE'
+        );
+      }
+
+      intent.amountRefunded += refundAmount;
+      intent.status =
+        intent.amountRefunded === intent.amount ? 'refunded' : 'partially_refunded';
+
+      const refund = {
+        id: newId('re'),
+        paymentIntent: intent.id,
+        amount: refundAmount,
+        currency: intent.currency,
+        status: 'succeeded',
+      };
+      if (idempotencyKey) {
+        refunds.set(idempotencyKey, refund);
+      }
+      return { ...refund };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+      verifySignature(payload, headers[SIGNATURE_HEADER], webhookSecret, webhookTolerance);
+      return JSON.parse(payload);
+    },
+
+    // Build a signed webhook request body and headers for an event
+    signWebhook(type, data) {
+      const body = JSON.stringify({ id: newId('evt'), type, data });
+      return {
+        body,
+        headers: {
+          'content-type': 'application/json',
+          [SIGNATURE_HEADER]: signPayload(body, webhookSecret),
+        },
+      };
+    },
+  };
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { BadRequestError } = require('../errors');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+const computeSignature = (payload, timestamp, secret) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+// Build a `t=<unix seconds>,v1=<hex hmac>` header value for a raw payload
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+
+const signatureError = (message) =>
+  new BadRequestError(message, { code: 'INVALID_SIGNATURE' });
+
+// Check a signature header against the raw payload. Throws when the header
+// is missing or malformed, the HMAC does not match, or the timestamp falls
+// outside the tolerance window (replay protection).
+const verifySignature = (payload, header, secret, toleranceSeconds) => {
+  if (!header) {
+    throw signatureError('Missing webhook signature');
+  }
+
+  const parts = Object.fromEntries(
+    String(header)
+      .split(',')
+      .map((part) => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw signatureError('Malformed webhook signature');
+  }
+
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw signatureError('Invalid webhook signature');
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    throw signatureError('Webhook signature has expired');
+  }
+};
+
+module.exports = { SIGNATURE_HEADER, signPayload, verifySignature };
@@ -0,0 +1,55 @@
+const { signPayload, verifySignature } = require('./signature');
+
+const SECRET = 'test_secret';
+const PAYLOAD = JSON.stringify({ type: 'payment_intent.succeeded' });
+const now = () => Math.floor(Date.now() / 1000);
+
+const verify = (header, { payload = PAYLOAD, secret = SECRET } = {}) =>
+  verifySignature(payload, header, secret, 300);
+
+const expectInvalid = (fn, message) => {
+  let error;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toMatchObject({
+    message,
+    code: 'INVALID_SIGNATURE',
+    statusCode: 400,
+  });
+};
+
+test('accepts a payload signed with the secret', () => {
+  expect(() => verify(signPayload(PAYLOAD, SECRET))).not.toThrow();
+});
+
+test('rejects a missing or malformed header', () => {
+  expectInvalid(() => verify(undefined), 'Missing webhook signature');
+  expectInvalid(() => verify('garbage'), 'Malformed webhook signature');
+  expectInvalid(() => verify(`t=${now()}`), 'Malformed webhook signature');
+});
+
+test('rejects a tampered payload', () => {
+  const header = signPayload(PAYLOAD, SECRET);
+  expectInvalid(
+    () => verify(header, { payload: PAYLOAD.replace('succeeded', 'failed') }),
+    'Invalid webhook signature'
+  );
+});
+
+test('rejects a payload signed with another secret', () => {
+  expectInvalid(
+    () => verify(signPayload(PAYLOAD, 'other_secret')),
+    'Invalid webhook signature'
+  );
+});
+
+test('rejects signatures outside the tolerance window', () => {
+  expectInvalid(
+    () => verify(signPayload(PAYLOAD, SECRET, now() - 301)),
+    'Webhook signature has expired'
+  );
+  expect(() => verify(signPayload(PAYLOAD, SECRET, now() - 60))).not.toThrow();
+});
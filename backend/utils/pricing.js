@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const pricingConfig = require('../config/pricing');
+const { BadRequestError, NotFoundError } = require('./errors');
+const { roundMoney } = require('./money');
+const { findPromotion, applyPromotion } = require('./promotions');
+const { findTaxRate, calculateTax } = require('./tax');
+const {
+  measureShipment,
+  chooseShippingMethod,
+  estimateShipping,
+} = require('./shipping');
+
+// Collapse the requested items into one { product, variant, qty } entry per
+// product variant. Only the ids and quantity are taken from the client.
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new BadRequestError('No order items', { code: 'NO_ORDER_ITEMS' });
+  }
+
+  const quantities = new Map();
+
+  items.forEach((item) => {
+    const productId = item && (item.product || item._id);
+    const variantId = (item && item.variant) || null;
+    const qty = Number(item && item.qty);
+
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new BadRequestError(`Invalid product id: ${productId}`, {
+        code: 'INVALID_ID',
+      });
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      throw new BadRequestError(`Invalid variant id: ${variantId}`, {
+        code: 'INVALID_ID',
+      });
+    }
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw new BadRequestError(`Invalid quantity for product ${productId}`, {
+        code: 'INVALID_QUANTITY',
+      });
+    }
+
+    const key = JSON.stringify([String(productId), variantId && String(variantId)]);
+    quantities.set(key, (quantities.get(key) || 0) + qty);
+  });
+
+  return [...quantities].map(([key, qty]) => {
+    const [product, variant] = JSON.parse(key);
+    return { product, variant, qty };
+  });
+};
+
+// Resolve the variant a line refers to. Products with variants can only be
+// bought as one of them.
+const findVariant = (product, variantId) => {
+  if (!variantId) {
+    if (product.variants.length > 0) {
+      throw new BadRequestError(`Choose an option for ${product.name}`, {
+        code: 'VARIANT_REQUIRED',
+      });
+    }
+    return null;
+  }
+
+  const variant = product.variants.id(variantId);
+
+  if (!variant) {
+    throw new NotFoundError(`Variant not found: ${variantId}`, {
+      code: 'VARIANT_NOT_FOUND',
+    });
+  }
+
+  return variant;
+};
+
+// Reload the requested items from the catalog as priced lines. Lines also
+// carry the product's category and weight, which are not stored on orders,
+// and its tax class.
+const priceLines = async (items) => {
+  const requested = normalizeItems(items);
+
+  const products = await Product.find({
+    _id: { $in: requested.map((item) => item.product) },
+  });
+  const productsById = new Map(products.map((p) => [String(p._id), p]));
+
+  return requested.map(({ product: productId, variant: variantId, qty }) => {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${productId}`, {
+        code: 'PRODUCT_NOT_FOUND',
+      });
+    }
+
+    if (product.archivedAt) {
+      throw new BadRequestError(`${product.name} is no longer available`, {
+        code: 'PRODUCT_ARCHIVED',
+      });
+    }
+
+    const variant = findVariant(product, variantId);
+    const price = product.priceFor(variant);
+
+    return {
+      product: product._id,
+      category: product.category, // for promotion scopes
+      weight: product.weight, // for shipping rates
+      taxClass: product.taxClass,
+      ...(variant && {
+        variant: variant._id,
+        sku: variant.sku,
+        options: Object.fromEntries(variant.options),
+      }),
+      name: product.name,
+      image: (variant && variant.image) || product.image,
+      price,
+      qty,
+      subtotal: roundMoney(price * qty),
+    };
+  });
+};
+
+// Price an order from the current catalog. Client supplied prices are
+// ignored: every line is reloaded from Product and totals are derived from
+// the pricing rules in config/pricing.js.
+// - `couponCode` is checked for `user` and its discount spread over the
+//   lines it applies to, which are then taxed on the discounted amount.
+// - Tax is at the rate of `shippingAddress` (utils/tax.js) for each line's
+//   tax class. When catalog prices include tax it is not added to the total.
+// - Shipping is priced for `shippingAddress` by its shipping zone, with the
+//   `shippingMethod` code asked for or else the cheapest one. Without an
+//   address it is estimated from the default rules.
+const priceOrder = async (
+  items,
+  { couponCode, user, shippingAddress, shippingMethod } = {},
+  rules = pricingConfig
+) => {
+  const lines = await priceLines(items);
+
+  const itemsPrice = roundMoney(
+    lines.reduce((acc, line) => acc + line.subtotal, 0)
+  );
+
+  let promotion = null;
+  let lineDiscounts = lines.map(() => 0);
+  let freeShipping = false;
+
+  if (couponCode) {
+    promotion = await findPromotion(couponCode, { user, itemsPrice });
+    ({ lineDiscounts, freeShipping } = await applyPromotion(promotion, lines));
+  }
+
+  const taxRate = await findTaxRate(shippingAddress, rules);
+  const tax = calculateTax(
+    lines.map((line, index) => ({
+      taxClass: line.taxClass,
+      amount: line.subtotal - lineDiscounts[index],
+    })),
+    taxRate,
+    rules
+  );
+
+  const orderItems = lines.map(({ category, weight, ...line }, index) => ({
+    ...line,
+    discount: lineDiscounts[index],
+    ...tax.lines[index],
+  }));
+
+  const itemsDiscount = roundMoney(
+    orderItems.reduce((acc, item) => acc + item.discount, 0)
+  );
+  const { taxPrice } = tax;
+  const shipment = measureShipment(lines, { discount: itemsDiscount });
+  const shipping = shippingAddress
+    ? await chooseShippingMethod(shippingAddress, shipment, shippingMethod, rules)
+    : null;
+  const shippingPrice = shipping
+    ? shipping.price
+    : estimateShipping(shipment, rules);
+  const discountPrice = roundMoney(
+    itemsDiscount + (freeShipping ? shippingPrice : 0)
+  );
+  const totalPrice = roundMoney(
+    itemsPrice -
+      discountPrice +
+      (rules.pricesIncludeTax ? 0 : taxPrice) +
+      shippingPrice
+  );
+
+  return {
+    orderItems,
+    itemsPrice,
+    discounts: promotion
+      ? [
+          {
+            promotion: promotion._id,
+            code: promotion.code,
+            type: promotion.type,
+            description: promotion.description,
+            amount: discountPrice,
+          },
+        ]
+      : [],
+    discountPrice,
+    tax: {
+      rate: taxRate._id,
+      name: taxRate.name,
+      country: taxRate.country,
+      region: taxRate.region,
+      pricesIncludeTax: rules.pricesIncludeTax,
+      rounding: rules.taxRounding,
+    },
+    taxPrice,
+    shippingPrice,
+    ...(shipping && { shippingMethod: shipping }),
+    totalPrice,
+  };
+};
+
+module.exports = { priceLines, priceOrder, roundMoney };
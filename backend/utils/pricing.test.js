@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const ShippingZone = require('../models/ShippingZone');
+const TaxRate = require('../models/TaxRate');
+const { priceOrder } = require('./pricing');
+
+const ADDRESS = {
+  address: '1 Main St',
+  city: 'Colombo',
+  postalCode: '00100',
+  country: 'Sri Lanka',
+};
+
+const rules = (fields) => ({
+  taxRate: 0.15,
+  reducedTaxRate: 0.05,
+  pricesIncludeTax: false,
+  taxRounding: 'line',
+  shippingFlatRate: 10,
+  freeShippingThreshold: 100,
+  ...fields,
+});
+
+const shirt = new Product({ name: 'Shirt', price: 50, taxClass: 'standard' });
+const book = new Product({ name: 'Book', price: 20, taxClass: 'reduced' });
+const items = [
+  { product: String(shirt._id), qty: 1 },
+  { product: String(book._id), qty: 2 },
+];
+
+const coupon = (fields) => {
+  jest
+    .spyOn(Promotion, 'findOne')
+    .mockResolvedValue(new Promotion({ code: 'SAVE', ...fields }));
+  return 'SAVE';
+};
+
+beforeEach(() => {
+  jest.spyOn(Product, 'find').mockResolvedValue([shirt, book]);
+  jest
+    .spyOn(TaxRate, 'findByCountry')
+    .mockResolvedValue([
+      {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'VAT',
+        standard: 0.2,
+        reduced: 0.1,
+      },
+    ]);
+  // No zones set up: the flat rate of the rules, free from 100
+  jest.spyOn(ShippingZone, 'find').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('taxes the discounted lines at the rate of the address', async () => {
+  const order = await priceOrder(
+    items,
+    {
+      couponCode: coupon({ type: 'percent', value: 10 }),
+      shippingAddress: ADDRESS,
+    },
+    rules()
+  );
+
+  expect(order.orderItems.map(({ discount, taxPrice }) => [discount, taxPrice]))
+    .toEqual([
+      [5, 9], // 20% of 45
+      [4, 3.6], // 10% of 36
+    ]);
+  expect(order).toMatchObject({
+    itemsPrice: 90,
+    discountPrice: 9,
+    taxPrice: 12.6,
+    shippingPrice: 10,
+    totalPrice: 103.6,
+  });
+  expect(order.discounts).toEqual([
+    expect.objectContaining({ code: 'SAVE', amount: 9 }),
+  ]);
+});
+
+test('works the tax out of prices that include it', async () => {
+  const order = await priceOrder(
+    items,
+    {
+      couponCode: coupon({ type: 'percent', value: 10 }),
+      shippingAddress: ADDRESS,
+    },
+    rules({ pricesIncludeTax: true })
+  );
+
+  expect(order.orderItems.map(({ taxPrice }) => taxPrice)).toEqual([7.5, 3.27]);
+  expect(order.taxPrice).toBe(10.77);
+  // Tax is part of the prices, so not added to the total
+  expect(order.totalPrice).toBe(91);
+  expect(order.tax).toMatchObject({ name: 'VAT', pricesIncludeTax: true });
+});
+
+test('takes the shipping off with a free shipping coupon', async () => {
+  const order = await priceOrder(
+    items,
+    {
+      couponCode: coupon({ type: 'free_shipping' }),
+      shippingAddress: ADDRESS,
+    },
+    rules()
+  );
+
+  expect(order).toMatchObject({
+    shippingPrice: 10,
+    discountPrice: 10,
+    taxPrice: 14,
+    totalPrice: 104,
+  });
+  expect(order.shippingMethod).toMatchObject({ code: 'standard', price: 10 });
+});
+
+test('applies a single coupon per order', async () => {
+  const order = await priceOrder(
+    items,
+    {
+      couponCode: coupon({ type: 'fixed', value: 500 }),
+      shippingAddress: ADDRESS,
+    },
+    rules()
+  );
+
+  // A discount bigger than the order only takes the items to zero
+  expect(order.discounts).toHaveLength(1);
+  expect(order.discountPrice).toBe(90);
+  expect(order.taxPrice).toBe(0);
+  expect(order.totalPrice).toBe(10);
+});
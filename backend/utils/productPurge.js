@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const productsConfig = require('../config/products');
+
+// Delete an archived product and its revision history for good. Orders keep
+// their own copy of the name, image and price, and the StockMovement ledger
+// is kept for auditing.
+const purgeProduct = async (productId) => {
+  let purged = false;
+
+  await mongoose.connection.transaction(async (session) => {
+    const { deletedCount } = await Product.deleteOne(
+      { _id: productId, archivedAt: { $ne: null } },
+      { session }
+    );
+
+    if (deletedCount > 0) {
+      await ProductRevision.deleteMany({ product: productId }, { session });
+      purged = true;
+    }
+  });
+
+  return purged;
+};
+
+// Purge products that have been archived for longer than the retention period
+const purgeArchivedProducts = async (config = productsConfig) => {
+  if (!config.archiveRetentionDays) {
+    return 0;
+  }
+
+  const cutoff = new Date(
+    Date.now() - config.archiveRetentionDays * 24 * 60 * 60 * 1000
+  );
+
+  const expiredProducts = await Product.find({
+    archivedAt: { $ne: null, $lt: cutoff },
+  }).select('_id');
+
+  let purged = 0;
+
+  for (const { _id } of expiredProducts) {
+    if (await purgeProduct(_id)) {
+      purged += 1;
+    }
+  }
+
+  return purged;
+};
+
+const startProductPurgeJob = (config = productsConfig) => {
+  const timer = setInterval(() => {
+    purgeArchivedProducts(config)
+      .then((count) => {
+        if (count > 0) console.log(`Purged ${count} archived product(s)`);
+      })
+      .catch((err) => console.error(`Product purge failed: ${err.message}`));
+  }, config.purgeCheckIntervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = { purgeProduct, purgeArchivedProducts, startProductPurgeJob };
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const { purgeProduct, purgeArchivedProducts } = require('./productPurge');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let deleteProduct;
+let deleteRevisions;
+
+beforeEach(() => {
+  jest
+    .spyOn(mongoose.connection, 'transaction')
+    .mockImplementation((fn) => fn('session'));
+  deleteProduct = jest
+    .spyOn(Product, 'deleteOne')
+    .mockResolvedValue({ deletedCount: 1 });
+  deleteRevisions = jest
+    .spyOn(ProductRevision, 'deleteMany')
+    .mockResolvedValue({ deletedCount: 3 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('deletes an archived product with its revisions', async () => {
+  const productId = id();
+
+  await expect(purgeProduct(productId)).resolves.toBe(true);
+
+  expect(deleteProduct).toHaveBeenCalledWith(
+    { _id: productId, archivedAt: { $ne: null } },
+    { session: 'session' }
+  );
+  expect(deleteRevisions).toHaveBeenCalledWith(
+    { product: productId },
+    { session: 'session' }
+  );
+});
+
+test('keeps the history of products that are not archived', async () => {
+  deleteProduct.mockResolvedValue({ deletedCount: 0 });
+
+  await expect(purgeProduct(id())).resolves.toBe(false);
+
+  expect(deleteRevisions).not.toHaveBeenCalled();
+});
+
+test('purges products archived before the retention period', async () => {
+  jest.useFakeTimers({ now: new Date('2024-03-31T00:00:00Z') });
+  const find = jest.spyOn(Product, 'find').mockReturnValue({
+    select: async () => [{ _id: id() }, { _id: id() }],
+  });
+  // The second was restored in the meantime
+  deleteProduct
+    .mockResolvedValueOnce({ deletedCount: 1 })
+    .mockResolvedValueOnce({ deletedCount: 0 });
+
+  await expect(
+    purgeArchivedProducts({ archiveRetentionDays: 30 })
+  ).resolves.toBe(1);
+
+  expect(find).toHaveBeenCalledWith({
+    archivedAt: { $ne: null, $lt: new Date('2024-03-01T00:00:00Z') },
+  });
+});
+
+test('keeps archived products forever without a retention period', async () => {
+  const find = jest.spyOn(Product, 'find');
+
+  await expect(
+    purgeArchivedProducts({ archiveRetentionDays: 0 })
+  ).resolves.toBe(0);
+
+  expect(find).not.toHaveBeenCalled();
+});
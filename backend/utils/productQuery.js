@@ -0,0 +1,62 @@
+const {
+  escapeRegex,
+  toNumber,
+  getPagination,
+} = require('./queryParams');
+
+const SORT_OPTIONS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { rating: -1, numReviews: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+};
+
+// Which products each `status` lists; only the admin list accepts one
+const STATUS_FILTERS = {
+  active: { archivedAt: null },
+  archived: { archivedAt: { $ne: null } },
+  all: {},
+};
+
+// Translate the query string of GET /api/products into a mongoose
+// filter, sort and pagination window. The category and brand filters are
+// passed as ids already resolved from the query (see utils/taxonomy.js).
+const buildProductQuery = (query = {}, { categoryIds, brandIds } = {}) => {
+  const filter = { ...(STATUS_FILTERS[query.status] || STATUS_FILTERS.active) };
+
+  if (query.keyword) {
+    filter.name = { $regex: escapeRegex(String(query.keyword)), $options: 'i' };
+  }
+
+  if (categoryIds) {
+    filter.category = { $in: categoryIds };
+  }
+
+  if (brandIds) {
+    filter.brand = { $in: brandIds };
+  }
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  const minRating = toNumber(query.minRating);
+  if (minRating !== undefined) {
+    filter.rating = { $gte: minRating };
+  }
+
+  if ([true, 'true', '1'].includes(query.inStock)) {
+    filter.countInStock = { $gt: 0 };
+  }
+
+  const sort = SORT_OPTIONS[query.sort] || SORT_OPTIONS.newest;
+  const { page, pageSize } = getPagination(query);
+
+  return { filter, sort, page, pageSize };
+};
+
+module.exports = { buildProductQuery, SORT_OPTIONS, STATUS_FILTERS };
@@ -0,0 +1,90 @@
+const { buildProductQuery } = require('./productQuery');
+const { getPagination } = require('./queryParams');
+
+describe('buildProductQuery', () => {
+  test('lists active products, newest first, 12 to a page', () => {
+    expect(buildProductQuery()).toEqual({
+      filter: { archivedAt: null },
+      sort: { createdAt: -1, _id: 1 },
+      page: 1,
+      pageSize: 12,
+    });
+  });
+
+  test('searches names without regex injection', () => {
+    const { filter } = buildProductQuery({ keyword: 'usb (c)*' });
+
+    expect(filter.name).toEqual({ $regex: 'usb \\(c\\)\\*', $options: 'i' });
+  });
+
+  test('filters on price range, rating and stock', () => {
+    const { filter } = buildProductQuery({
+      minPrice: '10',
+      maxPrice: '50.5',
+      minRating: '4',
+      inStock: 'true',
+    });
+
+    expect(filter).toMatchObject({
+      price: { $gte: 10, $lte: 50.5 },
+      rating: { $gte: 4 },
+      countInStock: { $gt: 0 },
+    });
+  });
+
+  test('ignores filters that are not numbers', () => {
+    const { filter } = buildProductQuery({
+      minPrice: 'cheap',
+      minRating: '',
+      inStock: 'no',
+    });
+
+    expect(filter).toEqual({ archivedAt: null });
+  });
+
+  test('takes resolved category and brand ids', () => {
+    const { filter } = buildProductQuery(
+      {},
+      { categoryIds: ['c1', 'c2'], brandIds: [] }
+    );
+
+    expect(filter.category).toEqual({ $in: ['c1', 'c2'] });
+    // An unknown brand matches nothing rather than everything
+    expect(filter.brand).toEqual({ $in: [] });
+  });
+
+  test('sorts by a known option with a stable tie-break', () => {
+    expect(buildProductQuery({ sort: 'price_asc' }).sort).toEqual({
+      price: 1,
+      _id: 1,
+    });
+    expect(buildProductQuery({ sort: 'rating' }).sort).toEqual({
+      rating: -1,
+      numReviews: -1,
+      _id: 1,
+    });
+    expect(buildProductQuery({ sort: 'bogus' }).sort).toEqual({
+      createdAt: -1,
+      _id: 1,
+    });
+  });
+
+  test('lists archived products only when asked', () => {
+    expect(buildProductQuery({ status: 'archived' }).filter).toEqual({
+      archivedAt: { $ne: null },
+    });
+    expect(buildProductQuery({ status: 'all' }).filter).toEqual({});
+  });
+});
+
+test('getPagination falls back on bad values and caps the page size', () => {
+  expect(getPagination({ page: '3', pageSize: '20' })).toEqual({
+    page: 3,
+    pageSize: 20,
+  });
+  expect(getPagination({ page: '-1', pageSize: 'x' })).toEqual({
+    page: 1,
+    pageSize: 12,
+  });
+  expect(getPagination({ pageSize: '1000' }).pageSize).toBe(100);
+});
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const ProductRevision = require('../models/ProductRevision');
+const { recordStockAdjustment } = require('./inventory');
+
+// Product fields whose changes are recorded in the revision history
+const TRACKED_FIELDS = [
+  'name',
+  'sku',
+  'price',
+  'description',
+  'image',
+  'images',
+  'brand',
+  'category',
+  'countInStock',
+  'weight',
+  'taxClass',
+  'options',
+  'variants',
+];
+
+// Stock also moves with every order, so restoring an old revision must not
+// reset it. Stock corrections are audited in the StockMovement ledger.
+const NON_REVERTIBLE_FIELDS = ['countInStock'];
+
+// Plain JSON copy of a value, so nested arrays and ids compare and store cleanly
+const toPlain = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+const snapshotProduct = (product) =>
+  TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = toPlain(product.get(field));
+    return snapshot;
+  }, {});
+
+// Field-level diff between two snapshots: [{ field, from, to }]
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({ field, from: before[field], to: after[field] }));
+
+const recordProductRevision = async (
+  product,
+  changes,
+  { user, action, revertedTo, session }
+) => {
+  const [revision] = await ProductRevision.create(
+    [
+      {
+        product: product._id,
+        user,
+        version: product.__v,
+        action,
+        changes,
+        revertedTo,
+      },
+    ],
+    { session }
+  );
+  return revision;
+};
+
+// Save a new product with its initial stock movement and a 'create'
+// revision, in one transaction. `beforeSave(session)`, when given, runs
+// first in it, e.g. to create the category the product refers to.
+const saveNewProduct = async (product, { user, beforeSave }) => {
+  await mongoose.connection.transaction(async (session) => {
+    if (beforeSave) await beforeSave(session);
+    await product.save({ session });
+    await recordStockAdjustment(product, {}, { user, session });
+    await recordProductRevision(
+      product,
+      diffSnapshots({}, snapshotProduct(product)),
+      { user, action: 'create', session }
+    );
+  });
+
+  return product;
+};
+
+// Apply field changes to a product, saving it together with its stock
+// adjustment and revision in one transaction (with `beforeSave`, as for
+// saveNewProduct). Returns the changes made, which are empty when nothing
+// actually changed.
+const saveProductChanges = async (
+  product,
+  values,
+  { user, action, revertedTo, beforeSave }
+) => {
+  const before = snapshotProduct(product);
+  product.set(values);
+  // Runs the hooks that derive fields (e.g. countInStock from variants)
+  // before diffing
+  await product.validate();
+  const changes = diffSnapshots(before, snapshotProduct(product));
+
+  if (changes.length === 0) {
+    return changes;
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    if (beforeSave) await beforeSave(session);
+    await product.save({ session });
+    await recordStockAdjustment(product, before, { user, session });
+    await recordProductRevision(product, changes, {
+      user,
+      action,
+      revertedTo,
+      session,
+    });
+  });
+
+  return changes;
+};
+
+// Field values that bring the product back to how it was right after
+// `revision`, found by undoing every later change, newest first.
+const getRollbackValues = async (product, revision) => {
+  const laterRevisions = await ProductRevision.find({
+    product: product._id,
+    version: { $gt: revision.version },
+  }).sort({ version: -1 });
+
+  const values = {};
+  laterRevisions.forEach((later) => {
+    later.changes.forEach(({ field, from }) => {
+      if (TRACKED_FIELDS.includes(field) && !NON_REVERTIBLE_FIELDS.includes(field)) {
+        values[field] = from;
+      }
+    });
+  });
+
+  // Same for variant stock: restored variants keep their current stock, and
+  // ones that no longer exist come back empty
+  if (values.variants) {
+    values.variants = (values.variants || []).map((variant) => {
+      const current = product.variants.id(variant._id);
+      return { ...variant, countInStock: current ? current.countInStock : 0 };
+    });
+  }
+
+  return values;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotProduct,
+  diffSnapshots,
+  recordProductRevision,
+  saveNewProduct,
+  saveProductChanges,
+  getRollbackValues,
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const StockMovement = require('../models/StockMovement');
+const {
+  snapshotProduct,
+  diffSnapshots,
+  saveNewProduct,
+  saveProductChanges,
+  getRollbackValues,
+} = require('./productRevisions');
+
+const user = new mongoose.Types.ObjectId();
+
+const makeProduct = (fields) =>
+  new Product({
+    user,
+    name: 'Lamp',
+    image: '/images/lamp.jpg',
+    brand: new mongoose.Types.ObjectId(),
+    category: new mongoose.Types.ObjectId(),
+    description: 'A lamp',
+    price: 30,
+    countInStock: 4,
+    ...fields,
+  });
+
+let createRevision;
+let insertMovements;
+
+beforeEach(() => {
+  // Run the transaction body straight away, with a stand-in session
+  jest
+    .spyOn(mongoose.connection, 'transaction')
+    .mockImplementation((fn) => fn('session'));
+  jest.spyOn(Product.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  createRevision = jest
+    .spyOn(ProductRevision, 'create')
+    .mockImplementation(async ([revision]) => [revision]);
+  insertMovements = jest
+    .spyOn(StockMovement, 'insertMany')
+    .mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('diffs only the tracked fields that changed', () => {
+  const product = makeProduct();
+  const before = snapshotProduct(product);
+  product.set({ price: 35, rating: 4 });
+
+  expect(diffSnapshots(before, snapshotProduct(product))).toEqual([
+    { field: 'price', from: 30, to: 35 },
+  ]);
+});
+
+test('records the initial stock and a create revision', async () => {
+  const product = makeProduct();
+  const beforeSave = jest.fn();
+
+  await saveNewProduct(product, { user, beforeSave });
+
+  expect(beforeSave).toHaveBeenCalledWith('session');
+  expect(insertMovements.mock.calls[0][0]).toEqual([
+    expect.objectContaining({ quantity: 4, balance: 4 }),
+  ]);
+  const [[revision], options] = createRevision.mock.calls[0];
+  expect(revision).toMatchObject({ product: product._id, action: 'create' });
+  expect(revision.changes).toContainEqual({
+    field: 'name',
+    from: undefined,
+    to: 'Lamp',
+  });
+  expect(options).toEqual({ session: 'session' });
+});
+
+test('saves changes with their revision', async () => {
+  const product = makeProduct();
+
+  const changes = await saveProductChanges(
+    product,
+    { price: 35, countInStock: 1 },
+    { user, action: 'update' }
+  );
+
+  expect(changes).toEqual([
+    { field: 'price', from: 30, to: 35 },
+    { field: 'countInStock', from: 4, to: 1 },
+  ]);
+  expect(insertMovements.mock.calls[0][0]).toEqual([
+    expect.objectContaining({ quantity: -3, balance: 1 }),
+  ]);
+  expect(createRevision.mock.calls[0][0][0]).toMatchObject({
+    action: 'update',
+    changes,
+  });
+});
+
+test('saves nothing when nothing changed', async () => {
+  const product = makeProduct();
+
+  const changes = await saveProductChanges(
+    product,
+    { price: 30 },
+    { user, action: 'update' }
+  );
+
+  expect(changes).toEqual([]);
+  expect(mongoose.connection.transaction).not.toHaveBeenCalled();
+  expect(createRevision).not.toHaveBeenCalled();
+});
+
+test('rolls back every later change except stock', async () => {
+  const product = makeProduct({ name: 'Desk lamp', price: 40 });
+  const find = jest.spyOn(ProductRevision, 'find').mockReturnValue({
+    // newest first
+    sort: async () => [
+      {
+        changes: [
+          { field: 'price', from: 35, to: 40 },
+          { field: 'countInStock', from: 4, to: 9 },
+        ],
+      },
+      {
+        changes: [
+          { field: 'name', from: 'Lamp', to: 'Desk lamp' },
+          { field: 'price', from: 30, to: 35 },
+        ],
+      },
+    ],
+  });
+
+  const values = await getRollbackValues(product, { version: 1 });
+
+  expect(find).toHaveBeenCalledWith({
+    product: product._id,
+    version: { $gt: 1 },
+  });
+  expect(values).toEqual({ name: 'Lamp', price: 30 });
+});
+
+test('restores variants with their current stock', async () => {
+  const product = makeProduct({
+    options: [{ name: 'Size', values: ['S', 'M'] }],
+    variants: [{ sku: 'L-S', options: { Size: 'S' }, countInStock: 7 }],
+  });
+  const [kept] = product.variants;
+  const removedId = new mongoose.Types.ObjectId();
+  jest.spyOn(ProductRevision, 'find').mockReturnValue({
+    sort: async () => [
+      {
+        changes: [
+          {
+            field: 'variants',
+            from: [
+              { _id: kept._id, sku: 'L-S', countInStock: 1 },
+              { _id: removedId, sku: 'L-M', countInStock: 5 },
+            ],
+            to: [{ _id: kept._id, sku: 'L-S', countInStock: 7 }],
+          },
+        ],
+      },
+    ],
+  });
+
+  const { variants } = await getRollbackValues(product, { version: 0 });
+
+  expect(variants).toEqual([
+    { _id: kept._id, sku: 'L-S', countInStock: 7 },
+    { _id: removedId, sku: 'L-M', countInStock: 0 },
+  ]);
+});
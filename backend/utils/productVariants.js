@@ -0,0 +1,51 @@
+// Every combination of a product's option values, e.g. for Size [S, M] and
+// Color [Red]: [{ Size: 'S', Color: 'Red' }, { Size: 'M', Color: 'Red' }]
+const optionCombinations = (options) =>
+  options.reduce(
+    (combinations, { name, values }) =>
+      combinations.flatMap((combination) =>
+        values.map((value) => ({ ...combination, [name]: value }))
+      ),
+    [{}]
+  );
+
+const matchesCombination = (variant, combination) =>
+  Object.entries(combination).every(
+    ([name, value]) => variant.options.get(name) === value
+  );
+
+// The grid a product page needs to render option pickers: one cell per
+// combination of option values, with the variant sold for it (or null when
+// that combination is not offered).
+const buildVariantMatrix = (product) => {
+  const options = product.options.map(({ name, values }) => ({
+    name,
+    values: [...values],
+  }));
+
+  if (product.variants.length === 0) {
+    return { options, combinations: [] };
+  }
+
+  const combinations = optionCombinations(options).map((combination) => {
+    const variant = product.variants.find((v) => matchesCombination(v, combination));
+
+    return {
+      options: combination,
+      variant: variant
+        ? {
+            _id: variant._id,
+            sku: variant.sku,
+            price: product.priceFor(variant),
+            countInStock: variant.countInStock,
+            image: variant.image || product.image,
+          }
+        : null,
+      available: Boolean(variant && variant.countInStock > 0),
+    };
+  });
+
+  return { options, combinations };
+};
+
+module.exports = { buildVariantMatrix };
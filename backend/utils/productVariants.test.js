@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { buildVariantMatrix } = require('./productVariants');
+
+const makeProduct = (fields) =>
+  new Product({
+    user: new mongoose.Types.ObjectId(),
+    name: 'T-shirt',
+    image: '/images/shirt.jpg',
+    brand: new mongoose.Types.ObjectId(),
+    category: new mongoose.Types.ObjectId(),
+    description: 'A shirt',
+    price: 20,
+    options: [
+      { name: 'Size', values: ['S', 'M'] },
+      { name: 'Color', values: ['Red'] },
+    ],
+    ...fields,
+  });
+
+describe('Product variants', () => {
+  test('keep countInStock as the sum of their stock', async () => {
+    const product = makeProduct({
+      countInStock: 99,
+      variants: [
+        { sku: 'TS-S', options: { Size: 'S', Color: 'Red' }, countInStock: 2 },
+        { sku: 'TS-M', options: { Size: 'M', Color: 'Red' }, countInStock: 3 },
+      ],
+    });
+
+    await product.validate();
+
+    expect(product.countInStock).toBe(5);
+  });
+
+  test('must pick an allowed value for every option', async () => {
+    const product = makeProduct({
+      variants: [
+        { sku: 'TS-L', options: { Size: 'L', Color: 'Red' } },
+        { sku: 'TS-S', options: { Size: 'S', Fit: 'Slim' } },
+      ],
+    });
+
+    const err = await product.validate().catch((error) => error);
+
+    expect(err.errors['variants.0.options'].message).toBe(
+      'Size must be one of: S, M'
+    );
+    expect(err.errors['variants.1.options']).toBeDefined();
+  });
+
+  test('cannot share a SKU or a combination', async () => {
+    const product = makeProduct({
+      variants: [
+        { sku: 'TS-S', options: { Size: 'S', Color: 'Red' } },
+        { sku: 'TS-S', options: { Size: 'S', Color: 'Red' } },
+      ],
+    });
+
+    const err = await product.validate().catch((error) => error);
+
+    expect(err.errors['variants.1.sku'].message).toBe('Duplicate SKU TS-S');
+    expect(err.errors['variants.1.options'].message).toBe(
+      'Duplicate option combination'
+    );
+  });
+
+  test('fall back to the product price', () => {
+    const product = makeProduct({
+      variants: [
+        { sku: 'TS-S', options: { Size: 'S', Color: 'Red' } },
+        { sku: 'TS-M', options: { Size: 'M', Color: 'Red' }, price: 25 },
+      ],
+    });
+
+    expect(product.priceFor(product.variants[0])).toBe(20);
+    expect(product.priceFor(product.variants[1])).toBe(25);
+    expect(product.priceFor(null)).toBe(20);
+  });
+});
+
+describe('buildVariantMatrix', () => {
+  test('lists every combination with the variant sold for it', () => {
+    const product = makeProduct({
+      variants: [
+        {
+          sku: 'TS-S',
+          options: { Size: 'S', Color: 'Red' },
+          price: 18,
+          countInStock: 0,
+          image: '/images/shirt-s.jpg',
+        },
+      ],
+    });
+
+    const { options, combinations } = buildVariantMatrix(product);
+
+    expect(options).toEqual([
+      { name: 'Size', values: ['S', 'M'] },
+      { name: 'Color', values: ['Red'] },
+    ]);
+    expect(combinations).toEqual([
+      {
+        options: { Size: 'S', Color: 'Red' },
+        variant: {
+          _id: product.variants[0]._id,
+          sku: 'TS-S',
+          price: 18,
+          countInStock: 0,
+          image: '/images/shirt-s.jpg',
+        },
+        available: false,
+      },
+      {
+        options: { Size: 'M', Color: 'Red' },
+        variant: null,
+        available: false,
+      },
+    ]);
+  });
+
+  test('is empty for products without variants', () => {
+    expect(buildVariantMatrix(makeProduct({ options: [] }))).toEqual({
+      options: [],
+      combinations: [],
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const Promotion = require('../models/Promotion');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('./errors');
+const { roundMoney } = require('./money');
+
+// Orders on which `user` used a promotion, those whose use was given back
+// by releasePromotions() aside: the same uses as in Promotion.usageCount
+const countUserUses = (promotion, user, session = null) =>
+  Order.countDocuments({
+    user,
+    'discounts.promotion': promotion._id,
+    promotionsReleased: { $ne: true },
+  }).session(session);
+
+// Load the promotion for a coupon code and check that `user` may use it on
+// a cart worth `itemsPrice` right now. Throws with a code saying why not.
+const findPromotion = async (code, { user, itemsPrice, now = new Date() }) => {
+  const promotion = await Promotion.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+
+  if (!promotion || !promotion.isActive) {
+    throw new NotFoundError(`Coupon ${code} is not valid`, {
+      code: 'PROMOTION_NOT_FOUND',
+    });
+  }
+  if (promotion.startsAt && promotion.startsAt > now) {
+    throw new BadRequestError(`Coupon ${promotion.code} is not active yet`, {
+      code: 'PROMOTION_NOT_STARTED',
+    });
+  }
+  if (promotion.endsAt && promotion.endsAt <= now) {
+    throw new BadRequestError(`Coupon ${promotion.code} has expired`, {
+      code: 'PROMOTION_EXPIRED',
+    });
+  }
+  if (itemsPrice < promotion.minSpend) {
+    throw new BadRequestError(
+      `Coupon ${promotion.code} needs a minimum spend of ${promotion.minSpend}`,
+      { code: 'PROMOTION_MIN_SPEND', details: { minSpend: promotion.minSpend } }
+    );
+  }
+  if (
+    promotion.usageLimit !== null &&
+    promotion.usageCount >= promotion.usageLimit
+  ) {
+    throw new ConflictError(`Coupon ${promotion.code} has been used up`, {
+      code: 'PROMOTION_USAGE_LIMIT',
+    });
+  }
+  if (promotion.usageLimitPerUser !== null && user) {
+    const used = await countUserUses(promotion, user);
+    if (used >= promotion.usageLimitPerUser) {
+      throw new ConflictError(`You have already used coupon ${promotion.code}`, {
+        code: 'PROMOTION_USAGE_LIMIT',
+      });
+    }
+  }
+
+  return promotion;
+};
+
+// Build a predicate telling which lines a promotion applies to; all of them
+// when it has no scope
+const buildLineEligibility = async (promotion) => {
+  const products = new Set(promotion.products.map(String));
+  let categories = new Set();
+
+  if (promotion.categories.length > 0) {
+    const subtree = await Category.find(
+      {
+        $or: [
+          { _id: { $in: promotion.categories } },
+          { ancestors: { $in: promotion.categories } },
+        ],
+      },
+      '_id'
+    );
+    categories = new Set(subtree.map(({ _id }) => String(_id)));
+  }
+
+  if (products.size === 0 && categories.size === 0) {
+    return () => true;
+  }
+  return (line) =>
+    products.has(String(line.product)) || categories.has(String(line.category));
+};
+
+// Spread `amount` over lines in proportion to their subtotal; the last line
+// takes the rounding remainder
+const allocate = (amount, lines) => {
+  const total = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  let remaining = amount;
+
+  return lines.map((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? remaining
+        : roundMoney((amount * line.subtotal) / total);
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+// The cheapest `getQuantity` units of every buyQuantity + getQuantity
+// eligible units are discounted
+const buyXGetYDiscounts = (promotion, lines) => {
+  const units = lines
+    .flatMap((line, index) =>
+      Array.from({ length: line.qty }, () => ({ index, price: line.price }))
+    )
+    .sort((a, b) => b.price - a.price);
+  const groups = Math.floor(
+    units.length / (promotion.buyQuantity + promotion.getQuantity)
+  );
+  const discounts = lines.map(() => 0);
+
+  units.slice(units.length - groups * promotion.getQuantity).forEach((unit) => {
+    discounts[unit.index] += (unit.price * promotion.getDiscountPercent) / 100;
+  });
+
+  return discounts.map(roundMoney);
+};
+
+// Work out what a promotion takes off. `lines` are priced order lines with
+// product, category, price, qty and subtotal. Returns the discount of each
+// line (in the same order) and whether shipping is free.
+const applyPromotion = async (promotion, lines) => {
+  const isEligible = await buildLineEligibility(promotion);
+  const eligible = lines.filter(isEligible);
+
+  if (eligible.length === 0) {
+    throw new BadRequestError(
+      `Coupon ${promotion.code} does not apply to the items in your cart`,
+      { code: 'PROMOTION_NOT_APPLICABLE' }
+    );
+  }
+
+  let discounts = eligible.map(() => 0);
+
+  switch (promotion.type) {
+    case 'percent':
+      discounts = eligible.map((line) =>
+        roundMoney((line.subtotal * promotion.value) / 100)
+      );
+      break;
+    case 'fixed': {
+      const eligibleTotal = eligible.reduce((sum, line) => sum + line.subtotal, 0);
+      discounts = allocate(Math.min(promotion.value, eligibleTotal), eligible);
+      break;
+    }
+    case 'buy_x_get_y':
+      discounts = buyXGetYDiscounts(promotion, eligible);
+      break;
+    default: // free_shipping
+      break;
+  }
+
+  const byLine = new Map(eligible.map((line, index) => [line, discounts[index]]));
+  return {
+    lineDiscounts: lines.map((line) => byLine.get(line) || 0),
+    freeShipping: promotion.type === 'free_shipping',
+  };
+};
+
+// Count the use of every promotion on a new order, as part of its
+// transaction, and check the usage limits again. Claiming writes to the
+// promotion, so concurrent orders with the same code conflict and one is
+// retried; its per-user count then sees the order that went first.
+const claimPromotions = async (order, session) => {
+  for (const discount of order.discounts) {
+    const promotion = await Promotion.claimUse(discount.promotion, { session });
+
+    if (!promotion) {
+      throw new ConflictError(`Coupon ${discount.code} has been used up`, {
+        code: 'PROMOTION_USAGE_LIMIT',
+      });
+    }
+    if (
+      promotion.usageLimitPerUser !== null &&
+      (await countUserUses(promotion, order.user, session)) >=
+        promotion.usageLimitPerUser
+    ) {
+      throw new ConflictError(`You have already used coupon ${discount.code}`, {
+        code: 'PROMOTION_USAGE_LIMIT',
+      });
+    }
+  }
+};
+
+// Give the promotion uses of a cancelled order back, once. The caller
+// saves the order.
+const releasePromotions = async (order, session) => {
+  if (order.promotionsReleased) {
+    return;
+  }
+  for (const discount of order.discounts) {
+    await Promotion.releaseUse(discount.promotion, { session });
+  }
+  order.promotionsReleased = true;
+};
+
+module.exports = {
+  findPromotion,
+  applyPromotion,
+  claimPromotions,
+  releasePromotions,
+};
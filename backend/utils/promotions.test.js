@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const {
+  findPromotion,
+  applyPromotion,
+  claimPromotions,
+  releasePromotions,
+} = require('./promotions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const line = (price, qty, extra = {}) => ({
+  product: id(),
+  category: id(),
+  price,
+  qty,
+  subtotal: price * qty,
+  ...extra,
+});
+
+const promotion = (fields) =>
+  new Promotion({ code: 'SAVE', type: 'percent', value: 10, ...fields });
+
+// Order.countDocuments(...).session(...) resolving to `count`
+const mockUserUses = (count) =>
+  jest.spyOn(Order, 'countDocuments').mockReturnValue({
+    session: jest.fn().mockResolvedValue(count),
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('applyPromotion', () => {
+  test('takes a percentage off every line', async () => {
+    const result = await applyPromotion(promotion({ value: 15 }), [
+      line(10, 2),
+      line(33.33, 1),
+    ]);
+
+    expect(result).toEqual({ lineDiscounts: [3, 5], freeShipping: false });
+  });
+
+  test('spreads a fixed amount, the last line taking the remainder', async () => {
+    const { lineDiscounts } = await applyPromotion(
+      promotion({ type: 'fixed', value: 10 }),
+      [line(10, 1), line(10, 1), line(10, 1)]
+    );
+
+    expect(lineDiscounts).toEqual([3.33, 3.33, 3.34]);
+  });
+
+  test('never takes more off than the eligible lines cost', async () => {
+    const { lineDiscounts } = await applyPromotion(
+      promotion({ type: 'fixed', value: 50 }),
+      [line(5, 2), line(7.5, 1)]
+    );
+
+    expect(lineDiscounts).toEqual([10, 7.5]);
+  });
+
+  test('discounts the cheapest units of each buy X get Y group', async () => {
+    const { lineDiscounts } = await applyPromotion(
+      promotion({
+        type: 'buy_x_get_y',
+        buyQuantity: 2,
+        getQuantity: 1,
+        getDiscountPercent: 100,
+      }),
+      [line(30, 2), line(10, 3)]
+    );
+
+    // 5 units make one group of 3: the cheapest unit (10) is free
+    expect(lineDiscounts).toEqual([0, 10]);
+  });
+
+  test('makes shipping free without discounting lines', async () => {
+    const result = await applyPromotion(promotion({ type: 'free_shipping' }), [
+      line(10, 1),
+    ]);
+
+    expect(result).toEqual({ lineDiscounts: [0], freeShipping: true });
+  });
+
+  test('only discounts lines of the products in scope', async () => {
+    const scoped = line(20, 1);
+    const { lineDiscounts } = await applyPromotion(
+      promotion({ products: [scoped.product] }),
+      [line(10, 1), scoped]
+    );
+
+    expect(lineDiscounts).toEqual([0, 2]);
+  });
+
+  test('includes subcategories of the categories in scope', async () => {
+    const parent = id();
+    const child = line(10, 1);
+    jest
+      .spyOn(Category, 'find')
+      .mockResolvedValue([{ _id: parent }, { _id: child.category }]);
+
+    const { lineDiscounts } = await applyPromotion(
+      promotion({ categories: [parent] }),
+      [child, line(10, 1)]
+    );
+
+    expect(lineDiscounts).toEqual([1, 0]);
+  });
+
+  test('fails when no line is in scope', async () => {
+    await expect(
+      applyPromotion(promotion({ products: [id()] }), [line(10, 1)])
+    ).rejects.toMatchObject({ code: 'PROMOTION_NOT_APPLICABLE' });
+  });
+});
+
+describe('findPromotion', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+
+  const find = (fields, options = {}) => {
+    jest.spyOn(Promotion, 'findOne').mockResolvedValue(promotion(fields));
+    return findPromotion(' save ', { itemsPrice: 100, now, ...options });
+  };
+
+  test('finds the code whatever its case and spacing', async () => {
+    await expect(find({})).resolves.toMatchObject({ code: 'SAVE' });
+    expect(Promotion.findOne).toHaveBeenCalledWith({ code: 'SAVE' });
+  });
+
+  test('rejects unknown and inactive codes', async () => {
+    jest.spyOn(Promotion, 'findOne').mockResolvedValue(null);
+    await expect(findPromotion('NOPE', { itemsPrice: 1 })).rejects.toMatchObject({
+      code: 'PROMOTION_NOT_FOUND',
+    });
+    await expect(find({ isActive: false })).rejects.toMatchObject({
+      code: 'PROMOTION_NOT_FOUND',
+    });
+  });
+
+  test('checks the start and end dates', async () => {
+    await expect(
+      find({ startsAt: new Date('2025-07-01') })
+    ).rejects.toMatchObject({ code: 'PROMOTION_NOT_STARTED' });
+    await expect(find({ endsAt: new Date('2025-06-01') })).rejects.toMatchObject({
+      code: 'PROMOTION_EXPIRED',
+    });
+  });
+
+  test('checks the minimum spend', async () => {
+    await expect(find({ minSpend: 100.01 })).rejects.toMatchObject({
+      code: 'PROMOTION_MIN_SPEND',
+      details: { minSpend: 100.01 },
+    });
+    await expect(find({ minSpend: 100 })).resolves.toBeTruthy();
+  });
+
+  test('checks the global usage limit', async () => {
+    await expect(find({ usageLimit: 5, usageCount: 5 })).rejects.toMatchObject({
+      code: 'PROMOTION_USAGE_LIMIT',
+    });
+  });
+
+  test('checks the per-user usage limit', async () => {
+    mockUserUses(2);
+    await expect(
+      find({ usageLimitPerUser: 2 }, { user: id() })
+    ).rejects.toMatchObject({ code: 'PROMOTION_USAGE_LIMIT' });
+
+    mockUserUses(1);
+    await expect(
+      find({ usageLimitPerUser: 2 }, { user: id() })
+    ).resolves.toBeTruthy();
+  });
+});
+
+describe('claimPromotions', () => {
+  const order = () => ({
+    user: id(),
+    discounts: [{ promotion: id(), code: 'SAVE' }],
+  });
+
+  test('counts the use in the order transaction', async () => {
+    const claimUse = jest
+      .spyOn(Promotion, 'claimUse')
+      .mockResolvedValue(promotion({}));
+
+    await claimPromotions(order(), 'session');
+
+    expect(claimUse).toHaveBeenCalledWith(expect.anything(), {
+      session: 'session',
+    });
+  });
+
+  test('fails when the global limit was reached meanwhile', async () => {
+    jest.spyOn(Promotion, 'claimUse').mockResolvedValue(null);
+
+    await expect(claimPromotions(order(), 'session')).rejects.toMatchObject({
+      code: 'PROMOTION_USAGE_LIMIT',
+    });
+  });
+
+  test('checks the per-user limit within the transaction', async () => {
+    jest
+      .spyOn(Promotion, 'claimUse')
+      .mockResolvedValue(promotion({ usageLimitPerUser: 1 }));
+    const countDocuments = mockUserUses(1);
+
+    await expect(claimPromotions(order(), 'session')).rejects.toMatchObject({
+      code: 'PROMOTION_USAGE_LIMIT',
+    });
+    expect(countDocuments.mock.results[0].value.session).toHaveBeenCalledWith(
+      'session'
+    );
+  });
+});
+
+describe('releasePromotions', () => {
+  test('gives the uses of an order back once', async () => {
+    const releaseUse = jest
+      .spyOn(Promotion, 'releaseUse')
+      .mockResolvedValue(null);
+    const order = { discounts: [{ promotion: id() }, { promotion: id() }] };
+
+    await releasePromotions(order, 'session');
+    await releasePromotions(order, 'session');
+
+    expect(releaseUse).toHaveBeenCalledTimes(2);
+    expect(order.promotionsReleased).toBe(true);
+  });
+
+  test('leaves released orders out of the per-user count too', async () => {
+    jest
+      .spyOn(Promotion, 'claimUse')
+      .mockResolvedValue(promotion({ usageLimitPerUser: 1 }));
+    const countDocuments = mockUserUses(0);
+
+    await claimPromotions(
+      { user: id(), discounts: [{ promotion: id(), code: 'SAVE' }] },
+      'session'
+    );
+
+    expect(countDocuments).toHaveBeenCalledWith(
+      expect.objectContaining({ promotionsReleased: { $ne: true } })
+    );
+  });
+});
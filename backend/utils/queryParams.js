@@ -0,0 +1,27 @@
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Read page/pageSize from a query string, with pageSize capped
+const getPagination = (query = {}, defaultPageSize = DEFAULT_PAGE_SIZE) => ({
+  page: toPositiveInt(query.page, 1),
+  pageSize: Math.min(
+    toPositiveInt(query.pageSize, defaultPageSize),
+    MAX_PAGE_SIZE
+  ),
+});
+
+module.exports = { escapeRegex, toNumber, toPositiveInt, getPagination };
@@ -0,0 +1,36 @@
+const rateLimitConfig = require('../../config/rateLimit');
+const createMemoryStore = require('./memoryStore');
+const createRedisStore = require('./redisStore');
+
+// Every store implements:
+//   increment(key, windowMs) -> { count, resetAt }
+//   decrement(key)
+//   reset(key)
+let store;
+
+const createConfiguredStore = () => {
+  switch (rateLimitConfig.store) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis': {
+      let Redis;
+      try {
+        Redis = require('ioredis'); // optional dependency
+      } catch (err) {
+        throw new Error('RATE_LIMIT_STORE=redis requires the ioredis package');
+      }
+      return createRedisStore(new Redis(rateLimitConfig.redisUrl));
+    }
+    default:
+      throw new Error(`Unknown rate limit store: ${rateLimitConfig.store}`);
+  }
+};
+
+const getRateLimitStore = () => {
+  if (!store) {
+    store = createConfiguredStore();
+  }
+  return store;
+};
+
+module.exports = { getRateLimitStore, createMemoryStore, createRedisStore };
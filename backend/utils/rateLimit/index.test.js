@@ -0,0 +1,108 @@
+const { createMemoryStore, createRedisStore } = require('.');
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('memory store', () => {
+  test('counts hits within a window, then starts over', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const store = createMemoryStore();
+
+    await store.increment('login:1.2.3.4', 1000);
+    await expect(store.increment('login:1.2.3.4', 1000)).resolves.toEqual({
+      count: 2,
+      resetAt: 1000,
+    });
+
+    jest.setSystemTime(1000);
+    await expect(store.increment('login:1.2.3.4', 1000)).resolves.toEqual({
+      count: 1,
+      resetAt: 2000,
+    });
+  });
+
+  test('keeps keys apart and can take hits back', async () => {
+    const store = createMemoryStore();
+
+    await store.increment('a', 1000);
+    await store.increment('a', 1000);
+    await store.decrement('a');
+    await expect(store.increment('b', 1000)).resolves.toMatchObject({
+      count: 1,
+    });
+    await expect(store.increment('a', 1000)).resolves.toMatchObject({
+      count: 2,
+    });
+
+    await store.reset('a');
+    await expect(store.increment('a', 1000)).resolves.toMatchObject({
+      count: 1,
+    });
+  });
+});
+
+describe('redis store', () => {
+  // Just enough of a Redis client, with pttl as Redis answers it
+  const fakeRedis = () => {
+    const values = new Map();
+    const expiries = new Map();
+
+    return {
+      async incr(key) {
+        values.set(key, (values.get(key) || 0) + 1);
+        return values.get(key);
+      },
+      async decr(key) {
+        values.set(key, (values.get(key) || 0) - 1);
+        return values.get(key);
+      },
+      async pexpire(key, ms) {
+        expiries.set(key, ms);
+      },
+      async pttl(key) {
+        return expiries.has(key) ? expiries.get(key) : -1;
+      },
+      async del(key) {
+        values.delete(key);
+        expiries.delete(key);
+      },
+    };
+  };
+
+  test('counts under a prefix and expires the window once', async () => {
+    const client = fakeRedis();
+    const pexpire = jest.spyOn(client, 'pexpire');
+    const store = createRedisStore(client);
+
+    await store.increment('login:1.2.3.4', 1000);
+    const { count } = await store.increment('login:1.2.3.4', 1000);
+
+    expect(count).toBe(2);
+    expect(pexpire).toHaveBeenCalledTimes(1);
+    expect(pexpire).toHaveBeenCalledWith('rl:login:1.2.3.4', 1000);
+  });
+
+  test('sets a missing expiry again so a key cannot live forever', async () => {
+    const client = fakeRedis();
+    const store = createRedisStore(client, { prefix: 'test:' });
+
+    await client.incr('test:a'); // left without a TTL, e.g. by a crash
+    await store.increment('a', 5000);
+
+    await expect(client.pttl('test:a')).resolves.toBe(5000);
+  });
+
+  test('takes hits back and resets', async () => {
+    const client = fakeRedis();
+    const store = createRedisStore(client);
+
+    await store.increment('a', 1000);
+    await store.decrement('a');
+    await store.reset('b');
+
+    await expect(store.increment('a', 1000)).resolves.toMatchObject({
+      count: 1,
+    });
+  });
+});
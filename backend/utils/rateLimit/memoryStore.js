@@ -0,0 +1,40 @@
+// Fixed window counters kept in process memory. Fine for a single
+// instance; use the Redis store once the API runs on more than one.
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  // Drop expired windows now and then so the map does not grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async decrement(key) {
+      const entry = hits.get(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,26 @@
+// Fixed window counters in Redis, shared by every API instance. Works with
+// any client exposing incr, decr, pexpire, pttl and del (e.g. ioredis).
+const createRedisStore = (client, { prefix = 'rl:' } = {}) => ({
+  async increment(key, windowMs) {
+    const redisKey = prefix + key;
+    const count = await client.incr(redisKey);
+
+    let ttl = await client.pttl(redisKey);
+    if (count === 1 || ttl < 0) {
+      await client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  },
+
+  async decrement(key) {
+    await client.decr(prefix + key);
+  },
+
+  async reset(key) {
+    await client.del(prefix + key);
+  },
+});
+
+module.exports = createRedisStore;
@@ -0,0 +1,149 @@
+const ordersConfig = require('../config/orders');
+const { canTransitionReturn } = require('./orderStatus');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Dates stamped on a return as it reaches each status
+const RETURN_DATE_FIELDS = {
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  received: 'receivedAt',
+  refunded: 'refundedAt',
+};
+
+const findReturn = (order, returnId) => {
+  const rma = order.returns.id(returnId);
+
+  if (!rma) {
+    throw new NotFoundError('Return not found', { code: 'RETURN_NOT_FOUND' });
+  }
+
+  return rma;
+};
+
+// Units of each order line (by id) not already in a return, rejected ones
+// aside
+const returnableQuantities = (order) => {
+  const quantities = new Map(
+    order.orderItems.map((line) => [String(line._id), line.qty])
+  );
+
+  order.returns
+    .filter((rma) => rma.status !== 'rejected')
+    .forEach((rma) => {
+      rma.items.forEach(({ orderItem, qty }) => {
+        const key = String(orderItem);
+        quantities.set(key, quantities.get(key) - qty);
+      });
+    });
+
+  return quantities;
+};
+
+// Open a return for `items` ({ orderItem, qty, reason }) of a delivered
+// order, within the return window. The caller saves the order.
+const requestReturn = (
+  order,
+  { items, note },
+  { actor, config = ordersConfig, now = new Date() } = {}
+) => {
+  if (order.status !== 'delivered') {
+    throw new ConflictError('Only delivered orders can be returned', {
+      code: 'RETURN_NOT_ALLOWED',
+    });
+  }
+  if (
+    config.returnWindowDays > 0 &&
+    now - order.deliveredAt > config.returnWindowDays * DAY
+  ) {
+    throw new ConflictError(
+      `Returns are accepted up to ${config.returnWindowDays} days after delivery`,
+      { code: 'RETURN_WINDOW_CLOSED' }
+    );
+  }
+
+  const returnable = returnableQuantities(order);
+  const requested = new Map();
+
+  items.forEach(({ orderItem, qty }) => {
+    const key = String(orderItem);
+
+    if (!returnable.has(key)) {
+      throw new BadRequestError(`Order line not found: ${orderItem}`, {
+        code: 'ORDER_ITEM_NOT_FOUND',
+      });
+    }
+
+    requested.set(key, (requested.get(key) || 0) + qty);
+  });
+
+  const excess = [...requested]
+    .filter(([key, qty]) => qty > returnable.get(key))
+    .map(([key, qty]) => ({
+      orderItem: key,
+      name: order.orderItems.id(key).name,
+      requested: qty,
+      returnable: returnable.get(key),
+    }));
+
+  if (excess.length > 0) {
+    throw new ConflictError('More items than can be returned', {
+      code: 'RETURN_QUANTITY_EXCEEDED',
+      details: excess,
+    });
+  }
+
+  order.returns.push({ items, note, requestedAt: now });
+  const rma = order.returns[order.returns.length - 1];
+  order.logEvent('return_requested', { actor, note });
+
+  return rma;
+};
+
+// Move a return to its next status and record it in the order history.
+// The caller saves the order.
+const transitionReturn = (order, rma, status, { actor, note } = {}) => {
+  if (!canTransitionReturn(rma.status, status)) {
+    throw new ConflictError(
+      `Cannot change return status from ${rma.status} to ${status}`,
+      { code: 'INVALID_RETURN_TRANSITION' }
+    );
+  }
+
+  rma.status = status;
+  rma[RETURN_DATE_FIELDS[status]] = Date.now();
+  order.logEvent(`return_${status}`, { actor, note });
+};
+
+// What the customer paid for the returned units: their share of each
+// line's discounted subtotal, plus its tax when it was added on top.
+// Shipping is not refunded.
+const returnValue = (order, rma) => {
+  const taxIncluded = Boolean(order.tax && order.tax.pricesIncludeTax);
+
+  return roundMoney(
+    rma.items.reduce((acc, { orderItem, qty }) => {
+      const line = order.orderItems.id(orderItem);
+      const paid =
+        line.subtotal - line.discount + (taxIncluded ? 0 : line.taxPrice);
+      return acc + (paid * qty) / line.qty;
+    }, 0)
+  );
+};
+
+// The returned units as order lines, for putting them back in stock
+const returnedStock = (order, rma) =>
+  rma.items.map(({ orderItem, qty }) => {
+    const line = order.orderItems.id(orderItem);
+    return { product: line.product, variant: line.variant, qty };
+  });
+
+module.exports = {
+  findReturn,
+  requestReturn,
+  transitionReturn,
+  returnValue,
+  returnedStock,
+};
@@ -0,0 +1,140 @@
+const TokenFamily = require('../models/TokenFamily');
+const RefreshToken = require('../models/RefreshToken');
+const authConfig = require('../config/auth');
+const generateToken = require('./generateToken');
+const { hashToken, generateRandomToken } = require('./hashToken');
+const { UnauthorizedError } = require('./errors');
+
+const unauthorized = (message, code) => new UnauthorizedError(message, { code });
+
+const issueRefreshToken = async (family) => {
+  const token = generateRandomToken(48);
+
+  await RefreshToken.create({
+    family: family._id,
+    user: family.user,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(
+      Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  return token;
+};
+
+// Start a new session for a user after login or registration
+const createSession = async (user, req) => {
+  const family = await TokenFamily.create({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    lastUsedAt: Date.now(),
+  });
+
+  return {
+    sessionId: family._id,
+    accessToken: generateToken(user._id, family._id),
+    refreshToken: await issueRefreshToken(family),
+  };
+};
+
+const revokeSession = (sessionId, reason) =>
+  TokenFamily.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+
+// Revoke every session of a user, optionally keeping one (the caller's)
+const revokeUserSessions = (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  return TokenFamily.updateMany(filter, {
+    $set: { revokedAt: Date.now(), revokedReason: reason },
+  });
+};
+
+// Exchange a refresh token for a new access/refresh pair. A token can be
+// used once: presenting an already rotated token means it was stolen (or
+// replayed), so the whole family is revoked.
+const rotateRefreshToken = async (token) => {
+  if (!token) {
+    throw unauthorized('Not authorized, no refresh token', 'REFRESH_TOKEN_MISSING');
+  }
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!record || record.expiresAt < new Date()) {
+    throw unauthorized('Not authorized, refresh token invalid', 'REFRESH_TOKEN_INVALID');
+  }
+
+  const family = await TokenFamily.findById(record.family);
+
+  if (!family || family.revokedAt) {
+    throw unauthorized('Not authorized, session revoked', 'SESSION_REVOKED');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { $set: { usedAt: Date.now() } }
+  );
+
+  if (!claimed) {
+    await revokeSession(family._id, 'reuse_detected');
+    throw unauthorized(
+      'Not authorized, refresh token reuse detected',
+      'REFRESH_TOKEN_REUSED'
+    );
+  }
+
+  family.lastUsedAt = Date.now();
+  await family.save();
+
+  return {
+    userId: family.user,
+    sessionId: family._id,
+    accessToken: generateToken(family.user, family._id),
+    refreshToken: await issueRefreshToken(family),
+  };
+};
+
+// Look up the session a refresh token belongs to, without rotating it
+const findSessionByRefreshToken = async (token) => {
+  if (!token) return null;
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  return record ? record.family : null;
+};
+
+const isSessionActive = (sessionId) =>
+  TokenFamily.exists({ _id: sessionId, revokedAt: null });
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(authConfig.refreshCookieName, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: authConfig.refreshCookiePath,
+    maxAge: authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(authConfig.refreshCookieName, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: authConfig.refreshCookiePath,
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+  setRefreshCookie,
+  clearRefreshCookie,
+};
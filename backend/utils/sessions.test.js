@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const TokenFamily = require('../models/TokenFamily');
+const RefreshToken = require('../models/RefreshToken');
+const { createSession, rotateRefreshToken } = require('./sessions');
+
+process.env.JWT_SECRET = 'test_secret';
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+
+// Sessions and refresh tokens kept in memory, with the atomic claim of a
+// token done as MongoDB would
+let families;
+let tokens;
+
+beforeEach(() => {
+  families = new Map();
+  tokens = [];
+
+  jest.spyOn(TokenFamily, 'create').mockImplementation(async (fields) => {
+    const family = new TokenFamily(fields);
+    families.set(String(family._id), family);
+    return family;
+  });
+  jest
+    .spyOn(TokenFamily, 'findById')
+    .mockImplementation(async (familyId) => families.get(String(familyId)));
+  jest
+    .spyOn(TokenFamily, 'updateOne')
+    .mockImplementation(async ({ _id }, { $set }) => {
+      Object.assign(families.get(String(_id)), $set);
+    });
+  jest
+    .spyOn(TokenFamily.prototype, 'save')
+    .mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => {
+    tokens.push({
+      _id: new mongoose.Types.ObjectId(),
+      usedAt: null,
+      ...fields,
+    });
+  });
+  jest
+    .spyOn(RefreshToken, 'findOne')
+    .mockImplementation(async ({ tokenHash }) =>
+      tokens.find((token) => token.tokenHash === tokenHash)
+    );
+  jest
+    .spyOn(RefreshToken, 'findOneAndUpdate')
+    .mockImplementation(async ({ _id }, { $set }) => {
+      const token = tokens.find((t) => t._id.equals(_id) && !t.usedAt);
+      return token ? Object.assign(token, $set) : null;
+    });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('a session starts with an access token bound to it', async () => {
+  const session = await createSession(user, req);
+
+  const payload = jwt.verify(session.accessToken, 'test_secret');
+  expect(payload).toMatchObject({
+    id: String(user._id),
+    sid: String(session.sessionId),
+  });
+  // Only the hash of the refresh token is stored
+  expect(tokens[0].tokenHash).not.toBe(session.refreshToken);
+});
+
+test('rotates a refresh token into a new pair', async () => {
+  const session = await createSession(user, req);
+
+  const rotated = await rotateRefreshToken(session.refreshToken);
+
+  expect(rotated.sessionId).toEqual(session.sessionId);
+  expect(rotated.refreshToken).not.toBe(session.refreshToken);
+  await expect(rotateRefreshToken(rotated.refreshToken)).resolves.toBeTruthy();
+});
+
+test('revokes the whole session when a used token comes back', async () => {
+  const session = await createSession(user, req);
+  const rotated = await rotateRefreshToken(session.refreshToken);
+
+  await expect(rotateRefreshToken(session.refreshToken)).rejects.toMatchObject({
+    statusCode: 401,
+    code: 'REFRESH_TOKEN_REUSED',
+  });
+  expect(families.get(String(session.sessionId))).toMatchObject({
+    revokedReason: 'reuse_detected',
+  });
+
+  // The token the thief (or the victim) got from the rotation is dead too
+  await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toMatchObject({
+    code: 'SESSION_REVOKED',
+  });
+});
+
+test('refuses missing, unknown and expired tokens', async () => {
+  await expect(rotateRefreshToken(undefined)).rejects.toMatchObject({
+    code: 'REFRESH_TOKEN_MISSING',
+  });
+  await expect(rotateRefreshToken('nope')).rejects.toMatchObject({
+    code: 'REFRESH_TOKEN_INVALID',
+  });
+
+  const session = await createSession(user, req);
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+  await expect(rotateRefreshToken(session.refreshToken)).rejects.toMatchObject({
+    code: 'REFRESH_TOKEN_INVALID',
+  });
+});
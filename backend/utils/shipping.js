@@ -0,0 +1,167 @@
+const ShippingZone = require('../models/ShippingZone');
+const pricingConfig = require('../config/pricing');
+const { escapeRegex } = require('./queryParams');
+const { BadRequestError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// Countries and postal codes compare without case or spaces
+const normalize = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+// 'SW1*' -> /^SW1.*$/
+const postalCodePattern = (pattern) =>
+  new RegExp(`^${normalize(pattern).split('*').map(escapeRegex).join('.*')}$`);
+
+// Used while no shipping zone is set up: the flat rate and free shipping
+// threshold of config/pricing.js, to anywhere
+const defaultZone = (rules = pricingConfig) => ({
+  _id: null,
+  name: 'Default',
+  countries: ['*'],
+  postalCodes: [],
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard',
+      rateType: 'value',
+      valueRates: [
+        { minOrderValue: 0, price: rules.shippingFlatRate },
+        { minOrderValue: rules.freeShippingThreshold, price: 0 },
+      ],
+      isActive: true,
+    },
+  ],
+});
+
+const zoneMatches = (zone, { country, postalCode }) => {
+  const countries = zone.countries.map(normalize);
+
+  if (!countries.includes('*') && !countries.includes(normalize(country))) {
+    return false;
+  }
+  return (
+    zone.postalCodes.length === 0 ||
+    zone.postalCodes.some((pattern) =>
+      postalCodePattern(pattern).test(normalize(postalCode))
+    )
+  );
+};
+
+// Zones naming postal codes beat whole countries, which beat '*'
+const specificity = (zone) =>
+  (zone.postalCodes.length > 0 ? 2 : 0) + (zone.countries.includes('*') ? 0 : 1);
+
+// The zone an address falls in, or null when none covers it
+const findShippingZone = async (address, rules = pricingConfig) => {
+  const zones = await ShippingZone.find({ isActive: true });
+
+  if (zones.length === 0) {
+    return defaultZone(rules);
+  }
+
+  const matches = zones
+    .filter((zone) => zoneMatches(zone, address))
+    .sort((a, b) => b.priority - a.priority || specificity(b) - specificity(a));
+
+  return matches[0] || null;
+};
+
+// Weight (kg) and value of the goods in priced order lines. `discount` is
+// taken off the value, so coupons count towards value thresholds.
+const measureShipment = (lines, { discount = 0 } = {}) => {
+  const weight = lines.reduce(
+    (acc, line) => acc + (line.weight || 0) * line.qty,
+    0
+  );
+  const value = lines.reduce((acc, line) => acc + line.subtotal, 0);
+
+  return {
+    weight: Math.round(weight * 1000) / 1000, // to the gram
+    value: roundMoney(value - discount),
+  };
+};
+
+// Price of a method for a shipment, or null when the method cannot take it
+// (heavier than its last weight band, or below its lowest order value)
+const rateFor = (method, { weight, value }) => {
+  switch (method.rateType) {
+    case 'weight': {
+      const band = [...method.weightRates]
+        .sort((a, b) => a.maxWeight - b.maxWeight)
+        .find((rate) => weight <= rate.maxWeight);
+      return band ? band.price : null;
+    }
+    case 'value': {
+      const band = [...method.valueRates]
+        .sort((a, b) => b.minOrderValue - a.minOrderValue)
+        .find((rate) => value >= rate.minOrderValue);
+      return band ? band.price : null;
+    }
+    default:
+      return method.flatRate;
+  }
+};
+
+// The methods of a zone that can take a shipment, cheapest first
+const availableMethods = (zone, shipment) =>
+  zone.methods
+    .filter((method) => method.isActive)
+    .map((method) => ({
+      code: method.code,
+      name: method.name,
+      price: rateFor(method, shipment),
+      minDays: method.minDays,
+      maxDays: method.maxDays,
+    }))
+    .filter((method) => method.price !== null)
+    .sort((a, b) => a.price - b.price);
+
+// Shipping options for a shipment to an address: { zone, methods }
+const getShippingRates = async (address, shipment, rules = pricingConfig) => {
+  const zone = await findShippingZone(address, rules);
+  const methods = zone ? availableMethods(zone, shipment) : [];
+
+  if (methods.length === 0) {
+    throw new BadRequestError(
+      `We cannot ship this order to ${address.postalCode}, ${address.country}`,
+      { code: 'SHIPPING_UNAVAILABLE' }
+    );
+  }
+
+  return { zone, methods };
+};
+
+// The method an order ships with: the one asked for by code, or else the
+// cheapest. Returned in the shape stored on Order.shippingMethod.
+const chooseShippingMethod = async (
+  address,
+  shipment,
+  code,
+  rules = pricingConfig
+) => {
+  const { zone, methods } = await getShippingRates(address, shipment, rules);
+  const method = code ? methods.find((m) => m.code === code) : methods[0];
+
+  if (!method) {
+    throw new BadRequestError(
+      `${code} shipping is not available for this address`,
+      {
+        code: 'SHIPPING_METHOD_UNAVAILABLE',
+        details: { available: methods.map((m) => m.code) },
+      }
+    );
+  }
+
+  return { zone: zone._id, zoneName: zone.name, ...method };
+};
+
+// Shipping price before an address is known, from the default rules
+const estimateShipping = (shipment, rules = pricingConfig) =>
+  rateFor(defaultZone(rules).methods[0], shipment);
+
+module.exports = {
+  findShippingZone,
+  measureShipment,
+  getShippingRates,
+  chooseShippingMethod,
+  estimateShipping,
+};
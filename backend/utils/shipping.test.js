@@ -0,0 +1,214 @@
+const ShippingZone = require('../models/ShippingZone');
+const {
+  findShippingZone,
+  measureShipment,
+  getShippingRates,
+  chooseShippingMethod,
+  estimateShipping,
+} = require('./shipping');
+
+const rules = { shippingFlatRate: 10, freeShippingThreshold: 100 };
+
+const zone = (fields) =>
+  new ShippingZone({
+    methods: [{ code: 'standard', name: 'Standard', flatRate: 5 }],
+    ...fields,
+  });
+
+const world = zone({ name: 'World', countries: ['*'] });
+const uk = zone({ name: 'UK', countries: ['United Kingdom'] });
+const london = zone({
+  name: 'London',
+  countries: ['united kingdom'],
+  postalCodes: ['SW1*', 'EC*'],
+});
+
+const zones = (list) =>
+  jest.spyOn(ShippingZone, 'find').mockResolvedValue(list);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findShippingZone', () => {
+  test('prefers postal codes, then countries, then anywhere', async () => {
+    zones([world, uk, london]);
+
+    const find = async (country, postalCode) =>
+      (await findShippingZone({ country, postalCode }, rules)).name;
+
+    await expect(find('United Kingdom', 'sw1a 1aa')).resolves.toBe('London');
+    await expect(find('United Kingdom', 'M1 1AE')).resolves.toBe('UK');
+    await expect(find('France', '75001')).resolves.toBe('World');
+  });
+
+  test('tries zones of a higher priority first', async () => {
+    const islands = zone({
+      name: 'Islands',
+      countries: ['*'],
+      postalCodes: ['ZE*'],
+      priority: -1,
+    });
+    zones([islands, uk]);
+
+    const found = await findShippingZone(
+      { country: 'United Kingdom', postalCode: 'ZE1 0AA' },
+      rules
+    );
+    expect(found.name).toBe('UK');
+  });
+
+  test('returns null for an address no zone covers', async () => {
+    zones([uk]);
+
+    await expect(
+      findShippingZone({ country: 'France', postalCode: '75001' }, rules)
+    ).resolves.toBeNull();
+  });
+
+  test('falls back to the configured rates without zones', async () => {
+    zones([]);
+
+    const found = await findShippingZone({ country: 'France' }, rules);
+    expect(found).toMatchObject({ _id: null, name: 'Default' });
+  });
+});
+
+describe('measureShipment', () => {
+  test('adds up weight and value, less the discount', () => {
+    const lines = [
+      { weight: 0.25, qty: 3, subtotal: 30 },
+      { qty: 1, subtotal: 19.99 }, // no weight set
+    ];
+
+    expect(measureShipment(lines, { discount: 5 })).toEqual({
+      weight: 0.75,
+      value: 44.99,
+    });
+  });
+});
+
+describe('getShippingRates', () => {
+  const address = { country: 'United Kingdom', postalCode: 'M1 1AE' };
+
+  test('prices each rate type, cheapest first', async () => {
+    zones([
+      zone({
+        name: 'UK',
+        countries: ['United Kingdom'],
+        methods: [
+          {
+            code: 'express',
+            name: 'Express',
+            rateType: 'weight',
+            weightRates: [
+              { maxWeight: 5, price: 15 },
+              { maxWeight: 1, price: 8 },
+            ],
+          },
+          {
+            code: 'standard',
+            name: 'Standard',
+            rateType: 'value',
+            valueRates: [
+              { minOrderValue: 0, price: 6 },
+              { minOrderValue: 50, price: 0 },
+            ],
+          },
+          { code: 'pickup', name: 'Pickup', flatRate: 2 },
+        ],
+      }),
+    ]);
+
+    const { methods } = await getShippingRates(
+      address,
+      { weight: 2, value: 40 },
+      rules
+    );
+    expect(methods.map(({ code, price }) => [code, price])).toEqual([
+      ['pickup', 2],
+      ['standard', 6],
+      ['express', 15],
+    ]);
+  });
+
+  test('leaves out inactive methods and those too small', async () => {
+    zones([
+      zone({
+        name: 'UK',
+        countries: ['United Kingdom'],
+        methods: [
+          {
+            code: 'express',
+            name: 'Express',
+            rateType: 'weight',
+            weightRates: [{ maxWeight: 1, price: 8 }],
+          },
+          { code: 'pickup', name: 'Pickup', flatRate: 2, isActive: false },
+          { code: 'standard', name: 'Standard', flatRate: 5 },
+        ],
+      }),
+    ]);
+
+    const { methods } = await getShippingRates(
+      address,
+      { weight: 2, value: 40 },
+      rules
+    );
+    expect(methods.map(({ code }) => code)).toEqual(['standard']);
+  });
+
+  test('refuses addresses that cannot be shipped to', async () => {
+    zones([uk]);
+
+    await expect(
+      getShippingRates(
+        { country: 'France', postalCode: '75001' },
+        { weight: 1, value: 10 },
+        rules
+      )
+    ).rejects.toMatchObject({ statusCode: 400, code: 'SHIPPING_UNAVAILABLE' });
+  });
+});
+
+describe('chooseShippingMethod', () => {
+  const address = { country: 'United Kingdom', postalCode: 'M1 1AE' };
+
+  beforeEach(() => {
+    zones([
+      zone({
+        name: 'UK',
+        countries: ['United Kingdom'],
+        methods: [
+          { code: 'standard', name: 'Standard', flatRate: 5 },
+          { code: 'express', name: 'Express', flatRate: 12 },
+        ],
+      }),
+    ]);
+  });
+
+  test('picks the cheapest method unless one is asked for', async () => {
+    const shipment = { weight: 1, value: 10 };
+
+    await expect(
+      chooseShippingMethod(address, shipment, undefined, rules)
+    ).resolves.toMatchObject({ zoneName: 'UK', code: 'standard', price: 5 });
+    await expect(
+      chooseShippingMethod(address, shipment, 'express', rules)
+    ).resolves.toMatchObject({ code: 'express', price: 12 });
+  });
+
+  test('refuses a method the zone does not offer', async () => {
+    await expect(
+      chooseShippingMethod(address, { weight: 1, value: 10 }, 'pickup', rules)
+    ).rejects.toMatchObject({
+      code: 'SHIPPING_METHOD_UNAVAILABLE',
+      details: { available: ['standard', 'express'] },
+    });
+  });
+});
+
+test('estimateShipping uses the flat rate up to the free threshold', () => {
+  expect(estimateShipping({ weight: 1, value: 99.99 }, rules)).toBe(10);
+  expect(estimateShipping({ weight: 1, value: 100 }, rules)).toBe(0);
+});
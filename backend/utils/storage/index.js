@@ -0,0 +1,23 @@
+const uploadsConfig = require('../../config/uploads');
+const createLocalStorage = require('./localStorage');
+
+// Every storage implements save(key, buffer, { contentType }) -> { key, url },
+// remove(key) and url(key). Add backends such as S3 here.
+const storages = {
+  local: createLocalStorage,
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const createStorage = storages[uploadsConfig.storage];
+    if (!createStorage) {
+      throw new Error(`Unknown upload storage: ${uploadsConfig.storage}`);
+    }
+    storage = createStorage(uploadsConfig);
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on the local disk under `localDir`; server.js serves that
+// directory statically at `publicPath`
+const createLocalStorage = ({ localDir, publicPath }) => {
+  const root = path.resolve(localDir);
+
+  // Keys come from our own code, but never let one escape the upload dir
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    async save(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { key, url: this.url(key) };
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+    url(key) {
+      return `${publicPath}/${key}`;
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+
+let localDir;
+let storage;
+
+beforeEach(async () => {
+  localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+  storage = createLocalStorage({ localDir, publicPath: '/uploads' });
+});
+
+afterEach(async () => {
+  await fs.rm(localDir, { recursive: true, force: true });
+});
+
+test('saves, serves and removes files under the upload dir', async () => {
+  const saved = await storage.save('products/a.png', Buffer.from('image'));
+
+  expect(saved).toEqual({
+    key: 'products/a.png',
+    url: '/uploads/products/a.png',
+  });
+  await expect(
+    fs.readFile(path.join(localDir, 'products/a.png'), 'utf8')
+  ).resolves.toBe('image');
+
+  await storage.remove('products/a.png');
+  await expect(
+    fs.access(path.join(localDir, 'products/a.png'))
+  ).rejects.toThrow();
+});
+
+test('never writes outside the upload dir', async () => {
+  await expect(
+    storage.save('../escaped.png', Buffer.from('image'))
+  ).rejects.toThrow('Invalid storage key');
+});
@@ -0,0 +1,79 @@
+const TaxRate = require('../models/TaxRate');
+const pricingConfig = require('../config/pricing');
+const { roundMoney } = require('./money');
+
+// Product.taxClass values; each but 'exempt' is a field of TaxRate
+const TAX_CLASSES = ['standard', 'reduced', 'exempt'];
+
+// The rates in config/pricing.js, for addresses no TaxRate covers
+const defaultTaxRate = (rules = pricingConfig) => ({
+  _id: null,
+  name: 'Tax',
+  country: null,
+  region: null,
+  standard: rules.taxRate,
+  reduced: rules.reducedTaxRate,
+});
+
+// The rate of an address's region, else of its country, else the default
+const findTaxRate = async (address, rules = pricingConfig) => {
+  if (!address || !address.country) {
+    return defaultTaxRate(rules);
+  }
+
+  const rates = await TaxRate.findByCountry(address.country);
+  const region = String(address.region || '').trim().toUpperCase();
+
+  return (
+    (region && rates.find((rate) => (rate.region || '').toUpperCase() === region)) ||
+    rates.find((rate) => !rate.region) ||
+    defaultTaxRate(rules)
+  );
+};
+
+const rateForClass = (taxRate, taxClass) =>
+  taxClass === 'exempt' ? 0 : taxRate[taxClass];
+
+// Tax on an amount that includes it, or that it is added to
+const taxOn = (amount, rate, pricesIncludeTax) =>
+  pricesIncludeTax ? amount - amount / (1 + rate) : amount * rate;
+
+// Tax of priced lines under `taxRate`. Each line has a taxClass and the
+// `amount` it is taxed on (its subtotal less discounts). Returns the
+// taxClass, taxRate and taxPrice of every line (in the same order) and the
+// order's taxPrice.
+// With 'order' rounding the order's tax is rounded once, and the rounding
+// difference goes to the line taxed most, so lines still add up to it.
+const calculateTax = (lines, taxRate, rules = pricingConfig) => {
+  const exact = lines.map((line) => {
+    const rate = rateForClass(taxRate, line.taxClass);
+    return {
+      taxClass: line.taxClass,
+      taxRate: rate,
+      tax: taxOn(line.amount, rate, rules.pricesIncludeTax),
+    };
+  });
+  const lineTaxes = exact.map(({ tax }) => roundMoney(tax));
+  let taxPrice = roundMoney(lineTaxes.reduce((acc, tax) => acc + tax, 0));
+
+  if (rules.taxRounding === 'order' && lines.length > 0) {
+    const orderTax = roundMoney(exact.reduce((acc, { tax }) => acc + tax, 0));
+    const largest = exact.reduce(
+      (best, { tax }, index) => (tax > exact[best].tax ? index : best),
+      0
+    );
+    lineTaxes[largest] = roundMoney(lineTaxes[largest] + orderTax - taxPrice);
+    taxPrice = orderTax;
+  }
+
+  return {
+    lines: exact.map(({ taxClass, taxRate: rate }, index) => ({
+      taxClass,
+      taxRate: rate,
+      taxPrice: lineTaxes[index],
+    })),
+    taxPrice,
+  };
+};
+
+module.exports = { TAX_CLASSES, findTaxRate, calculateTax };
@@ -0,0 +1,125 @@
+const TaxRate = require('../models/TaxRate');
+const { findTaxRate, calculateTax } = require('./tax');
+
+const RATE = { name: 'VAT', standard: 0.18, reduced: 0.05 };
+
+const rules = (fields) => ({
+  taxRate: 0.1,
+  reducedTaxRate: 0.02,
+  pricesIncludeTax: false,
+  taxRounding: 'line',
+  ...fields,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateTax', () => {
+  test('adds tax at the rate of each line tax class', () => {
+    const result = calculateTax(
+      [
+        { taxClass: 'standard', amount: 100 },
+        { taxClass: 'reduced', amount: 40 },
+        { taxClass: 'exempt', amount: 25 },
+      ],
+      RATE,
+      rules()
+    );
+
+    expect(result).toEqual({
+      lines: [
+        { taxClass: 'standard', taxRate: 0.18, taxPrice: 18 },
+        { taxClass: 'reduced', taxRate: 0.05, taxPrice: 2 },
+        { taxClass: 'exempt', taxRate: 0, taxPrice: 0 },
+      ],
+      taxPrice: 20,
+    });
+  });
+
+  test('takes the tax out of prices that include it', () => {
+    const result = calculateTax(
+      [
+        { taxClass: 'standard', amount: 118 },
+        { taxClass: 'reduced', amount: 10.5 },
+      ],
+      RATE,
+      rules({ pricesIncludeTax: true })
+    );
+
+    expect(result.lines.map(({ taxPrice }) => taxPrice)).toEqual([18, 0.5]);
+    expect(result.taxPrice).toBe(18.5);
+  });
+
+  test('rounds every line with line rounding', () => {
+    const lines = [1, 2, 3].map(() => ({ taxClass: 'standard', amount: 0.05 }));
+    const result = calculateTax(lines, { standard: 0.08 }, rules());
+
+    // 0.004 a line rounds to nothing
+    expect(result.lines.map(({ taxPrice }) => taxPrice)).toEqual([0, 0, 0]);
+    expect(result.taxPrice).toBe(0);
+  });
+
+  test('rounds the total once with order rounding', () => {
+    const lines = [
+      { taxClass: 'standard', amount: 0.05 },
+      { taxClass: 'standard', amount: 0.06 },
+      { taxClass: 'standard', amount: 0.05 },
+    ];
+    const result = calculateTax(
+      lines,
+      { standard: 0.08 },
+      rules({ taxRounding: 'order' })
+    );
+
+    // 0.0128 in all: the cent goes to the line taxed most
+    expect(result.taxPrice).toBe(0.01);
+    expect(result.lines.map(({ taxPrice }) => taxPrice)).toEqual([0, 0.01, 0]);
+  });
+
+  test('handles an empty order', () => {
+    expect(calculateTax([], RATE, rules({ taxRounding: 'order' }))).toEqual({
+      lines: [],
+      taxPrice: 0,
+    });
+  });
+});
+
+describe('findTaxRate', () => {
+  const US = { country: 'United States', region: null, standard: 0 };
+  const TX = { country: 'United States', region: 'TX', standard: 0.0625 };
+
+  test('prefers the rate of the region', async () => {
+    jest.spyOn(TaxRate, 'findByCountry').mockResolvedValue([US, TX]);
+
+    await expect(
+      findTaxRate({ country: 'united states', region: ' tx ' })
+    ).resolves.toBe(TX);
+  });
+
+  test('falls back to the rate of the country', async () => {
+    jest.spyOn(TaxRate, 'findByCountry').mockResolvedValue([TX, US]);
+
+    await expect(
+      findTaxRate({ country: 'United States', region: 'CA' })
+    ).resolves.toBe(US);
+    await expect(findTaxRate({ country: 'United States' })).resolves.toBe(US);
+  });
+
+  test('falls back to the configured rates', async () => {
+    jest.spyOn(TaxRate, 'findByCountry').mockResolvedValue([]);
+
+    await expect(
+      findTaxRate({ country: 'Nowhere' }, rules())
+    ).resolves.toMatchObject({ _id: null, standard: 0.1, reduced: 0.02 });
+  });
+
+  test('uses the configured rates without an address', async () => {
+    const findByCountry = jest.spyOn(TaxRate, 'findByCountry');
+
+    await expect(findTaxRate(undefined, rules())).resolves.toMatchObject({
+      standard: 0.1,
+    });
+    expect(findByCountry).not.toHaveBeenCalled();
+  });
+});
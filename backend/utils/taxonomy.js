@@ -0,0 +1,160 @@
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+
+// URL-safe slug, e.g. "Home & Kitchen" -> "home-kitchen"
+const slugify = (value) =>
+  String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Key under which spellings of one name are treated as the same brand:
+// case and punctuation are ignored, so "H&M" and "h-m" match
+const nameKey = (value) => slugify(value);
+
+// Category names also ignore a trailing plural, so "Electronics",
+// "electronics" and "Electronic" all match. Brands are kept apart, as
+// "Gap" and "Gaps" are different names.
+const categoryKey = (value) => {
+  const slug = slugify(value);
+  if (slug.endsWith('ies')) return `${slug.slice(0, -3)}y`;
+  if (slug.endsWith('s') && !slug.endsWith('ss')) return slug.slice(0, -1);
+  return slug;
+};
+
+// The key function for names of a model's documents
+const keyFor = (Model) =>
+  Model.modelName === Category.modelName ? categoryKey : nameKey;
+
+// Slug for a new (or renamed) document that no other document uses yet
+const uniqueSlug = async (Model, name, { excludeId } = {}) => {
+  const base = slugify(name) || 'item';
+  let slug = base;
+
+  for (let suffix = 2; ; suffix += 1) {
+    const filter = excludeId ? { slug, _id: { $ne: excludeId } } : { slug };
+    if (!(await Model.exists(filter))) return slug;
+    slug = `${base}-${suffix}`;
+  }
+};
+
+const isObjectId = (value) => /^[0-9a-f]{24}$/i.test(String(value));
+
+// Category or brand by id or slug; names are accepted as their slug
+const findByRef = (Model, ref) =>
+  isObjectId(ref) ? Model.findById(ref) : Model.findOne({ slug: slugify(ref) });
+
+// Resolves free-text references (ids, slugs or names) to categories or
+// brands, matching names by keyFor(Model). A missing name is created, as a
+// top-level category for categories, unless `create` is false; with `save`
+// false it is only built, for the caller to save (or not, on a dry run).
+// Lookups are cached, so one resolver can serve a whole import. Resolves to
+// null for an unknown id.
+const createTaxonomyResolver = (Model, { create = true, save = true } = {}) => {
+  const keyOf = keyFor(Model);
+  let byKey;
+  const byId = new Map();
+
+  const load = async () => {
+    if (!byKey) {
+      byKey = new Map();
+      const docs = await Model.find({}).sort({ createdAt: 1 });
+      docs.forEach((doc) => {
+        [doc.slug, doc.name].forEach((value) => {
+          const key = keyOf(value);
+          if (!byKey.has(key)) byKey.set(key, doc);
+        });
+      });
+    }
+    return byKey;
+  };
+
+  return async (ref) => {
+    const value = String(ref).trim();
+
+    if (isObjectId(value)) {
+      if (!byId.has(value)) byId.set(value, await Model.findById(value));
+      return byId.get(value);
+    }
+
+    const docs = await load();
+    const key = keyOf(value);
+
+    if (!docs.has(key) && create) {
+      const doc = new Model({ name: value, slug: await uniqueSlug(Model, value) });
+      if (save) await doc.save();
+      docs.set(key, doc);
+    }
+
+    return docs.get(key) || null;
+  };
+};
+
+// Turn the category and brand filters of a product list (ids or slugs) into
+// id lists for buildProductQuery. A category includes its subcategories; an
+// unknown value matches no products.
+const resolveTaxonomyFilters = async ({ category, brand }) => {
+  const filters = {};
+
+  if (category) {
+    const found = await findByRef(Category, category);
+    filters.categoryIds = found ? await Category.subtreeIds(found) : [];
+  }
+
+  if (brand) {
+    const found = await findByRef(Brand, brand);
+    filters.brandIds = found ? [found._id] : [];
+  }
+
+  return filters;
+};
+
+// Nest categories under their parents. `counts` maps a category id to its
+// own product count; each node's productCount also includes everything below it.
+const buildCategoryTree = (categories, counts = new Map()) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        parent: category.parent,
+        productCount: counts.get(String(category._id)) || 0,
+        children: [],
+      },
+    ])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const addChildCounts = (node) => {
+    node.productCount += node.children.reduce(
+      (total, child) => total + addChildCounts(child),
+      0
+    );
+    return node.productCount;
+  };
+  roots.forEach(addChildCounts);
+
+  return roots;
+};
+
+module.exports = {
+  slugify,
+  nameKey,
+  categoryKey,
+  keyFor,
+  uniqueSlug,
+  findByRef,
+  createTaxonomyResolver,
+  resolveTaxonomyFilters,
+  buildCategoryTree,
+};
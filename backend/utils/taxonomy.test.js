@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const {
+  slugify,
+  nameKey,
+  categoryKey,
+  uniqueSlug,
+  createTaxonomyResolver,
+  buildCategoryTree,
+} = require('./taxonomy');
+
+// Model.find({}).sort(...) resolving to `docs`
+const mockFind = (Model, docs) =>
+  jest.spyOn(Model, 'find').mockReturnValue({
+    sort: jest.fn().mockResolvedValue(docs),
+  });
+
+beforeEach(() => {
+  jest.spyOn(Category, 'exists').mockResolvedValue(null);
+  jest.spyOn(Brand, 'exists').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('names', () => {
+  test('slugify keeps letters and digits only', () => {
+    expect(slugify('  Home & Kitchen ')).toBe('home-kitchen');
+    expect(slugify('Café Crème')).toBe('cafe-creme');
+  });
+
+  test('categories match across plurals, brands do not', () => {
+    expect(categoryKey('Electronics')).toBe(categoryKey('electronic'));
+    expect(categoryKey('Accessories')).toBe(categoryKey('Accessory'));
+    expect(categoryKey('Glass')).toBe('glass');
+
+    expect(nameKey('Gaps')).not.toBe(nameKey('Gap'));
+    expect(nameKey('News')).toBe('news');
+    expect(nameKey('H&M')).toBe(nameKey('h-m'));
+  });
+
+  test('uniqueSlug numbers a slug already in use', async () => {
+    Brand.exists.mockImplementation(async ({ slug }) => slug === 'acme');
+
+    await expect(uniqueSlug(Brand, 'Acme')).resolves.toBe('acme-2');
+  });
+});
+
+describe('createTaxonomyResolver', () => {
+  test('finds categories by name in any spelling, or by id', async () => {
+    const electronics = new Category({
+      name: 'Electronics',
+      slug: 'electronics',
+    });
+    mockFind(Category, [electronics]);
+    jest.spyOn(Category, 'findById').mockResolvedValue(electronics);
+    const resolve = createTaxonomyResolver(Category);
+
+    await expect(resolve('electronic')).resolves.toBe(electronics);
+    await expect(resolve(' ELECTRONICS ')).resolves.toBe(electronics);
+    await expect(resolve(String(electronics._id))).resolves.toBe(electronics);
+    expect(Category.find).toHaveBeenCalledTimes(1);
+  });
+
+  test('creates a brand for a new name, plural or not', async () => {
+    mockFind(Brand, [new Brand({ name: 'Gap', slug: 'gap' })]);
+    const save = jest
+      .spyOn(Brand.prototype, 'save')
+      .mockImplementation(function save() {
+        this.isNew = false;
+        return Promise.resolve(this);
+      });
+    const resolve = createTaxonomyResolver(Brand);
+
+    const gaps = await resolve('Gaps');
+
+    expect(gaps).toMatchObject({ name: 'Gaps', slug: 'gaps', isNew: false });
+    expect(save).toHaveBeenCalledTimes(1);
+    await expect(resolve('gaps')).resolves.toBe(gaps);
+  });
+
+  test('only builds new names when not saving', async () => {
+    mockFind(Brand, []);
+    const save = jest.spyOn(Brand.prototype, 'save');
+    const resolve = createTaxonomyResolver(Brand, { save: false });
+
+    const acme = await resolve('Acme');
+
+    expect(acme.isNew).toBe(true);
+    expect(save).not.toHaveBeenCalled();
+    await expect(resolve('ACME')).resolves.toBe(acme);
+  });
+
+  test('resolves unknown ids and names to null when not creating', async () => {
+    mockFind(Brand, []);
+    jest.spyOn(Brand, 'findById').mockResolvedValue(null);
+    const resolve = createTaxonomyResolver(Brand, { create: false });
+
+    await expect(resolve('Acme')).resolves.toBeNull();
+    await expect(
+      resolve(String(new mongoose.Types.ObjectId()))
+    ).resolves.toBeNull();
+  });
+});
+
+test('buildCategoryTree nests categories and adds up product counts', () => {
+  const root = new Category({ name: 'Home', slug: 'home' });
+  const kitchen = new Category({
+    name: 'Kitchen',
+    slug: 'kitchen',
+    parent: root._id,
+  });
+  const knives = new Category({
+    name: 'Knives',
+    slug: 'knives',
+    parent: kitchen._id,
+  });
+  const counts = new Map([
+    [String(root._id), 1],
+    [String(kitchen._id), 2],
+    [String(knives._id), 4],
+  ]);
+
+  const [tree] = buildCategoryTree([knives, root, kitchen], counts);
+
+  expect(tree).toMatchObject({ name: 'Home', productCount: 7 });
+  expect(tree.children[0]).toMatchObject({ name: 'Kitchen', productCount: 6 });
+  expect(tree.children[0].children[0]).toMatchObject({
+    name: 'Knives',
+    productCount: 4,
+  });
+});
@@ -0,0 +1,13 @@
+const { Joi } = require('./common');
+
+const brandName = Joi.string().trim().min(1).max(100);
+
+const createBrandSchema = Joi.object({
+  name: brandName.required(),
+});
+
+const updateBrandSchema = Joi.object({
+  name: brandName.required(),
+});
+
+module.exports = { createBrandSchema, updateBrandSchema };
@@ -0,0 +1,41 @@
+const { Joi, objectId } = require('./common');
+const { listProductsQuery } = require('./productValidators');
+
+const slug = () =>
+  Joi.string()
+    .trim()
+    .lowercase()
+    .max(100)
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .messages({
+      'string.pattern.base': '{{#label}} may only contain letters, digits and dashes',
+    });
+
+const createCategorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  slug: slug(),
+  description: Joi.string().trim().max(1000).allow(''),
+  parent: objectId().allow(null).default(null),
+});
+
+// parent: null moves the category to the top level
+const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  slug: slug(),
+  description: Joi.string().trim().max(1000).allow(''),
+  parent: objectId().allow(null),
+}).min(1);
+
+const categorySlugParams = Joi.object({ slug: slug().required() });
+
+// The product list filters, without category: it is in the path
+const listCategoryProductsQuery = listProductsQuery.keys({
+  category: Joi.forbidden(),
+});
+
+module.exports = {
+  createCategorySchema,
+  updateCategorySchema,
+  categorySlugParams,
+  listCategoryProductsQuery,
+};
@@ -0,0 +1,18 @@
+const Joi = require('joi');
+
+const objectId = () =>
+  Joi.string().hex().length(24).messages({
+    'string.hex': '{{#label}} must be a valid id',
+    'string.length': '{{#label}} must be a valid id',
+  });
+
+const idParams = Joi.object({ id: objectId().required() });
+
+const pagination = {
+  page: Joi.number().integer().min(1),
+  pageSize: Joi.number().integer().min(1).max(100),
+};
+
+const password = () => Joi.string().min(6).max(128);
+
+module.exports = { Joi, objectId, idParams, pagination, password };
@@ -0,0 +1,125 @@
+const { Joi, objectId, pagination } = require('./common');
+const { SHIPPING_METHODS } = require('./shippingValidators');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
+
+// Only the product, variant and quantity are accepted; prices are computed
+// server side
+const orderItemsSchema = Joi.array()
+  .items(
+    Joi.object({
+      product: objectId().required(),
+      variant: objectId(),
+      qty: Joi.number().integer().min(1).max(1000).required(),
+    })
+  )
+  .min(1)
+  .required()
+  .messages({ 'array.min': 'No order items' });
+
+const couponCode = Joi.string().trim().uppercase().min(1).max(50);
+
+const shippingAddressSchema = Joi.object({
+  address: Joi.string().trim().min(1).required(),
+  city: Joi.string().trim().min(1).required(),
+  postalCode: Joi.string().trim().min(1).required(),
+  region: Joi.string().trim().max(100).allow(''),
+  country: Joi.string().trim().min(1).required(),
+});
+
+// Left out, the cheapest method available for the address is used
+const shippingMethod = Joi.string().valid(...SHIPPING_METHODS);
+
+const createOrderSchema = Joi.object({
+  orderItems: orderItemsSchema,
+  couponCode,
+  shippingAddress: shippingAddressSchema.required(),
+  shippingMethod,
+  paymentMethod: Joi.string().trim().min(1).required(),
+});
+
+// Without an address, shipping is an estimate
+const quoteSchema = Joi.object({
+  orderItems: orderItemsSchema,
+  couponCode,
+  shippingAddress: shippingAddressSchema,
+  shippingMethod,
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().trim().max(500),
+});
+
+const shipOrderSchema = Joi.object({
+  trackingNumber: Joi.string().trim().min(1).max(100).required(),
+  carrier: Joi.string().trim().max(100),
+  note: Joi.string().trim().max(500),
+});
+
+const cancelOrderSchema = Joi.object({
+  reason: Joi.string().trim().max(500),
+});
+
+const returnParams = Joi.object({
+  id: objectId().required(),
+  returnId: objectId().required(),
+});
+
+const createReturnSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItem: objectId().required(),
+        qty: Joi.number().integer().min(1).required(),
+        reason: Joi.string().trim().min(1).max(500).required(),
+      })
+    )
+    .min(1)
+    .required(),
+  note: Joi.string().trim().max(1000),
+});
+
+const receiveReturnSchema = Joi.object({
+  restock: Joi.boolean().default(false),
+  note: Joi.string().trim().max(500),
+});
+
+// Without an amount: everything left, or what a return's items cost
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2),
+  returnId: objectId(),
+  reason: Joi.string().trim().max(500),
+});
+
+const listOrdersQuery = Joi.object({
+  status: Joi.string().valid(...ORDER_STATUSES),
+  user: objectId(),
+  ...pagination,
+});
+
+// ?ids=a,b,c: the orders to print packing slips for
+const packingSlipsQuery = Joi.object({
+  ids: Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      const ids = [...new Set(value.split(',').map((id) => id.trim()))];
+      if (ids.length > 100) {
+        return helpers.message('{{#label}} can name at most 100 orders');
+      }
+      const { error } = Joi.array().items(objectId().required()).validate(ids);
+      return error ? helpers.message('{{#label}} must be valid ids') : ids;
+    }),
+});
+
+module.exports = {
+  createOrderSchema,
+  quoteSchema,
+  noteSchema,
+  shipOrderSchema,
+  cancelOrderSchema,
+  returnParams,
+  createReturnSchema,
+  receiveReturnSchema,
+  refundSchema,
+  listOrdersQuery,
+  packingSlipsQuery,
+};
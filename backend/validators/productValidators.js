@@ -0,0 +1,159 @@
+const { Joi, objectId, pagination } = require('./common');
+const { SORT_OPTIONS, STATUS_FILTERS } = require('../utils/productQuery');
+const { TAX_CLASSES } = require('../utils/tax');
+
+// category and brand are ids or slugs
+const listProductsQuery = Joi.object({
+  keyword: Joi.string().trim().max(100).allow(''),
+  category: Joi.string().trim().max(100),
+  brand: Joi.string().trim().max(100),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  minRating: Joi.number().min(0).max(5),
+  inStock: Joi.boolean(),
+  sort: Joi.string().valid(...Object.keys(SORT_OPTIONS)),
+  ...pagination,
+});
+
+// The admin list can also show archived products
+const listAdminProductsQuery = listProductsQuery.keys({
+  status: Joi.string().valid(...Object.keys(STATUS_FILTERS)).default('all'),
+});
+
+// Gallery entries; existing ones are sent back with their _id
+const imageSchema = Joi.object({
+  _id: objectId(),
+  url: Joi.string().trim().min(1).required(),
+  alt: Joi.string().trim().max(200).allow(''),
+  renditions: Joi.object().pattern(Joi.string(), Joi.string().trim().min(1)),
+});
+
+const optionName = Joi.string().trim().min(1).max(50).pattern(/^[^.$]/);
+
+const optionSchema = Joi.object({
+  name: optionName.required(),
+  values: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .min(1)
+    .unique()
+    .required(),
+});
+
+// Existing variants are sent back with their _id so orders keep pointing at them
+const variantSchema = Joi.object({
+  _id: objectId(),
+  sku: Joi.string().trim().min(1).max(64).required(),
+  options: Joi.object()
+    .pattern(optionName, Joi.string().trim().min(1).max(50))
+    .min(1)
+    .required(),
+  price: Joi.number().min(0).precision(2).allow(null),
+  countInStock: Joi.number().integer().min(0).default(0),
+  image: Joi.string().trim().min(1),
+});
+
+const productFields = {
+  name: Joi.string().trim().min(1).max(200),
+  sku: Joi.string().trim().min(1).max(64),
+  price: Joi.number().min(0).precision(2),
+  description: Joi.string().trim().min(1),
+  image: Joi.string().trim().min(1),
+  images: Joi.array().items(imageSchema).max(20),
+  brand: objectId(),
+  category: objectId(),
+  countInStock: Joi.number().integer().min(0),
+  weight: Joi.number().min(0).precision(3),
+  taxClass: Joi.string().valid(...TAX_CLASSES),
+  options: Joi.array().items(optionSchema).unique('name'),
+  variants: Joi.array().items(variantSchema).unique('sku'),
+};
+
+// The admin screen creates a placeholder product and edits it afterwards,
+// so every field falls back to a sample value (category and brand to the
+// defaults in config/products.js)
+const createProductSchema = Joi.object({
+  name: productFields.name.default('Sample name'),
+  sku: productFields.sku,
+  price: productFields.price.default(0),
+  description: productFields.description.default('Sample description'),
+  image: productFields.image.default('/images/sample.jpg'),
+  images: productFields.images.default([]),
+  brand: productFields.brand,
+  category: productFields.category,
+  countInStock: productFields.countInStock.default(0),
+  weight: productFields.weight.default(0),
+  taxClass: productFields.taxClass.default('standard'),
+  options: productFields.options.default([]),
+  variants: productFields.variants.default([]),
+});
+
+// __v the client last read, checked to reject stale writes
+const version = Joi.number().integer().min(0);
+
+// PATCH semantics: any subset of the fields, at least one of them
+const updateProductSchema = Joi.object({ ...productFields, version }).or(
+  ...Object.keys(productFields)
+);
+
+const revisionParams = Joi.object({
+  id: objectId().required(),
+  revisionId: objectId().required(),
+});
+
+const listRevisionsQuery = Joi.object({ ...pagination });
+
+const rollbackProductSchema = Joi.object({ version });
+
+// One row of a catalog import, matched on id or else on sku. Images may be
+// URLs or names of files in the import image directory. Category and brand
+// may be ids, slugs or names; unknown names are created.
+const importRowSchema = Joi.object({
+  id: objectId(),
+  ...productFields,
+  brand: Joi.string().trim().min(1).max(100),
+  category: Joi.string().trim().min(1).max(100),
+  images: Joi.array()
+    .items(Joi.alternatives().try(Joi.string().trim().min(1), imageSchema))
+    .max(20),
+}).or('id', 'sku');
+
+const importCatalogQuery = Joi.object({
+  format: Joi.string().valid('csv', 'json'),
+  dryRun: Joi.boolean().default(false),
+});
+
+const exportCatalogQuery = Joi.object({
+  format: Joi.string().valid('csv', 'json').default('csv'),
+  status: Joi.string().valid(...Object.keys(STATUS_FILTERS)).default('active'),
+});
+
+const reviewParams = Joi.object({
+  id: objectId().required(),
+  reviewId: objectId().required(),
+});
+
+const createReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().min(1).max(2000).required(),
+});
+
+const updateReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  comment: Joi.string().trim().min(1).max(2000),
+}).min(1);
+
+module.exports = {
+  listProductsQuery,
+  listAdminProductsQuery,
+  createProductSchema,
+  updateProductSchema,
+  revisionParams,
+  listRevisionsQuery,
+  rollbackProductSchema,
+  importRowSchema,
+  importCatalogQuery,
+  exportCatalogQuery,
+  reviewParams,
+  createReviewSchema,
+  updateReviewSchema,
+};
@@ -0,0 +1,64 @@
+const { Joi, objectId, pagination } = require('./common');
+const Promotion = require('../models/Promotion');
+
+const PROMOTION_TYPES = Promotion.schema.path('type').enumValues;
+
+const promotionFields = {
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .min(3)
+    .max(50)
+    .pattern(/^[A-Z0-9_-]+$/)
+    .messages({
+      'string.pattern.base': '{{#label}} may only contain letters, digits, - and _',
+    }),
+  description: Joi.string().trim().max(500).allow(''),
+  type: Joi.string().valid(...PROMOTION_TYPES),
+  value: Joi.number().min(0).precision(2),
+  buyQuantity: Joi.number().integer().min(1),
+  getQuantity: Joi.number().integer().min(1),
+  getDiscountPercent: Joi.number().min(0).max(100),
+  minSpend: Joi.number().min(0).precision(2),
+  products: Joi.array().items(objectId()).unique(),
+  categories: Joi.array().items(objectId()).unique(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  usageLimitPerUser: Joi.number().integer().min(1).allow(null),
+  startsAt: Joi.date().allow(null),
+  endsAt: Joi.date().allow(null),
+  isActive: Joi.boolean(),
+};
+
+const createPromotionSchema = Joi.object({
+  ...promotionFields,
+  code: promotionFields.code.required(),
+  type: promotionFields.type.required(),
+  value: promotionFields.value.when('type', {
+    is: Joi.valid('percent', 'fixed'),
+    then: Joi.required(),
+  }),
+  buyQuantity: promotionFields.buyQuantity.when('type', {
+    is: 'buy_x_get_y',
+    then: Joi.required(),
+  }),
+  getQuantity: promotionFields.getQuantity.when('type', {
+    is: 'buy_x_get_y',
+    then: Joi.required(),
+  }),
+});
+
+// Rules between fields (e.g. a percentage of at most 100) are checked by
+// the model, against the merged values
+const updatePromotionSchema = Joi.object(promotionFields).min(1);
+
+const listPromotionsQuery = Joi.object({
+  keyword: Joi.string().trim().max(50).allow(''),
+  active: Joi.boolean(),
+  ...pagination,
+});
+
+module.exports = {
+  createPromotionSchema,
+  updatePromotionSchema,
+  listPromotionsQuery,
+};
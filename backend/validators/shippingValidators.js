@@ -0,0 +1,96 @@
+const { Joi, objectId } = require('./common');
+const ShippingZone = require('../models/ShippingZone');
+
+const methodPaths = ShippingZone.schema.path('methods').schema;
+const SHIPPING_METHODS = methodPaths.path('code').enumValues;
+const RATE_TYPES = methodPaths.path('rateType').enumValues;
+
+const price = () => Joi.number().min(0).precision(2);
+
+const methodSchema = Joi.object({
+  code: Joi.string().valid(...SHIPPING_METHODS).required(),
+  name: Joi.string().trim().min(1).max(100).required(),
+  rateType: Joi.string().valid(...RATE_TYPES).default('flat'),
+  flatRate: price().when('rateType', { is: 'flat', then: Joi.required() }),
+  weightRates: Joi.array()
+    .items(
+      Joi.object({
+        maxWeight: Joi.number().min(0).required(),
+        price: price().required(),
+      })
+    )
+    .unique('maxWeight')
+    .when('rateType', { is: 'weight', then: Joi.array().min(1).required() }),
+  valueRates: Joi.array()
+    .items(
+      Joi.object({
+        minOrderValue: price().required(),
+        price: price().required(),
+      })
+    )
+    .unique('minOrderValue')
+    .when('rateType', { is: 'value', then: Joi.array().min(1).required() }),
+  minDays: Joi.number().integer().min(0),
+  maxDays: Joi.number().integer().min(Joi.ref('minDays')),
+  isActive: Joi.boolean(),
+});
+
+const zoneFields = {
+  name: Joi.string().trim().min(1).max(100),
+  countries: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).unique(),
+  postalCodes: Joi.array().items(Joi.string().trim().min(1).max(20)).unique(),
+  priority: Joi.number().integer(),
+  methods: Joi.array().items(methodSchema).unique('code'),
+  isActive: Joi.boolean(),
+};
+
+const createZoneSchema = Joi.object({
+  ...zoneFields,
+  name: zoneFields.name.required(),
+  countries: zoneFields.countries.required(),
+  methods: zoneFields.methods.min(1).required(),
+});
+
+// Lists (countries, methods, ...) are replaced as a whole
+const updateZoneSchema = Joi.object(zoneFields).min(1);
+
+// items=PRODUCT:QTY or PRODUCT:VARIANT:QTY, comma separated, parsed into
+// order items
+const cartItems = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const items = value.split(',').map((entry) => entry.trim().split(':'));
+    const invalid = items.some(
+      (parts) =>
+        parts.length < 2 ||
+        parts.length > 3 ||
+        parts.slice(0, -1).some((id) => objectId().validate(id).error) ||
+        !/^[1-9]\d*$/.test(parts[parts.length - 1])
+    );
+
+    if (invalid) {
+      return helpers.error('any.invalid');
+    }
+
+    return items.map((parts) => ({
+      product: parts[0],
+      variant: parts.length === 3 ? parts[1] : undefined,
+      qty: Number(parts[parts.length - 1]),
+    }));
+  })
+  .messages({
+    'any.invalid': '{{#label}} must be a list of PRODUCT[:VARIANT]:QTY',
+  });
+
+const ratesQuery = Joi.object({
+  items: cartItems.required(),
+  country: Joi.string().trim().min(1).required(),
+  postalCode: Joi.string().trim().min(1).required(),
+});
+
+module.exports = {
+  SHIPPING_METHODS,
+  createZoneSchema,
+  updateZoneSchema,
+  ratesQuery,
+};
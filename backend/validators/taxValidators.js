@@ -0,0 +1,32 @@
+const { Joi } = require('./common');
+
+const rate = () => Joi.number().min(0).max(1);
+
+const taxRateFields = {
+  country: Joi.string().trim().min(1).max(100),
+  region: Joi.string().trim().min(1).max(100).allow(null),
+  name: Joi.string().trim().min(1).max(50),
+  standard: rate(),
+  reduced: rate(),
+};
+
+const createTaxRateSchema = Joi.object({
+  ...taxRateFields,
+  country: taxRateFields.country.required(),
+  region: taxRateFields.region.default(null),
+  name: taxRateFields.name.required(),
+  standard: taxRateFields.standard.required(),
+  reduced: taxRateFields.reduced.required(),
+});
+
+const updateTaxRateSchema = Joi.object(taxRateFields).min(1);
+
+const listTaxRatesQuery = Joi.object({
+  country: Joi.string().trim().max(100),
+});
+
+module.exports = {
+  createTaxRateSchema,
+  updateTaxRateSchema,
+  listTaxRatesQuery,
+};
@@ -0,0 +1,57 @@
+const { Joi, pagination, password } = require('./common');
+const { ROLES } = require('../config/policies');
+
+const email = () => Joi.string().trim().email();
+
+const loginSchema = Joi.object({
+  email: email().required(),
+  password: Joi.string().required(),
+});
+
+const registerSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  email: email().required(),
+  password: password().required(),
+});
+
+const updateProfileSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  email: email(),
+  password: password(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().required(),
+  password: password().required(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().hex().required(),
+});
+
+const listUsersQuery = Joi.object({
+  keyword: Joi.string().trim().max(100).allow(''),
+  role: Joi.string().valid(...ROLES),
+  ...pagination,
+});
+
+const updateUserSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  email: email(),
+  role: Joi.string().valid(...ROLES),
+}).min(1);
+
+module.exports = {
+  loginSchema,
+  registerSchema,
+  updateProfileSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  listUsersQuery,
+  updateUserSchema,
+};
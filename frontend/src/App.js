@@ -13,7 +13,8 @@ import ShippingScreen from './screens/ShippingScreen';
 import PaymentScreen from './screens/PaymentScreen';
 import PlaceOrderScreen from './screens/PlaceOrderScreen';
 import OrderScreen from './screens/OrderScreen';
-// import UserListScreen from './screens/UserListScreen'; // Example for admin
+import UserListScreen from './screens/UserListScreen';
+import UserEditScreen from './screens/UserEditScreen';
 // import ProductListScreen from './screens/ProductListScreen'; // Example for admin
 // import ProductEditScreen from './screens/ProductEditScreen'; // Example for admin
 // import OrderListScreen from './screens/OrderListScreen'; // Example for admin
@@ -34,7 +35,8 @@ function App() {
             <Route path="/profile" element={<ProfileScreen />} />
             <Route path="/product/:id" element={<ProductScreen />} />
             <Route path="/cart/:id?" element={<CartScreen />} />
-            {/* <Route path="/admin/userlist" element={<UserListScreen />} /> */}
+            <Route path="/admin/userlist" element={<UserListScreen />} />
+            <Route path="/admin/user/:id/edit" element={<UserEditScreen />} />
             {/* <Route path="/admin/productlist" element={<ProductListScreen />} /> */}
             {/* <Route path="/admin/product/:id/edit" element={<ProductEditScreen />} /> */}
             {/* <Route path="/admin/orderlist" element={<OrderListScreen />} /> */}
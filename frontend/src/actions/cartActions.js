@@ -3,20 +3,33 @@ import {
   CART_ADD_ITEM,
   CART_REMOVE_ITEM,
   CART_SAVE_SHIPPING_ADDRESS,
+  CART_SAVE_SHIPPING_METHOD,
   CART_SAVE_PAYMENT_METHOD,
+  CART_APPLY_COUPON,
+  CART_REMOVE_COUPON,
 } from '../constants/cartConstants';
 
-export const addToCart = (id, qty) => async (dispatch, getState) => {
+// variantId is required for products sold in variants (size, color, ...)
+export const addToCart = (id, qty, variantId = null) => async (
+  dispatch,
+  getState
+) => {
   const { data } = await axios.get(`/api/products/${id}`);
+  const variant = variantId
+    ? (data.variants || []).find((v) => v._id === variantId)
+    : null;
 
   dispatch({
     type: CART_ADD_ITEM,
     payload: {
       product: data._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : undefined,
+      options: variant ? variant.options : undefined,
       name: data.name,
-      image: data.image,
-      price: data.price,
-      countInStock: data.countInStock,
+      image: (variant && variant.image) || data.image,
+      price: variant && variant.price != null ? variant.price : data.price,
+      countInStock: variant ? variant.countInStock : data.countInStock,
       qty,
     },
   });
@@ -24,10 +37,10 @@ export const addToCart = (id, qty) => async (dispatch, getState) => {
   localStorage.setItem('cartItems', JSON.stringify(getState().cart.cartItems));
 };
 
-export const removeFromCart = (id) => (dispatch, getState) => {
+export const removeFromCart = (id, variantId = null) => (dispatch, getState) => {
   dispatch({
     type: CART_REMOVE_ITEM,
-    payload: id,
+    payload: { product: id, variant: variantId },
   });
 
   localStorage.setItem('cartItems', JSON.stringify(getState().cart.cartItems));
@@ -42,6 +55,17 @@ export const saveShippingAddress = (data) => (dispatch) => {
   localStorage.setItem('shippingAddress', JSON.stringify(data));
 };
 
+// code: a method code from getShippingRates ('standard', 'express', ...).
+// Without one the server picks the cheapest method.
+export const saveShippingMethod = (code) => (dispatch) => {
+  dispatch({
+    type: CART_SAVE_SHIPPING_METHOD,
+    payload: code,
+  });
+
+  localStorage.setItem('shippingMethod', JSON.stringify(code));
+};
+
 export const savePaymentMethod = (data) => (dispatch) => {
   dispatch({
     type: CART_SAVE_PAYMENT_METHOD,
@@ -50,3 +74,22 @@ export const savePaymentMethod = (data) => (dispatch) => {
 
   localStorage.setItem('paymentMethod', JSON.stringify(data));
 };
+
+// The code is checked by the server when the cart is quoted (getOrderQuote)
+// and again when the order is placed
+export const applyCoupon = (code) => (dispatch) => {
+  const coupon = { code: code.trim().toUpperCase() };
+
+  dispatch({
+    type: CART_APPLY_COUPON,
+    payload: coupon,
+  });
+
+  localStorage.setItem('appliedCoupon', JSON.stringify(coupon));
+};
+
+export const removeCoupon = () => (dispatch) => {
+  dispatch({ type: CART_REMOVE_COUPON });
+
+  localStorage.removeItem('appliedCoupon');
+};
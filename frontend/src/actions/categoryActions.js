@@ -0,0 +1,61 @@
+import axios from 'axios';
+import {
+  CATEGORY_LIST_REQUEST,
+  CATEGORY_LIST_SUCCESS,
+  CATEGORY_LIST_FAIL,
+  BRAND_LIST_REQUEST,
+  BRAND_LIST_SUCCESS,
+  BRAND_LIST_FAIL,
+} from '../constants/categoryConstants';
+import {
+  PRODUCT_LIST_REQUEST,
+  PRODUCT_LIST_SUCCESS,
+  PRODUCT_LIST_FAIL,
+} from '../constants/productConstants';
+import { getErrorMessage } from '../utils/errorMessage';
+
+// Category tree; every node has children and a productCount that includes
+// its subcategories
+export const listCategories = () => async (dispatch) => {
+  try {
+    dispatch({ type: CATEGORY_LIST_REQUEST });
+    const { data } = await axios.get('/api/categories');
+    dispatch({ type: CATEGORY_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: CATEGORY_LIST_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const listBrands = () => async (dispatch) => {
+  try {
+    dispatch({ type: BRAND_LIST_REQUEST });
+    const { data } = await axios.get('/api/brands');
+    dispatch({ type: BRAND_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: BRAND_LIST_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Products in a category and its subcategories, into productList (which also
+// keeps the category, with its ancestors for breadcrumbs).
+// params: same as listProducts, without category
+export const listCategoryProducts = (slug, params = {}) => async (dispatch) => {
+  try {
+    dispatch({ type: PRODUCT_LIST_REQUEST, payload: { ...params, category: slug } });
+    const { data } = await axios.get(`/api/categories/${slug}/products`, {
+      params,
+    });
+    dispatch({ type: PRODUCT_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_LIST_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
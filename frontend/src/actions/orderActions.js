@@ -3,24 +3,55 @@ import {
   ORDER_CREATE_REQUEST,
   ORDER_CREATE_SUCCESS,
   ORDER_CREATE_FAIL,
+  ORDER_QUOTE_REQUEST,
+  ORDER_QUOTE_SUCCESS,
+  ORDER_QUOTE_FAIL,
   ORDER_DETAILS_REQUEST,
   ORDER_DETAILS_SUCCESS,
   ORDER_DETAILS_FAIL,
+  ORDER_PAYMENT_INTENT_REQUEST,
+  ORDER_PAYMENT_INTENT_SUCCESS,
+  ORDER_PAYMENT_INTENT_FAIL,
   ORDER_PAY_REQUEST,
   ORDER_PAY_SUCCESS,
   ORDER_PAY_FAIL,
+  ORDER_PROCESS_REQUEST,
+  ORDER_PROCESS_SUCCESS,
+  ORDER_PROCESS_FAIL,
+  ORDER_SHIP_REQUEST,
+  ORDER_SHIP_SUCCESS,
+  ORDER_SHIP_FAIL,
+  ORDER_DELIVER_REQUEST,
+  ORDER_DELIVER_SUCCESS,
+  ORDER_DELIVER_FAIL,
+  ORDER_CANCEL_REQUEST,
+  ORDER_CANCEL_SUCCESS,
+  ORDER_CANCEL_FAIL,
+  ORDER_RETURN_CREATE_REQUEST,
+  ORDER_RETURN_CREATE_SUCCESS,
+  ORDER_RETURN_CREATE_FAIL,
+  ORDER_RETURN_UPDATE_REQUEST,
+  ORDER_RETURN_UPDATE_SUCCESS,
+  ORDER_RETURN_UPDATE_FAIL,
+  ORDER_REFUND_REQUEST,
+  ORDER_REFUND_SUCCESS,
+  ORDER_REFUND_FAIL,
   ORDER_LIST_MY_REQUEST,
   ORDER_LIST_MY_SUCCESS,
   ORDER_LIST_MY_FAIL,
 } from '../constants/orderConstants';
 import { CART_CLEAR_ITEMS } from '../constants/cartConstants'; // To clear cart after order
+import { getErrorMessage } from '../utils/errorMessage';
 
+// The cart's applied coupon and shipping method, if any, are sent with the
+// order
 export const createOrder = (order) => async (dispatch, getState) => {
   try {
     dispatch({ type: ORDER_CREATE_REQUEST });
 
     const {
       userLogin: { userInfo },
+      cart: { appliedCoupon, shippingMethod },
     } = getState();
 
     const config = {
@@ -30,18 +61,70 @@ export const createOrder = (order) => async (dispatch, getState) => {
       },
     };
 
-    const { data } = await axios.post(`/api/orders`, order, config);
+    const { data } = await axios.post(
+      `/api/orders`,
+      {
+        ...order,
+        ...(appliedCoupon && { couponCode: appliedCoupon.code }),
+        ...(shippingMethod && { shippingMethod }),
+      },
+      config
+    );
 
     dispatch({ type: ORDER_CREATE_SUCCESS, payload: data });
     dispatch({ type: CART_CLEAR_ITEMS }); // Clear cart after successful order
     localStorage.removeItem('cartItems'); // Also clear from local storage
+    localStorage.removeItem('appliedCoupon');
   } catch (error) {
     dispatch({
       type: ORDER_CREATE_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Ask the server to price the cart; only ids and quantities are sent, with
+// the cart's applied coupon. The quote lists the discounts it gives. Once
+// the shipping address is known, shipping is priced for it (and the saved
+// shipping method) rather than estimated.
+export const getOrderQuote = (cartItems) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_QUOTE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+      cart: { appliedCoupon, shippingAddress, shippingMethod },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const orderItems = cartItems.map((item) => ({
+      product: item.product,
+      ...(item.variant && { variant: item.variant }),
+      qty: item.qty,
+    }));
+
+    const { data } = await axios.post(
+      `/api/orders/quote`,
+      {
+        orderItems,
+        ...(appliedCoupon && { couponCode: appliedCoupon.code }),
+        ...(shippingAddress &&
+          shippingAddress.country && { shippingAddress, shippingMethod }),
+      },
+      config
+    );
+
+    dispatch({ type: ORDER_QUOTE_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: ORDER_QUOTE_FAIL,
+      payload: getErrorMessage(error),
     });
   }
 };
@@ -66,15 +149,45 @@ export const getOrderDetails = (id) => async (dispatch, getState) => {
   } catch (error) {
     dispatch({
       type: ORDER_DETAILS_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
     });
   }
 };
 
-export const payOrder = (orderId, paymentResult) => async (dispatch, getState) => {
+// Starts a payment with the configured provider; the response carries the
+// client secret the provider's checkout UI needs
+export const createPaymentIntent = (orderId) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_PAYMENT_INTENT_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(
+      `/api/orders/${orderId}/payment-intent`,
+      {},
+      config
+    );
+
+    dispatch({ type: ORDER_PAYMENT_INTENT_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: ORDER_PAYMENT_INTENT_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// The server captures the payment with the provider; nothing about the
+// payment outcome is sent from the client
+export const payOrder = (orderId) => async (dispatch, getState) => {
   try {
     dispatch({ type: ORDER_PAY_REQUEST });
 
@@ -82,6 +195,31 @@ export const payOrder = (orderId, paymentResult) => async (dispatch, getState) =
       userLogin: { userInfo },
     } = getState();
 
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(`/api/orders/${orderId}/pay`, {}, config);
+
+    dispatch({ type: ORDER_PAY_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: ORDER_PAY_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const processOrder = (orderId, note) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_PROCESS_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
     const config = {
       headers: {
         'Content-Type': 'application/json',
@@ -90,23 +228,281 @@ export const payOrder = (orderId, paymentResult) => async (dispatch, getState) =
     };
 
     const { data } = await axios.put(
-      `/api/orders/${orderId}/pay`,
-      paymentResult,
+      `/api/orders/${orderId}/process`,
+      { note },
       config
     );
 
-    dispatch({ type: ORDER_PAY_SUCCESS, payload: data });
+    dispatch({ type: ORDER_PROCESS_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
   } catch (error) {
     dispatch({
-      type: ORDER_PAY_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      type: ORDER_PROCESS_FAIL,
+      payload: getErrorMessage(error),
     });
   }
 };
 
+// shipment: { trackingNumber, carrier }
+export const shipOrder = (orderId, shipment) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_SHIP_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/orders/${orderId}/ship`,
+      shipment,
+      config
+    );
+
+    dispatch({ type: ORDER_SHIP_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
+  } catch (error) {
+    dispatch({
+      type: ORDER_SHIP_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const deliverOrder = (orderId) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_DELIVER_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/orders/${orderId}/deliver`,
+      {},
+      config
+    );
+
+    dispatch({ type: ORDER_DELIVER_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
+  } catch (error) {
+    dispatch({
+      type: ORDER_DELIVER_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const cancelOrder = (orderId, reason) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_CANCEL_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/orders/${orderId}/cancel`,
+      { reason },
+      config
+    );
+
+    dispatch({ type: ORDER_CANCEL_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
+  } catch (error) {
+    dispatch({
+      type: ORDER_CANCEL_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// items: [{ orderItem, qty, reason }], orderItem being an orderItems _id.
+// Only delivered orders can be returned.
+export const requestReturn = (orderId, items, note) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: ORDER_RETURN_CREATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(
+      `/api/orders/${orderId}/returns`,
+      { items, ...(note && { note }) },
+      config
+    );
+
+    dispatch({ type: ORDER_RETURN_CREATE_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
+  } catch (error) {
+    dispatch({
+      type: ORDER_RETURN_CREATE_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Admin steps of a return: 'approve', 'reject' or 'receive'. Receiving
+// takes { restock: true } to put the items back in stock.
+export const updateReturn = (orderId, returnId, step, body = {}) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: ORDER_RETURN_UPDATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/orders/${orderId}/returns/${returnId}/${step}`,
+      body,
+      config
+    );
+
+    dispatch({ type: ORDER_RETURN_UPDATE_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
+  } catch (error) {
+    dispatch({
+      type: ORDER_RETURN_UPDATE_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// refund: { amount, returnId, reason }, all optional. Without an amount the
+// rest of the payment is refunded, or what a received return's items cost.
+export const refundOrder = (orderId, refund = {}) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: ORDER_REFUND_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(
+      `/api/orders/${orderId}/refunds`,
+      refund,
+      config
+    );
+
+    dispatch({ type: ORDER_REFUND_SUCCESS, payload: data });
+    dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data }); // Keep the order page in sync
+  } catch (error) {
+    dispatch({
+      type: ORDER_REFUND_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Save a blob response under the name the server gave it, or `fallback`
+const saveDownload = ({ data, headers }, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(headers['content-disposition'] || '');
+  const url = window.URL.createObjectURL(data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallback;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Errors of blob requests arrive as a blob too; read the JSON back so that
+// getErrorMessage can use the error code
+const parseBlobError = async (error) => {
+  const data = error.response && error.response.data;
+
+  if (data instanceof Blob && data.type.includes('json')) {
+    error.response.data = JSON.parse(await data.text());
+  }
+  return error;
+};
+
+// Download the order's invoice PDF; nothing is stored in the Redux state.
+// Rejects with an axios error, to be read with getErrorMessage.
+export const downloadInvoice = (orderId) => async (dispatch, getState) => {
+  const {
+    userLogin: { userInfo },
+  } = getState();
+
+  try {
+    const response = await axios.get(`/api/orders/${orderId}/invoice.pdf`, {
+      headers: { Authorization: `Bearer ${userInfo.token}` },
+      responseType: 'blob',
+    });
+    saveDownload(response, `invoice-${orderId}.pdf`);
+  } catch (error) {
+    throw await parseBlobError(error);
+  }
+};
+
+// Download the packing slips of several orders as one zip file (admin)
+export const downloadPackingSlips = (orderIds) => async (dispatch, getState) => {
+  const {
+    userLogin: { userInfo },
+  } = getState();
+
+  try {
+    const response = await axios.get('/api/orders/packing-slips.zip', {
+      headers: { Authorization: `Bearer ${userInfo.token}` },
+      params: { ids: orderIds.join(',') },
+      responseType: 'blob',
+    });
+    saveDownload(response, 'packing-slips.zip');
+  } catch (error) {
+    throw await parseBlobError(error);
+  }
+};
+
 export const listMyOrders = () => async (dispatch, getState) => {
   try {
     dispatch({ type: ORDER_LIST_MY_REQUEST });
@@ -127,10 +523,7 @@ export const listMyOrders = () => async (dispatch, getState) => {
   } catch (error) {
     dispatch({
       type: ORDER_LIST_MY_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
     });
   }
 };
@@ -15,20 +15,67 @@ import {
   PRODUCT_DELETE_REQUEST,
   PRODUCT_DELETE_SUCCESS,
   PRODUCT_DELETE_FAIL,
+  PRODUCT_IMAGE_UPLOAD_REQUEST,
+  PRODUCT_IMAGE_UPLOAD_SUCCESS,
+  PRODUCT_IMAGE_UPLOAD_FAIL,
+  PRODUCT_IMPORT_REQUEST,
+  PRODUCT_IMPORT_SUCCESS,
+  PRODUCT_IMPORT_FAIL,
+  PRODUCT_RESTORE_REQUEST,
+  PRODUCT_RESTORE_SUCCESS,
+  PRODUCT_RESTORE_FAIL,
+  PRODUCT_PURGE_REQUEST,
+  PRODUCT_PURGE_SUCCESS,
+  PRODUCT_PURGE_FAIL,
+  PRODUCT_CREATE_REVIEW_REQUEST,
+  PRODUCT_CREATE_REVIEW_SUCCESS,
+  PRODUCT_CREATE_REVIEW_FAIL,
+  PRODUCT_UPDATE_REVIEW_REQUEST,
+  PRODUCT_UPDATE_REVIEW_SUCCESS,
+  PRODUCT_UPDATE_REVIEW_FAIL,
+  PRODUCT_DELETE_REVIEW_REQUEST,
+  PRODUCT_DELETE_REVIEW_SUCCESS,
+  PRODUCT_DELETE_REVIEW_FAIL,
 } from '../constants/productConstants';
+import { getErrorMessage } from '../utils/errorMessage';
 
-export const listProducts = () => async (dispatch) => {
+// params: { keyword, category, brand, minPrice, maxPrice, minRating, inStock, sort, page, pageSize }
+export const listProducts = (params = {}) => async (dispatch) => {
   try {
-    dispatch({ type: PRODUCT_LIST_REQUEST });
-    const { data } = await axios.get('/api/products');
+    dispatch({ type: PRODUCT_LIST_REQUEST, payload: params });
+    const { data } = await axios.get('/api/products', { params });
     dispatch({ type: PRODUCT_LIST_SUCCESS, payload: data });
   } catch (error) {
     dispatch({
       type: PRODUCT_LIST_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Admin catalog list, including archived products.
+// params: same as listProducts plus status ('active' | 'archived' | 'all')
+export const listAdminProducts = (params = {}) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: PRODUCT_LIST_REQUEST, payload: params });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+      params,
+    };
+
+    const { data } = await axios.get('/api/products/admin', config);
+    dispatch({ type: PRODUCT_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_LIST_FAIL,
+      payload: getErrorMessage(error),
     });
   }
 };
@@ -41,10 +88,7 @@ export const listProductDetails = (id) => async (dispatch) => {
   } catch (error) {
     dispatch({
       type: PRODUCT_DETAILS_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
     });
   }
 };
@@ -70,10 +114,7 @@ export const createProduct = () => async (dispatch, getState) => {
   } catch (error) {
     dispatch({
       type: PRODUCT_CREATE_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
     });
   }
 };
@@ -93,9 +134,10 @@ export const updateProduct = (product) => async (dispatch, getState) => {
       },
     };
 
-    const { data } = await axios.put(
+    // Send the version we last read so the server rejects stale edits
+    const { data } = await axios.patch(
       `/api/products/${product._id}`,
-      product,
+      { ...product, version: product.__v },
       config
     );
 
@@ -104,10 +146,7 @@ export const updateProduct = (product) => async (dispatch, getState) => {
   } catch (error) {
     dispatch({
       type: PRODUCT_UPDATE_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
     });
   }
 };
@@ -132,10 +171,242 @@ export const deleteProduct = (id) => async (dispatch, getState) => {
   } catch (error) {
     dispatch({
       type: PRODUCT_DELETE_FAIL,
-      payload:
-        error.response && error.response.data.message
-          ? error.response.data.message
-          : error.message,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Upload an image file; the result ({ url, renditions, ... }) can be added to
+// a product's `images` gallery with updateProduct
+export const uploadProductImage = (file) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: PRODUCT_IMAGE_UPLOAD_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    const { data } = await axios.post('/api/upload', formData, config);
+
+    dispatch({ type: PRODUCT_IMAGE_UPLOAD_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_IMAGE_UPLOAD_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Import a catalog file (CSV or JSON). With dryRun the server only validates
+// it; either way the payload is the row-by-row report.
+export const importProducts = (file, { dryRun = false } = {}) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: PRODUCT_IMPORT_REQUEST, payload: { dryRun } });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const format = /\.json$/i.test(file.name) ? 'json' : 'csv';
+    const config = {
+      headers: {
+        'Content-Type': format === 'json' ? 'application/json' : 'text/csv',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+      params: { format, dryRun },
+    };
+
+    const { data } = await axios.post('/api/products/import', file, config);
+
+    dispatch({ type: PRODUCT_IMPORT_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_IMPORT_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Download the catalog as a file; nothing is stored in the Redux state
+export const exportProducts = (format = 'csv', status = 'active') => async (
+  dispatch,
+  getState
+) => {
+  const {
+    userLogin: { userInfo },
+  } = getState();
+
+  const { data } = await axios.get('/api/products/export', {
+    headers: { Authorization: `Bearer ${userInfo.token}` },
+    params: { format, status },
+    responseType: 'blob',
+  });
+
+  const url = window.URL.createObjectURL(data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+export const restoreProduct = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: PRODUCT_RESTORE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(`/api/products/${id}/restore`, {}, config);
+
+    dispatch({ type: PRODUCT_RESTORE_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_RESTORE_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+// Permanently delete a product that is already archived
+export const purgeProduct = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: PRODUCT_PURGE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    await axios.delete(`/api/products/${id}/purge`, config);
+
+    dispatch({ type: PRODUCT_PURGE_SUCCESS });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_PURGE_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const createProductReview = (productId, review) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: PRODUCT_CREATE_REVIEW_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(
+      `/api/products/${productId}/reviews`,
+      review,
+      config
+    );
+
+    dispatch({ type: PRODUCT_CREATE_REVIEW_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_CREATE_REVIEW_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const updateProductReview = (productId, reviewId, review) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: PRODUCT_UPDATE_REVIEW_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/products/${productId}/reviews/${reviewId}`,
+      review,
+      config
+    );
+
+    dispatch({ type: PRODUCT_UPDATE_REVIEW_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_UPDATE_REVIEW_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
+
+export const deleteProductReview = (productId, reviewId) => async (
+  dispatch,
+  getState
+) => {
+  try {
+    dispatch({ type: PRODUCT_DELETE_REVIEW_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.delete(
+      `/api/products/${productId}/reviews/${reviewId}`,
+      config
+    );
+
+    dispatch({ type: PRODUCT_DELETE_REVIEW_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_DELETE_REVIEW_FAIL,
+      payload: getErrorMessage(error),
     });
   }
 };
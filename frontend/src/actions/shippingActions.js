@@ -0,0 +1,34 @@
+import axios from 'axios';
+import {
+  SHIPPING_RATES_REQUEST,
+  SHIPPING_RATES_SUCCESS,
+  SHIPPING_RATES_FAIL,
+} from '../constants/shippingConstants';
+import { getErrorMessage } from '../utils/errorMessage';
+
+// Shipping methods the cart can be sent to an address with, cheapest first.
+// Coupons (free shipping) are only taken into account by getOrderQuote.
+export const getShippingRates = (cartItems, { country, postalCode }) => async (
+  dispatch
+) => {
+  try {
+    dispatch({ type: SHIPPING_RATES_REQUEST });
+
+    const items = cartItems
+      .map((item) =>
+        [item.product, item.variant, item.qty].filter(Boolean).join(':')
+      )
+      .join(',');
+
+    const { data } = await axios.get('/api/shipping/rates', {
+      params: { items, country, postalCode },
+    });
+
+    dispatch({ type: SHIPPING_RATES_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: SHIPPING_RATES_FAIL,
+      payload: getErrorMessage(error),
+    });
+  }
+};
@@ -0,0 +1,8 @@
+import React from 'react';
+import { Alert } from 'react-bootstrap';
+
+const Message = ({ variant = 'info', children }) => {
+  return <Alert variant={variant}>{children}</Alert>;
+};
+
+export default Message;
@@ -0,0 +1,7 @@
+export const CATEGORY_LIST_REQUEST = 'CATEGORY_LIST_REQUEST';
+export const CATEGORY_LIST_SUCCESS = 'CATEGORY_LIST_SUCCESS';
+export const CATEGORY_LIST_FAIL = 'CATEGORY_LIST_FAIL';
+
+export const BRAND_LIST_REQUEST = 'BRAND_LIST_REQUEST';
+export const BRAND_LIST_SUCCESS = 'BRAND_LIST_SUCCESS';
+export const BRAND_LIST_FAIL = 'BRAND_LIST_FAIL';
@@ -3,15 +3,60 @@ export const ORDER_CREATE_SUCCESS = 'ORDER_CREATE_SUCCESS';
 export const ORDER_CREATE_FAIL = 'ORDER_CREATE_FAIL';
 export const ORDER_CREATE_RESET = 'ORDER_CREATE_RESET';
 
+export const ORDER_QUOTE_REQUEST = 'ORDER_QUOTE_REQUEST';
+export const ORDER_QUOTE_SUCCESS = 'ORDER_QUOTE_SUCCESS';
+export const ORDER_QUOTE_FAIL = 'ORDER_QUOTE_FAIL';
+export const ORDER_QUOTE_RESET = 'ORDER_QUOTE_RESET';
+
 export const ORDER_DETAILS_REQUEST = 'ORDER_DETAILS_REQUEST';
 export const ORDER_DETAILS_SUCCESS = 'ORDER_DETAILS_SUCCESS';
 export const ORDER_DETAILS_FAIL = 'ORDER_DETAILS_FAIL';
 
+export const ORDER_PAYMENT_INTENT_REQUEST = 'ORDER_PAYMENT_INTENT_REQUEST';
+export const ORDER_PAYMENT_INTENT_SUCCESS = 'ORDER_PAYMENT_INTENT_SUCCESS';
+export const ORDER_PAYMENT_INTENT_FAIL = 'ORDER_PAYMENT_INTENT_FAIL';
+export const ORDER_PAYMENT_INTENT_RESET = 'ORDER_PAYMENT_INTENT_RESET';
+
 export const ORDER_PAY_REQUEST = 'ORDER_PAY_REQUEST';
 export const ORDER_PAY_SUCCESS = 'ORDER_PAY_SUCCESS';
 export const ORDER_PAY_FAIL = 'ORDER_PAY_FAIL';
 export const ORDER_PAY_RESET = 'ORDER_PAY_RESET';
 
+export const ORDER_PROCESS_REQUEST = 'ORDER_PROCESS_REQUEST';
+export const ORDER_PROCESS_SUCCESS = 'ORDER_PROCESS_SUCCESS';
+export const ORDER_PROCESS_FAIL = 'ORDER_PROCESS_FAIL';
+export const ORDER_PROCESS_RESET = 'ORDER_PROCESS_RESET';
+
+export const ORDER_SHIP_REQUEST = 'ORDER_SHIP_REQUEST';
+export const ORDER_SHIP_SUCCESS = 'ORDER_SHIP_SUCCESS';
+export const ORDER_SHIP_FAIL = 'ORDER_SHIP_FAIL';
+export const ORDER_SHIP_RESET = 'ORDER_SHIP_RESET';
+
+export const ORDER_DELIVER_REQUEST = 'ORDER_DELIVER_REQUEST';
+export const ORDER_DELIVER_SUCCESS = 'ORDER_DELIVER_SUCCESS';
+export const ORDER_DELIVER_FAIL = 'ORDER_DELIVER_FAIL';
+export const ORDER_DELIVER_RESET = 'ORDER_DELIVER_RESET';
+
+export const ORDER_CANCEL_REQUEST = 'ORDER_CANCEL_REQUEST';
+export const ORDER_CANCEL_SUCCESS = 'ORDER_CANCEL_SUCCESS';
+export const ORDER_CANCEL_FAIL = 'ORDER_CANCEL_FAIL';
+export const ORDER_CANCEL_RESET = 'ORDER_CANCEL_RESET';
+
+export const ORDER_RETURN_CREATE_REQUEST = 'ORDER_RETURN_CREATE_REQUEST';
+export const ORDER_RETURN_CREATE_SUCCESS = 'ORDER_RETURN_CREATE_SUCCESS';
+export const ORDER_RETURN_CREATE_FAIL = 'ORDER_RETURN_CREATE_FAIL';
+export const ORDER_RETURN_CREATE_RESET = 'ORDER_RETURN_CREATE_RESET';
+
+export const ORDER_RETURN_UPDATE_REQUEST = 'ORDER_RETURN_UPDATE_REQUEST';
+export const ORDER_RETURN_UPDATE_SUCCESS = 'ORDER_RETURN_UPDATE_SUCCESS';
+export const ORDER_RETURN_UPDATE_FAIL = 'ORDER_RETURN_UPDATE_FAIL';
+export const ORDER_RETURN_UPDATE_RESET = 'ORDER_RETURN_UPDATE_RESET';
+
+export const ORDER_REFUND_REQUEST = 'ORDER_REFUND_REQUEST';
+export const ORDER_REFUND_SUCCESS = 'ORDER_REFUND_SUCCESS';
+export const ORDER_REFUND_FAIL = 'ORDER_REFUND_FAIL';
+export const ORDER_REFUND_RESET = 'ORDER_REFUND_RESET';
+
 export const ORDER_LIST_MY_REQUEST = 'ORDER_LIST_MY_REQUEST';
 export const ORDER_LIST_MY_SUCCESS = 'ORDER_LIST_MY_SUCCESS';
 export const ORDER_LIST_MY_FAIL = 'ORDER_LIST_MY_FAIL';
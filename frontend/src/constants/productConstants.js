@@ -19,3 +19,36 @@ export const PRODUCT_UPDATE_RESET = 'PRODUCT_UPDATE_RESET';
 export const PRODUCT_DELETE_REQUEST = 'PRODUCT_DELETE_REQUEST';
 export const PRODUCT_DELETE_SUCCESS = 'PRODUCT_DELETE_SUCCESS';
 export const PRODUCT_DELETE_FAIL = 'PRODUCT_DELETE_FAIL';
+
+export const PRODUCT_IMAGE_UPLOAD_REQUEST = 'PRODUCT_IMAGE_UPLOAD_REQUEST';
+export const PRODUCT_IMAGE_UPLOAD_SUCCESS = 'PRODUCT_IMAGE_UPLOAD_SUCCESS';
+export const PRODUCT_IMAGE_UPLOAD_FAIL = 'PRODUCT_IMAGE_UPLOAD_FAIL';
+export const PRODUCT_IMAGE_UPLOAD_RESET = 'PRODUCT_IMAGE_UPLOAD_RESET';
+
+export const PRODUCT_IMPORT_REQUEST = 'PRODUCT_IMPORT_REQUEST';
+export const PRODUCT_IMPORT_SUCCESS = 'PRODUCT_IMPORT_SUCCESS';
+export const PRODUCT_IMPORT_FAIL = 'PRODUCT_IMPORT_FAIL';
+export const PRODUCT_IMPORT_RESET = 'PRODUCT_IMPORT_RESET';
+
+export const PRODUCT_RESTORE_REQUEST = 'PRODUCT_RESTORE_REQUEST';
+export const PRODUCT_RESTORE_SUCCESS = 'PRODUCT_RESTORE_SUCCESS';
+export const PRODUCT_RESTORE_FAIL = 'PRODUCT_RESTORE_FAIL';
+
+export const PRODUCT_PURGE_REQUEST = 'PRODUCT_PURGE_REQUEST';
+export const PRODUCT_PURGE_SUCCESS = 'PRODUCT_PURGE_SUCCESS';
+export const PRODUCT_PURGE_FAIL = 'PRODUCT_PURGE_FAIL';
+
+export const PRODUCT_CREATE_REVIEW_REQUEST = 'PRODUCT_CREATE_REVIEW_REQUEST';
+export const PRODUCT_CREATE_REVIEW_SUCCESS = 'PRODUCT_CREATE_REVIEW_SUCCESS';
+export const PRODUCT_CREATE_REVIEW_FAIL = 'PRODUCT_CREATE_REVIEW_FAIL';
+export const PRODUCT_CREATE_REVIEW_RESET = 'PRODUCT_CREATE_REVIEW_RESET';
+
+export const PRODUCT_UPDATE_REVIEW_REQUEST = 'PRODUCT_UPDATE_REVIEW_REQUEST';
+export const PRODUCT_UPDATE_REVIEW_SUCCESS = 'PRODUCT_UPDATE_REVIEW_SUCCESS';
+export const PRODUCT_UPDATE_REVIEW_FAIL = 'PRODUCT_UPDATE_REVIEW_FAIL';
+export const PRODUCT_UPDATE_REVIEW_RESET = 'PRODUCT_UPDATE_REVIEW_RESET';
+
+export const PRODUCT_DELETE_REVIEW_REQUEST = 'PRODUCT_DELETE_REVIEW_REQUEST';
+export const PRODUCT_DELETE_REVIEW_SUCCESS = 'PRODUCT_DELETE_REVIEW_SUCCESS';
+export const PRODUCT_DELETE_REVIEW_FAIL = 'PRODUCT_DELETE_REVIEW_FAIL';
+export const PRODUCT_DELETE_REVIEW_RESET = 'PRODUCT_DELETE_REVIEW_RESET';
@@ -0,0 +1,3 @@
+export const SHIPPING_RATES_REQUEST = 'SHIPPING_RATES_REQUEST';
+export const SHIPPING_RATES_SUCCESS = 'SHIPPING_RATES_SUCCESS';
+export const SHIPPING_RATES_FAIL = 'SHIPPING_RATES_FAIL';
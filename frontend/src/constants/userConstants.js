@@ -16,3 +16,33 @@ export const USER_UPDATE_PROFILE_REQUEST = 'USER_UPDATE_PROFILE_REQUEST';
 export const USER_UPDATE_PROFILE_SUCCESS = 'USER_UPDATE_PROFILE_SUCCESS';
 export const USER_UPDATE_PROFILE_FAIL = 'USER_UPDATE_PROFILE_FAIL';
 export const USER_UPDATE_PROFILE_RESET = 'USER_UPDATE_PROFILE_RESET';
+
+export const USER_LIST_REQUEST = 'USER_LIST_REQUEST';
+export const USER_LIST_SUCCESS = 'USER_LIST_SUCCESS';
+export const USER_LIST_FAIL = 'USER_LIST_FAIL';
+export const USER_LIST_RESET = 'USER_LIST_RESET';
+
+export const USER_DELETE_REQUEST = 'USER_DELETE_REQUEST';
+export const USER_DELETE_SUCCESS = 'USER_DELETE_SUCCESS';
+export const USER_DELETE_FAIL = 'USER_DELETE_FAIL';
+export const USER_DELETE_RESET = 'USER_DELETE_RESET';
+
+export const USER_UPDATE_REQUEST = 'USER_UPDATE_REQUEST';
+export const USER_UPDATE_SUCCESS = 'USER_UPDATE_SUCCESS';
+export const USER_UPDATE_FAIL = 'USER_UPDATE_FAIL';
+export const USER_UPDATE_RESET = 'USER_UPDATE_RESET';
+
+export const USER_FORGOT_PASSWORD_REQUEST = 'USER_FORGOT_PASSWORD_REQUEST';
+export const USER_FORGOT_PASSWORD_SUCCESS = 'USER_FORGOT_PASSWORD_SUCCESS';
+export const USER_FORGOT_PASSWORD_FAIL = 'USER_FORGOT_PASSWORD_FAIL';
+export const USER_FORGOT_PASSWORD_RESET = 'USER_FORGOT_PASSWORD_RESET';
+
+export const USER_RESET_PASSWORD_REQUEST = 'USER_RESET_PASSWORD_REQUEST';
+export const USER_RESET_PASSWORD_SUCCESS = 'USER_RESET_PASSWORD_SUCCESS';
+export const USER_RESET_PASSWORD_FAIL = 'USER_RESET_PASSWORD_FAIL';
+export const USER_RESET_PASSWORD_RESET = 'USER_RESET_PASSWORD_RESET';
+
+export const USER_VERIFY_EMAIL_REQUEST = 'USER_VERIFY_EMAIL_REQUEST';
+export const USER_VERIFY_EMAIL_SUCCESS = 'USER_VERIFY_EMAIL_SUCCESS';
+export const USER_VERIFY_EMAIL_FAIL = 'USER_VERIFY_EMAIL_FAIL';
+export const USER_VERIFY_EMAIL_RESET = 'USER_VERIFY_EMAIL_RESET';
@@ -2,11 +2,14 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { Provider } from 'react-redux';
 import store from './store';
+import { setupAuthInterceptor } from './utils/authInterceptor';
 import './bootstrap.min.css'; // Import bootstrap CSS
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
 
+setupAuthInterceptor(store);
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <Provider store={store}>
@@ -2,24 +2,31 @@ import {
   CART_ADD_ITEM,
   CART_REMOVE_ITEM,
   CART_SAVE_SHIPPING_ADDRESS,
+  CART_SAVE_SHIPPING_METHOD,
   CART_SAVE_PAYMENT_METHOD,
   CART_CLEAR_ITEMS,
+  CART_APPLY_COUPON,
+  CART_REMOVE_COUPON,
 } from '../constants/cartConstants';
 
+// A cart line is one product variant; products without variants have none
+const isSameLine = (a, b) =>
+  a.product === b.product && (a.variant || null) === (b.variant || null);
+
 export const cartReducer = (
-  state = { cartItems: [], shippingAddress: {} },
+  state = { cartItems: [], shippingAddress: {}, appliedCoupon: null },
   action
 ) => {
   switch (action.type) {
     case CART_ADD_ITEM:
       const item = action.payload;
-      const existItem = state.cartItems.find((x) => x.product === item.product);
+      const existItem = state.cartItems.find((x) => isSameLine(x, item));
 
       if (existItem) {
         return {
           ...state,
           cartItems: state.cartItems.map((x) =>
-            x.product === existItem.product ? item : x
+            isSameLine(x, existItem) ? item : x
           ),
         };
       } else {
@@ -31,22 +38,39 @@ export const cartReducer = (
     case CART_REMOVE_ITEM:
       return {
         ...state,
-        cartItems: state.cartItems.filter((x) => x.product !== action.payload),
+        cartItems: state.cartItems.filter((x) => !isSameLine(x, action.payload)),
       };
     case CART_SAVE_SHIPPING_ADDRESS:
       return {
         ...state,
         shippingAddress: action.payload,
       };
+    case CART_SAVE_SHIPPING_METHOD:
+      return {
+        ...state,
+        shippingMethod: action.payload,
+      };
     case CART_SAVE_PAYMENT_METHOD:
       return {
         ...state,
         paymentMethod: action.payload,
       };
+    case CART_APPLY_COUPON:
+      return {
+        ...state,
+        appliedCoupon: action.payload,
+      };
+    case CART_REMOVE_COUPON:
+      return {
+        ...state,
+        appliedCoupon: null,
+      };
     case CART_CLEAR_ITEMS:
+      // A coupon is used up by the order that emptied the cart
       return {
         ...state,
         cartItems: [],
+        appliedCoupon: null,
       };
     default:
       return state;
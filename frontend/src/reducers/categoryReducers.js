@@ -0,0 +1,34 @@
+import {
+  CATEGORY_LIST_REQUEST,
+  CATEGORY_LIST_SUCCESS,
+  CATEGORY_LIST_FAIL,
+  BRAND_LIST_REQUEST,
+  BRAND_LIST_SUCCESS,
+  BRAND_LIST_FAIL,
+} from '../constants/categoryConstants';
+
+export const categoryListReducer = (state = { categories: [] }, action) => {
+  switch (action.type) {
+    case CATEGORY_LIST_REQUEST:
+      return { ...state, loading: true };
+    case CATEGORY_LIST_SUCCESS:
+      return { loading: false, categories: action.payload };
+    case CATEGORY_LIST_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
+
+export const brandListReducer = (state = { brands: [] }, action) => {
+  switch (action.type) {
+    case BRAND_LIST_REQUEST:
+      return { ...state, loading: true };
+    case BRAND_LIST_SUCCESS:
+      return { loading: false, brands: action.payload };
+    case BRAND_LIST_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
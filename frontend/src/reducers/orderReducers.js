@@ -3,13 +3,49 @@ import {
   ORDER_CREATE_SUCCESS,
   ORDER_CREATE_FAIL,
   ORDER_CREATE_RESET,
+  ORDER_QUOTE_REQUEST,
+  ORDER_QUOTE_SUCCESS,
+  ORDER_QUOTE_FAIL,
+  ORDER_QUOTE_RESET,
   ORDER_DETAILS_REQUEST,
   ORDER_DETAILS_SUCCESS,
   ORDER_DETAILS_FAIL,
+  ORDER_PAYMENT_INTENT_REQUEST,
+  ORDER_PAYMENT_INTENT_SUCCESS,
+  ORDER_PAYMENT_INTENT_FAIL,
+  ORDER_PAYMENT_INTENT_RESET,
   ORDER_PAY_REQUEST,
   ORDER_PAY_SUCCESS,
   ORDER_PAY_FAIL,
   ORDER_PAY_RESET,
+  ORDER_PROCESS_REQUEST,
+  ORDER_PROCESS_SUCCESS,
+  ORDER_PROCESS_FAIL,
+  ORDER_PROCESS_RESET,
+  ORDER_SHIP_REQUEST,
+  ORDER_SHIP_SUCCESS,
+  ORDER_SHIP_FAIL,
+  ORDER_SHIP_RESET,
+  ORDER_DELIVER_REQUEST,
+  ORDER_DELIVER_SUCCESS,
+  ORDER_DELIVER_FAIL,
+  ORDER_DELIVER_RESET,
+  ORDER_CANCEL_REQUEST,
+  ORDER_CANCEL_SUCCESS,
+  ORDER_CANCEL_FAIL,
+  ORDER_CANCEL_RESET,
+  ORDER_RETURN_CREATE_REQUEST,
+  ORDER_RETURN_CREATE_SUCCESS,
+  ORDER_RETURN_CREATE_FAIL,
+  ORDER_RETURN_CREATE_RESET,
+  ORDER_RETURN_UPDATE_REQUEST,
+  ORDER_RETURN_UPDATE_SUCCESS,
+  ORDER_RETURN_UPDATE_FAIL,
+  ORDER_RETURN_UPDATE_RESET,
+  ORDER_REFUND_REQUEST,
+  ORDER_REFUND_SUCCESS,
+  ORDER_REFUND_FAIL,
+  ORDER_REFUND_RESET,
   ORDER_LIST_MY_REQUEST,
   ORDER_LIST_MY_SUCCESS,
   ORDER_LIST_MY_FAIL,
@@ -40,6 +76,30 @@ export const orderCreateReducer = (state = {}, action) => {
   }
 };
 
+export const orderQuoteReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_QUOTE_REQUEST:
+      return {
+        ...state,
+        loading: true,
+      };
+    case ORDER_QUOTE_SUCCESS:
+      return {
+        loading: false,
+        quote: action.payload,
+      };
+    case ORDER_QUOTE_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_QUOTE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
 export const orderDetailsReducer = (
   state = { loading: true, orderItems: [], shippingAddress: {} },
   action
@@ -65,6 +125,29 @@ export const orderDetailsReducer = (
   }
 };
 
+export const orderPaymentIntentReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_PAYMENT_INTENT_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_PAYMENT_INTENT_SUCCESS:
+      return {
+        loading: false,
+        paymentIntent: action.payload,
+      };
+    case ORDER_PAYMENT_INTENT_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_PAYMENT_INTENT_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
 export const orderPayReducer = (state = {}, action) => {
   switch (action.type) {
     case ORDER_PAY_REQUEST:
@@ -88,6 +171,167 @@ export const orderPayReducer = (state = {}, action) => {
   }
 };
 
+export const orderProcessReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_PROCESS_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_PROCESS_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_PROCESS_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_PROCESS_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const orderShipReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_SHIP_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_SHIP_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_SHIP_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_SHIP_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const orderDeliverReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_DELIVER_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_DELIVER_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_DELIVER_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_DELIVER_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const orderCancelReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_CANCEL_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_CANCEL_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_CANCEL_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_CANCEL_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const orderReturnCreateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_RETURN_CREATE_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_RETURN_CREATE_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_RETURN_CREATE_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_RETURN_CREATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const orderReturnUpdateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_RETURN_UPDATE_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_RETURN_UPDATE_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_RETURN_UPDATE_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_RETURN_UPDATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const orderRefundReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_REFUND_REQUEST:
+      return {
+        loading: true,
+      };
+    case ORDER_REFUND_SUCCESS:
+      return {
+        loading: false,
+        success: true,
+      };
+    case ORDER_REFUND_FAIL:
+      return {
+        loading: false,
+        error: action.payload,
+      };
+    case ORDER_REFUND_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
 export const orderListMyReducer = (state = { orders: [] }, action) => {
   switch (action.type) {
     case ORDER_LIST_MY_REQUEST:
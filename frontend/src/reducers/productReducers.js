@@ -16,16 +16,53 @@ import {
   PRODUCT_DELETE_REQUEST,
   PRODUCT_DELETE_SUCCESS,
   PRODUCT_DELETE_FAIL,
+  PRODUCT_IMAGE_UPLOAD_REQUEST,
+  PRODUCT_IMAGE_UPLOAD_SUCCESS,
+  PRODUCT_IMAGE_UPLOAD_FAIL,
+  PRODUCT_IMAGE_UPLOAD_RESET,
+  PRODUCT_IMPORT_REQUEST,
+  PRODUCT_IMPORT_SUCCESS,
+  PRODUCT_IMPORT_FAIL,
+  PRODUCT_IMPORT_RESET,
+  PRODUCT_RESTORE_REQUEST,
+  PRODUCT_RESTORE_SUCCESS,
+  PRODUCT_RESTORE_FAIL,
+  PRODUCT_PURGE_REQUEST,
+  PRODUCT_PURGE_SUCCESS,
+  PRODUCT_PURGE_FAIL,
+  PRODUCT_CREATE_REVIEW_REQUEST,
+  PRODUCT_CREATE_REVIEW_SUCCESS,
+  PRODUCT_CREATE_REVIEW_FAIL,
+  PRODUCT_CREATE_REVIEW_RESET,
+  PRODUCT_UPDATE_REVIEW_REQUEST,
+  PRODUCT_UPDATE_REVIEW_SUCCESS,
+  PRODUCT_UPDATE_REVIEW_FAIL,
+  PRODUCT_UPDATE_REVIEW_RESET,
+  PRODUCT_DELETE_REVIEW_REQUEST,
+  PRODUCT_DELETE_REVIEW_SUCCESS,
+  PRODUCT_DELETE_REVIEW_FAIL,
+  PRODUCT_DELETE_REVIEW_RESET,
 } from '../constants/productConstants';
 
-export const productListReducer = (state = { products: [] }, action) => {
+export const productListReducer = (
+  state = { products: [], params: {} },
+  action
+) => {
   switch (action.type) {
     case PRODUCT_LIST_REQUEST:
-      return { loading: true, products: [] };
+      return { loading: true, products: [], params: action.payload || {} };
     case PRODUCT_LIST_SUCCESS:
-      return { loading: false, products: action.payload };
+      return {
+        ...state,
+        loading: false,
+        products: action.payload.products,
+        page: action.payload.page,
+        pages: action.payload.pages,
+        total: action.payload.total,
+        category: action.payload.category, // only for category listings
+      };
     case PRODUCT_LIST_FAIL:
-      return { loading: false, error: action.payload };
+      return { ...state, loading: false, error: action.payload };
     default:
       return state;
   }
@@ -89,3 +126,104 @@ export const productDeleteReducer = (state = {}, action) => {
       return state;
   }
 };
+
+export const productImageUploadReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_IMAGE_UPLOAD_REQUEST:
+      return { loading: true };
+    case PRODUCT_IMAGE_UPLOAD_SUCCESS:
+      return { loading: false, success: true, image: action.payload };
+    case PRODUCT_IMAGE_UPLOAD_FAIL:
+      return { loading: false, error: action.payload };
+    case PRODUCT_IMAGE_UPLOAD_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const productImportReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_IMPORT_REQUEST:
+      return { loading: true, dryRun: action.payload.dryRun };
+    case PRODUCT_IMPORT_SUCCESS:
+      return { loading: false, success: true, report: action.payload };
+    case PRODUCT_IMPORT_FAIL:
+      return { loading: false, error: action.payload };
+    case PRODUCT_IMPORT_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const productRestoreReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_RESTORE_REQUEST:
+      return { loading: true };
+    case PRODUCT_RESTORE_SUCCESS:
+      return { loading: false, success: true, product: action.payload };
+    case PRODUCT_RESTORE_FAIL:
+      return { loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
+
+export const productPurgeReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_PURGE_REQUEST:
+      return { loading: true };
+    case PRODUCT_PURGE_SUCCESS:
+      return { loading: false, success: true };
+    case PRODUCT_PURGE_FAIL:
+      return { loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
+
+export const productReviewCreateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_CREATE_REVIEW_REQUEST:
+      return { loading: true };
+    case PRODUCT_CREATE_REVIEW_SUCCESS:
+      return { loading: false, success: true, result: action.payload };
+    case PRODUCT_CREATE_REVIEW_FAIL:
+      return { loading: false, error: action.payload };
+    case PRODUCT_CREATE_REVIEW_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const productReviewUpdateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_UPDATE_REVIEW_REQUEST:
+      return { loading: true };
+    case PRODUCT_UPDATE_REVIEW_SUCCESS:
+      return { loading: false, success: true, result: action.payload };
+    case PRODUCT_UPDATE_REVIEW_FAIL:
+      return { loading: false, error: action.payload };
+    case PRODUCT_UPDATE_REVIEW_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+export const productReviewDeleteReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PRODUCT_DELETE_REVIEW_REQUEST:
+      return { loading: true };
+    case PRODUCT_DELETE_REVIEW_SUCCESS:
+      return { loading: false, success: true, result: action.payload };
+    case PRODUCT_DELETE_REVIEW_FAIL:
+      return { loading: false, error: action.payload };
+    case PRODUCT_DELETE_REVIEW_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
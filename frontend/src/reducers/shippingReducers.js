@@ -0,0 +1,18 @@
+import {
+  SHIPPING_RATES_REQUEST,
+  SHIPPING_RATES_SUCCESS,
+  SHIPPING_RATES_FAIL,
+} from '../constants/shippingConstants';
+
+export const shippingRatesReducer = (state = { methods: [] }, action) => {
+  switch (action.type) {
+    case SHIPPING_RATES_REQUEST:
+      return { ...state, loading: true, error: undefined };
+    case SHIPPING_RATES_SUCCESS:
+      return { loading: false, ...action.payload };
+    case SHIPPING_RATES_FAIL:
+      return { loading: false, methods: [], error: action.payload };
+    default:
+      return state;
+  }
+};
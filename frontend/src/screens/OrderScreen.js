@@ -0,0 +1,387 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Button, Card, Col, Form, ListGroup, Row } from 'react-bootstrap';
+import Message from '../components/Message';
+import Loader from '../components/Loader';
+import {
+  getOrderDetails,
+  cancelOrder,
+  requestReturn,
+  downloadInvoice,
+  downloadPackingSlips,
+} from '../actions/orderActions';
+import {
+  ORDER_CANCEL_RESET,
+  ORDER_RETURN_CREATE_RESET,
+} from '../constants/orderConstants';
+import { getErrorMessage } from '../utils/errorMessage';
+
+// Statuses an order can still be cancelled from (before it ships)
+const CANCELLABLE = ['pending', 'paid', 'processing'];
+
+// Roles holding order:cancel for any order (see the backend's
+// config/policies.js). A paid order also takes order:refund: admins only.
+const CANCEL_ROLES = ['support', 'admin'];
+
+// Units of each order line (by id) not already in a return, rejected ones
+// aside; the server checks the same
+const returnableQuantities = (order) => {
+  const quantities = {};
+  order.orderItems.forEach((item) => {
+    quantities[item._id] = item.qty;
+  });
+  (order.returns || [])
+    .filter((rma) => rma.status !== 'rejected')
+    .forEach((rma) => {
+      rma.items.forEach(({ orderItem, qty }) => {
+        quantities[orderItem] -= qty;
+      });
+    });
+  return quantities;
+};
+
+const OrderScreen = () => {
+  const { id: orderId } = useParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const [downloading, setDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState(null);
+  const [returnQty, setReturnQty] = useState({});
+  const [returnReason, setReturnReason] = useState('');
+  const [returnNote, setReturnNote] = useState('');
+
+  const orderDetails = useSelector((state) => state.orderDetails);
+  const { loading, error, order } = orderDetails;
+
+  const orderCancel = useSelector((state) => state.orderCancel);
+  const { loading: loadingCancel, error: errorCancel } = orderCancel;
+
+  const orderReturnCreate = useSelector((state) => state.orderReturnCreate);
+  const {
+    loading: loadingReturn,
+    error: errorReturn,
+    success: successReturn,
+  } = orderReturnCreate;
+
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+
+  useEffect(() => {
+    if (!userInfo) {
+      navigate('/login');
+      return;
+    }
+    if (!order || order._id !== orderId) {
+      dispatch({ type: ORDER_CANCEL_RESET });
+      dispatch({ type: ORDER_RETURN_CREATE_RESET });
+      dispatch(getOrderDetails(orderId));
+    }
+  }, [dispatch, navigate, userInfo, order, orderId]);
+
+  useEffect(() => {
+    if (successReturn) {
+      setReturnQty({});
+      setReturnReason('');
+      setReturnNote('');
+    }
+  }, [successReturn]);
+
+  const cancelHandler = () => {
+    if (window.confirm('Cancel this order?')) {
+      dispatch(cancelOrder(orderId));
+    }
+  };
+
+  const returnHandler = (e) => {
+    e.preventDefault();
+    const items = Object.entries(returnQty)
+      .filter(([, qty]) => qty > 0)
+      .map(([orderItem, qty]) => ({ orderItem, qty, reason: returnReason }));
+    dispatch({ type: ORDER_RETURN_CREATE_RESET });
+    dispatch(requestReturn(orderId, items, returnNote));
+  };
+
+  const download = async (action) => {
+    setDownloading(true);
+    setDownloadError(null);
+    try {
+      await dispatch(action);
+    } catch (err) {
+      setDownloadError(getErrorMessage(err));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (loading) {
+    return <Loader />;
+  }
+  if (error) {
+    return <Message variant="danger">{error}</Message>;
+  }
+  if (!order) {
+    return null;
+  }
+
+  const { shippingAddress, shippingMethod, tax } = order;
+  // Orders returned by cancel, return and refund actions carry the user id
+  // only, not the populated user
+  const isOwner =
+    Boolean(order.user) && (order.user._id || order.user) === userInfo._id;
+  const canCancel =
+    CANCELLABLE.includes(order.status) &&
+    (isOwner ||
+      (CANCEL_ROLES.includes(userInfo.role) &&
+        (!order.isPaid || userInfo.role === 'admin')));
+  const returnable = returnableQuantities(order);
+  const canReturn =
+    order.status === 'delivered' &&
+    isOwner &&
+    Object.values(returnable).some((qty) => qty > 0);
+  const returnCount = Object.values(returnQty).reduce((a, b) => a + b, 0);
+
+  return (
+    <>
+      <h1>Order {order._id}</h1>
+      <Row>
+        <Col md={8}>
+          <ListGroup variant="flush">
+            <ListGroup.Item>
+              <h2>Shipping</h2>
+              <p>
+                {shippingAddress.address}, {shippingAddress.city}
+                {shippingAddress.region && `, ${shippingAddress.region}`}{' '}
+                {shippingAddress.postalCode}, {shippingAddress.country}
+              </p>
+              {shippingMethod && <p>{shippingMethod.name}</p>}
+              {order.trackingNumber && (
+                <p>
+                  {order.carrier} tracking: {order.trackingNumber}
+                </p>
+              )}
+              <Message variant={order.isDelivered ? 'success' : 'info'}>
+                Status: {order.status}
+              </Message>
+            </ListGroup.Item>
+
+            <ListGroup.Item>
+              <h2>Payment</h2>
+              {order.isPaid ? (
+                <Message variant="success">
+                  Paid on {order.paidAt.substring(0, 10)}
+                </Message>
+              ) : (
+                <Message variant="warning">Not paid</Message>
+              )}
+            </ListGroup.Item>
+
+            <ListGroup.Item>
+              <h2>Items</h2>
+              <ListGroup variant="flush">
+                {order.orderItems.map((item) => (
+                  <ListGroup.Item key={item._id}>
+                    <Row>
+                      <Col>{item.name}</Col>
+                      <Col md={4}>
+                        {item.qty} x ${item.price} = ${item.subtotal}
+                      </Col>
+                    </Row>
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            </ListGroup.Item>
+
+            {order.returns && order.returns.length > 0 && (
+              <ListGroup.Item>
+                <h2>Returns</h2>
+                {order.returns.map((rma) => (
+                  <p key={rma._id}>
+                    {rma.requestedAt.substring(0, 10)}:{' '}
+                    {rma.items.reduce((acc, item) => acc + item.qty, 0)}{' '}
+                    item(s), {rma.status}
+                  </p>
+                ))}
+              </ListGroup.Item>
+            )}
+
+            {(canReturn || successReturn) && (
+              <ListGroup.Item>
+                <h2>Return Items</h2>
+                {loadingReturn && <Loader />}
+                {errorReturn && (
+                  <Message variant="danger">{errorReturn}</Message>
+                )}
+                {successReturn && (
+                  <Message variant="success">
+                    Your return has been requested
+                  </Message>
+                )}
+                {canReturn && (
+                  <Form onSubmit={returnHandler}>
+                    {order.orderItems
+                      .filter((item) => returnable[item._id] > 0)
+                      .map((item) => (
+                        <Form.Group
+                          key={item._id}
+                          controlId={`return-${item._id}`}
+                          className="mb-3"
+                        >
+                          <Form.Label>{item.name}</Form.Label>
+                          <Form.Select
+                            value={returnQty[item._id] || 0}
+                            onChange={(e) =>
+                              setReturnQty({
+                                ...returnQty,
+                                [item._id]: Number(e.target.value),
+                              })
+                            }
+                          >
+                            {[...Array(returnable[item._id] + 1).keys()].map(
+                              (qty) => (
+                                <option key={qty} value={qty}>
+                                  {qty}
+                                </option>
+                              )
+                            )}
+                          </Form.Select>
+                        </Form.Group>
+                      ))}
+
+                    <Form.Group controlId="returnReason" className="mb-3">
+                      <Form.Label>Reason</Form.Label>
+                      <Form.Control
+                        type="text"
+                        placeholder="Why are you returning these items?"
+                        value={returnReason}
+                        onChange={(e) => setReturnReason(e.target.value)}
+                      />
+                    </Form.Group>
+
+                    <Form.Group controlId="returnNote" className="mb-3">
+                      <Form.Label>Note (optional)</Form.Label>
+                      <Form.Control
+                        as="textarea"
+                        rows={2}
+                        value={returnNote}
+                        onChange={(e) => setReturnNote(e.target.value)}
+                      />
+                    </Form.Group>
+
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      disabled={
+                        loadingReturn ||
+                        returnCount === 0 ||
+                        !returnReason.trim()
+                      }
+                    >
+                      Request return
+                    </Button>
+                  </Form>
+                )}
+              </ListGroup.Item>
+            )}
+          </ListGroup>
+        </Col>
+
+        <Col md={4}>
+          <Card>
+            <ListGroup variant="flush">
+              <ListGroup.Item>
+                <h2>Order Summary</h2>
+              </ListGroup.Item>
+              <ListGroup.Item>
+                <Row>
+                  <Col>Items</Col>
+                  <Col>${order.itemsPrice}</Col>
+                </Row>
+              </ListGroup.Item>
+              {order.discountPrice > 0 && (
+                <ListGroup.Item>
+                  <Row>
+                    <Col>Discount</Col>
+                    <Col>-${order.discountPrice}</Col>
+                  </Row>
+                </ListGroup.Item>
+              )}
+              <ListGroup.Item>
+                <Row>
+                  <Col>Shipping</Col>
+                  <Col>${order.shippingPrice}</Col>
+                </Row>
+              </ListGroup.Item>
+              <ListGroup.Item>
+                <Row>
+                  <Col>
+                    {(tax && tax.name) || 'Tax'}
+                    {tax && tax.pricesIncludeTax && ' (included)'}
+                  </Col>
+                  <Col>${order.taxPrice}</Col>
+                </Row>
+              </ListGroup.Item>
+              <ListGroup.Item>
+                <Row>
+                  <Col>Total</Col>
+                  <Col>${order.totalPrice}</Col>
+                </Row>
+              </ListGroup.Item>
+
+              {canCancel && (
+                <ListGroup.Item>
+                  {loadingCancel && <Loader />}
+                  {errorCancel && (
+                    <Message variant="danger">{errorCancel}</Message>
+                  )}
+                  <Button
+                    type="button"
+                    variant="danger"
+                    className="w-100"
+                    disabled={loadingCancel}
+                    onClick={cancelHandler}
+                  >
+                    Cancel order
+                  </Button>
+                  {order.isPaid && (
+                    <Form.Text muted>Your payment will be refunded.</Form.Text>
+                  )}
+                </ListGroup.Item>
+              )}
+
+              <ListGroup.Item>
+                {downloadError && (
+                  <Message variant="danger">{downloadError}</Message>
+                )}
+                {order.isPaid && (
+                  <Button
+                    type="button"
+                    className="w-100 mb-2"
+                    disabled={downloading}
+                    onClick={() => download(downloadInvoice(order._id))}
+                  >
+                    Download invoice
+                  </Button>
+                )}
+                {userInfo.isAdmin && (
+                  <Button
+                    type="button"
+                    variant="outline-secondary"
+                    className="w-100"
+                    disabled={downloading}
+                    onClick={() => download(downloadPackingSlips([order._id]))}
+                  >
+                    Download packing slip
+                  </Button>
+                )}
+              </ListGroup.Item>
+            </ListGroup>
+          </Card>
+        </Col>
+      </Row>
+    </>
+  );
+};
+
+export default OrderScreen;
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Table, Button, Form, Row, Col, Pagination } from 'react-bootstrap';
+import Message from '../components/Message';
+import Loader from '../components/Loader';
+import { listUsers, deleteUser } from '../actions/userActions';
+import { USER_DELETE_RESET } from '../constants/userConstants';
+
+const UserListScreen = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const [keyword, setKeyword] = useState('');
+  const [search, setSearch] = useState('');
+  const [pageNumber, setPageNumber] = useState(1);
+
+  const userList = useSelector((state) => state.userList);
+  const { loading, error, users, page, pages } = userList;
+
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+
+  const userDelete = useSelector((state) => state.userDelete);
+  const { success: successDelete, error: errorDelete } = userDelete;
+
+  useEffect(() => {
+    if (!userInfo || !userInfo.isAdmin) {
+      navigate('/login');
+      return;
+    }
+    if (successDelete) {
+      dispatch({ type: USER_DELETE_RESET });
+    }
+    dispatch(listUsers({ keyword: search, page: pageNumber }));
+  }, [dispatch, navigate, userInfo, successDelete, search, pageNumber]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    setPageNumber(1);
+    setSearch(keyword.trim());
+  };
+
+  const deleteHandler = (id) => {
+    if (window.confirm('Are you sure you want to delete this user?')) {
+      dispatch(deleteUser(id));
+    }
+  };
+
+  return (
+    <>
+      <Row className="align-items-center">
+        <Col>
+          <h1>Users</h1>
+        </Col>
+        <Col md={5}>
+          <Form onSubmit={submitHandler} className="d-flex">
+            <Form.Control
+              type="text"
+              placeholder="Search by name or email"
+              value={keyword}
+              onChange={(e) => setKeyword(e.target.value)}
+            />
+            <Button type="submit" variant="outline-primary" className="ms-2">
+              Search
+            </Button>
+          </Form>
+        </Col>
+      </Row>
+      {errorDelete && <Message variant="danger">{errorDelete}</Message>}
+      {loading ? (
+        <Loader />
+      ) : error ? (
+        <Message variant="danger">{error}</Message>
+      ) : (
+        <>
+          <Table striped bordered hover responsive className="table-sm">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>NAME</th>
+                <th>EMAIL</th>
+                <th>ROLE</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => (
+                <tr key={user._id}>
+                  <td>{user._id}</td>
+                  <td>{user.name}</td>
+                  <td>
+                    <a href={`mailto:${user.email}`}>{user.email}</a>
+                  </td>
+                  <td>{user.role}</td>
+                  <td>
+                    <Button
+                      as={Link}
+                      to={`/admin/user/${user._id}/edit`}
+                      variant="light"
+                      className="btn-sm"
+                    >
+                      Edit
+                    </Button>
+                    {user._id !== userInfo._id && (
+                      <Button
+                        variant="danger"
+                        className="btn-sm ms-1"
+                        onClick={() => deleteHandler(user._id)}
+                      >
+                        Delete
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {pages > 1 && (
+            <Pagination>
+              {[...Array(pages).keys()].map((x) => (
+                <Pagination.Item
+                  key={x + 1}
+                  active={x + 1 === page}
+                  onClick={() => setPageNumber(x + 1)}
+                >
+                  {x + 1}
+                </Pagination.Item>
+              ))}
+            </Pagination>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+export default UserListScreen;
@@ -8,18 +8,45 @@ import {
   productCreateReducer,
   productUpdateReducer,
   productDeleteReducer,
+  productImageUploadReducer,
+  productImportReducer,
+  productRestoreReducer,
+  productPurgeReducer,
+  productReviewCreateReducer,
+  productReviewUpdateReducer,
+  productReviewDeleteReducer,
 } from './reducers/productReducers';
+import {
+  categoryListReducer,
+  brandListReducer,
+} from './reducers/categoryReducers';
 import { cartReducer } from './reducers/cartReducers';
+import { shippingRatesReducer } from './reducers/shippingReducers';
 import {
   userLoginReducer,
   userRegisterReducer,
   userDetailsReducer,
   userUpdateProfileReducer,
+  userListReducer,
+  userDeleteReducer,
+  userUpdateReducer,
+  userForgotPasswordReducer,
+  userResetPasswordReducer,
+  userVerifyEmailReducer,
 } from './reducers/userReducers';
 import {
   orderCreateReducer,
+  orderQuoteReducer,
   orderDetailsReducer,
+  orderPaymentIntentReducer,
   orderPayReducer,
+  orderProcessReducer,
+  orderShipReducer,
+  orderDeliverReducer,
+  orderCancelReducer,
+  orderReturnCreateReducer,
+  orderReturnUpdateReducer,
+  orderRefundReducer,
   orderListMyReducer,
 } from './reducers/orderReducers';
 
@@ -29,14 +56,39 @@ const reducer = combineReducers({
   productCreate: productCreateReducer,
   productUpdate: productUpdateReducer,
   productDelete: productDeleteReducer,
+  productImageUpload: productImageUploadReducer,
+  productImport: productImportReducer,
+  productRestore: productRestoreReducer,
+  productPurge: productPurgeReducer,
+  productReviewCreate: productReviewCreateReducer,
+  productReviewUpdate: productReviewUpdateReducer,
+  productReviewDelete: productReviewDeleteReducer,
+  categoryList: categoryListReducer,
+  brandList: brandListReducer,
   cart: cartReducer,
+  shippingRates: shippingRatesReducer,
   userLogin: userLoginReducer,
   userRegister: userRegisterReducer,
   userDetails: userDetailsReducer,
   userUpdateProfile: userUpdateProfileReducer,
+  userList: userListReducer,
+  userDelete: userDeleteReducer,
+  userUpdate: userUpdateReducer,
+  userForgotPassword: userForgotPasswordReducer,
+  userResetPassword: userResetPasswordReducer,
+  userVerifyEmail: userVerifyEmailReducer,
   orderCreate: orderCreateReducer,
+  orderQuote: orderQuoteReducer,
   orderDetails: orderDetailsReducer,
+  orderPaymentIntent: orderPaymentIntentReducer,
   orderPay: orderPayReducer,
+  orderProcess: orderProcessReducer,
+  orderShip: orderShipReducer,
+  orderDeliver: orderDeliverReducer,
+  orderCancel: orderCancelReducer,
+  orderReturnCreate: orderReturnCreateReducer,
+  orderReturnUpdate: orderReturnUpdateReducer,
+  orderRefund: orderRefundReducer,
   orderListMy: orderListMyReducer,
 });
 
@@ -52,10 +104,20 @@ const shippingAddressFromStorage = localStorage.getItem('shippingAddress')
   ? JSON.parse(localStorage.getItem('shippingAddress'))
   : {};
 
+const shippingMethodFromStorage = localStorage.getItem('shippingMethod')
+  ? JSON.parse(localStorage.getItem('shippingMethod'))
+  : null;
+
+const appliedCouponFromStorage = localStorage.getItem('appliedCoupon')
+  ? JSON.parse(localStorage.getItem('appliedCoupon'))
+  : null;
+
 const initialState = {
   cart: {
     cartItems: cartItemsFromStorage,
     shippingAddress: shippingAddressFromStorage,
+    shippingMethod: shippingMethodFromStorage,
+    appliedCoupon: appliedCouponFromStorage,
   },
   userLogin: { userInfo: userInfoFromStorage },
 };
@@ -0,0 +1,54 @@
+import axios from 'axios';
+import { USER_LOGIN_SUCCESS } from '../constants/userConstants';
+import { logout } from '../actions/userActions';
+
+// Requests that must never trigger a refresh themselves
+const AUTH_URLS = ['/api/users/login', '/api/users/refresh', '/api/users/logout'];
+
+// Concurrent 401s share a single refresh request
+let refreshRequest = null;
+
+// Access tokens are short-lived: when one expires, get a new one with the
+// refresh token cookie and replay the request once. If the refresh fails the
+// session is over and the user is logged out.
+export const setupAuthInterceptor = (store) => {
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      const {
+        userLogin: { userInfo },
+      } = store.getState();
+
+      if (
+        !response ||
+        response.status !== 401 ||
+        !userInfo ||
+        !config ||
+        config._retry ||
+        AUTH_URLS.includes(config.url)
+      ) {
+        return Promise.reject(error);
+      }
+
+      try {
+        if (!refreshRequest) {
+          refreshRequest = axios.post('/api/users/refresh').finally(() => {
+            refreshRequest = null;
+          });
+        }
+        const { data } = await refreshRequest;
+
+        store.dispatch({ type: USER_LOGIN_SUCCESS, payload: data });
+        localStorage.setItem('userInfo', JSON.stringify(data));
+
+        config._retry = true;
+        config.headers.Authorization = `Bearer ${data.token}`;
+        return axios(config);
+      } catch (refreshError) {
+        store.dispatch(logout());
+        return Promise.reject(error);
+      }
+    }
+  );
+};
@@ -0,0 +1,49 @@
+// Messages shown for known API error codes. The server's own message is used
+// for any code not listed here, so this only needs entries where the UI
+// wants friendlier or more specific wording.
+export const ERROR_MESSAGES = {
+  INVALID_CREDENTIALS: 'Invalid email or password',
+  ACCOUNT_LOCKED:
+    'Too many failed login attempts. Please wait a few minutes and try again.',
+  RATE_LIMITED: 'Too many requests. Please slow down and try again shortly.',
+  EMAIL_TAKEN: 'An account with this email already exists',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address before checking out',
+  INVALID_TOKEN: 'This link is invalid or has expired',
+  INSUFFICIENT_STOCK: 'Some items in your cart are no longer in stock',
+  INVALID_ID: 'The requested item could not be found',
+  PRODUCT_NOT_FOUND: 'Product not found',
+  CATEGORY_NOT_FOUND: 'Category not found',
+  ORDER_NOT_FOUND: 'Order not found',
+  PAYMENTS_UNAVAILABLE:
+    'Payments are not available right now. Please try again later.',
+  PAYMENT_REFUNDED:
+    'This order was cancelled before your payment arrived, so it has been refunded',
+  INVALID_STATUS_TRANSITION: 'This order can no longer be changed that way',
+  RETURN_NOT_ALLOWED: 'Only delivered orders can be returned',
+  RETURN_WINDOW_CLOSED: 'The return period for this order has ended',
+  RETURN_QUANTITY_EXCEEDED: 'Some of these items have already been returned',
+  INVOICE_NOT_AVAILABLE: 'An invoice is available once the order is paid',
+  REVIEW_NOT_ALLOWED: 'You can only review products you have purchased',
+  ALREADY_REVIEWED: 'You have already reviewed this product',
+  PROMOTION_NOT_FOUND: 'This coupon code is not valid',
+  PROMOTION_EXPIRED: 'This coupon has expired',
+  PROMOTION_NOT_STARTED: 'This coupon is not active yet',
+  PROMOTION_USAGE_LIMIT: 'This coupon can no longer be used',
+  PROMOTION_NOT_APPLICABLE: 'This coupon does not apply to the items in your cart',
+  SHIPPING_UNAVAILABLE: 'We cannot ship this order to your address',
+  SHIPPING_METHOD_UNAVAILABLE:
+    'This shipping method is not available for your address. Please choose another.',
+  INTERNAL_ERROR: 'Something went wrong on our side. Please try again.',
+};
+
+// Turn a failed axios request into a message for the UI: prefer the text for
+// the error code, then the server's message, then the network error.
+export const getErrorMessage = (error) => {
+  const data = error.response && error.response.data;
+
+  if (data && data.code && ERROR_MESSAGES[data.code]) {
+    return ERROR_MESSAGES[data.code];
+  }
+
+  return data && data.message ? data.message : error.message;
+};